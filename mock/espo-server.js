@@ -0,0 +1,248 @@
+/* -------------------- in-memory ESPO mock (local dev + tests) -------------------- */
+// Implements just enough of the EspoCRM REST API for this app
+// (CAttendance, Attachment and the COffice / CEmployee roster):
+//   GET    /api/v1/:entity            list with where[n] filters, orderBy/order, maxSize/offset
+//   GET    /api/v1/:entity/:id
+//   POST   /api/v1/:entity
+//   PUT    /api/v1/:entity/:id
+//   POST   /api/v1/Attachment         base64 data URL in `file`
+//   GET    /api/v1/Attachment/file/:id
+//   GET    /api/v1/App/user              Espo-Authorization login (password or token)
+//
+// Run standalone:  npm run mock:espo   (then VITE_ESPO_BASEURL=http://localhost:8787/api/v1/CAttendance)
+
+import http from "node:http";
+import { randomBytes } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+export const MOCK_ENTITIES = ["CAttendance", "Attachment", "COffice", "CEmployee"];
+
+const newId = () => randomBytes(8).toString("hex").slice(0, 17);
+const nowSql = () => new Date().toISOString().slice(0, 19).replace("T", " ");
+
+/* -------------------- where[n][...] → nested objects -------------------- */
+function parseNestedQuery(searchParams) {
+  const root = {};
+  for (const [rawKey, value] of searchParams) {
+    const parts = rawKey.replace(/\]/g, "").split("[");
+    let node = root;
+    parts.forEach((p, i) => {
+      if (i === parts.length - 1) node[p] = value;
+      else node = node[p] ??= {};
+    });
+  }
+  return root;
+}
+
+const asArray = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : v == null ? [] : [v]);
+
+function likeToRegExp(pattern) {
+  const esc = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*").replace(/_/g, ".");
+  return new RegExp(`^${esc}$`, "i");
+}
+
+function matches(row, item) {
+  const { type, attribute } = item;
+  const v = row[attribute];
+  const value = item.value;
+  const eq = (a, b) => String(a ?? "") === String(b ?? "");
+
+  switch (type) {
+    case "equals": return eq(v, value);
+    case "notEquals": return !eq(v, value);
+    case "in": return asArray(value).some((x) => eq(v, x));
+    case "notIn": return !asArray(value).some((x) => eq(v, x));
+    case "isNull": return v == null || v === "";
+    case "isNotNull": return !(v == null || v === "");
+    case "isTrue": return v === true;
+    case "isFalse": return v === false || v == null;
+    case "greaterThan": return v != null && String(v) > String(value);
+    case "lessThan": return v != null && String(v) < String(value);
+    case "greaterThanOrEquals": return v != null && String(v) >= String(value);
+    case "lessThanOrEquals": return v != null && String(v) <= String(value);
+    case "between": {
+      const [from, to] = asArray(value);
+      return v != null && String(v) >= String(from) && String(v) <= String(to);
+    }
+    case "like": return v != null && likeToRegExp(value).test(String(v));
+    case "contains": return v != null && String(v).toLowerCase().includes(String(value).toLowerCase());
+    case "startsWith": return v != null && String(v).toLowerCase().startsWith(String(value).toLowerCase());
+    case "or": return asArray(value).some((x) => matches(row, x));
+    case "and": return asArray(value).every((x) => matches(row, x));
+    default: throw Object.assign(new Error(`Unsupported where type: ${type}`), { status: 400 });
+  }
+}
+
+/* -------------------- server -------------------- */
+export function createMockEspoServer({ apiKey = "test-key", entities = MOCK_ENTITIES } = {}) {
+  const store = Object.fromEntries(entities.map((e) => [e, new Map()]));
+  const users = new Map(); // userName → { id, userName, name, password }
+  const tokens = new Map(); // token → user id
+
+  const send = (res, status, body, headers = {}) => {
+    const isBuffer = Buffer.isBuffer(body);
+    res.writeHead(status, {
+      "Content-Type": isBuffer ? headers["Content-Type"] : "application/json",
+      ...headers,
+    });
+    res.end(isBuffer ? body : body === undefined ? "" : JSON.stringify(body));
+  };
+
+  const fail = (res, status, reason) => send(res, status, undefined, { "X-Status-Reason": reason });
+
+  const readJson = (req) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        try {
+          const txt = Buffer.concat(chunks).toString("utf8");
+          resolve(txt ? JSON.parse(txt) : {});
+        } catch {
+          reject(Object.assign(new Error("Bad JSON"), { status: 400 }));
+        }
+      });
+      req.on("error", reject);
+    });
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    // browsers hitting the mock from `vite dev`
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Api-Key, Authorization");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Expose-Headers", "Date, X-Status-Reason");
+    if (req.method === "OPTIONS") return send(res, 204);
+
+    if (url.pathname === "/api/v1/App/user") {
+      const raw = Buffer.from(String(req.headers["espo-authorization"] || ""), "base64").toString("utf8");
+      const sep = raw.indexOf(":");
+      const user = users.get(raw.slice(0, sep));
+      const secret = raw.slice(sep + 1);
+      const byToken = req.headers["espo-authorization-by-token"] === "true";
+
+      if (!user || sep < 0) return fail(res, 401, "Unauthorized");
+      if (byToken ? tokens.get(secret) !== user.id : user.password !== secret) return fail(res, 401, "Unauthorized");
+
+      const token = byToken ? secret : randomBytes(16).toString("hex");
+      tokens.set(token, user.id);
+      return send(res, 200, { user: { id: user.id, userName: user.userName, name: user.name }, token });
+    }
+
+    const m = url.pathname.match(/^\/api\/v1\/([^/]+)(?:\/(.+))?$/);
+    if (!m) return fail(res, 404, "Not found");
+    if (apiKey && req.headers["x-api-key"] !== apiKey) return fail(res, 401, "Bad API key");
+
+    const entity = decodeURIComponent(m[1]);
+    const rest = m[2] ? decodeURIComponent(m[2]) : "";
+    const table = store[entity];
+    if (!table) return fail(res, 404, `Unknown entity ${entity}`);
+
+    // GET /Attachment/file/:id → raw bytes
+    if (entity === "Attachment" && req.method === "GET" && rest.startsWith("file/")) {
+      const att = table.get(rest.slice(5));
+      if (!att) return fail(res, 404, "Attachment not found");
+      const [, mime = "application/octet-stream", b64 = ""] = String(att.contents || "").match(/^data:([^;]*);base64,(.*)$/) || [];
+      return send(res, 200, Buffer.from(b64, "base64"), { "Content-Type": mime });
+    }
+
+    if (req.method === "GET" && !rest) {
+      const q = parseNestedQuery(url.searchParams);
+      let rows = [...table.values()].filter((row) => asArray(q.where).every((w) => matches(row, w)));
+
+      const orderBy = q.orderBy || "createdAt";
+      const dir = q.order === "asc" ? 1 : -1;
+      rows.sort((a, b) => (String(a[orderBy] ?? "") < String(b[orderBy] ?? "") ? -dir : String(a[orderBy] ?? "") > String(b[orderBy] ?? "") ? dir : 0));
+
+      const offset = Number(q.offset) || 0;
+      const maxSize = Math.min(Number(q.maxSize) || 20, 200);
+      return send(res, 200, { total: rows.length, list: rows.slice(offset, offset + maxSize) });
+    }
+
+    if (req.method === "GET") {
+      const row = table.get(rest);
+      return row ? send(res, 200, row) : fail(res, 404, "Record not found");
+    }
+
+    if (req.method === "POST" && !rest) {
+      const body = await readJson(req);
+      const id = newId();
+      const at = nowSql();
+
+      if (entity === "Attachment") {
+        if (!/^data:[^;]*;base64,/.test(String(body.file || ""))) return fail(res, 400, "file must be a base64 data URL");
+        const { file, ...meta } = body;
+        const att = { ...meta, id, contents: file, size: Buffer.from(file.split(",")[1], "base64").length, createdAt: at };
+        table.set(id, att);
+        const { contents: _contents, ...publicAtt } = att;
+        return send(res, 200, publicAtt);
+      }
+
+      const row = { ...body, id, createdAt: at, modifiedAt: at, deleted: false };
+      table.set(id, row);
+      return send(res, 200, row);
+    }
+
+    if (req.method === "PUT" && rest) {
+      const row = table.get(rest);
+      if (!row) return fail(res, 404, "Record not found");
+      const body = await readJson(req);
+      const next = { ...row, ...body, id: row.id, createdAt: row.createdAt, modifiedAt: nowSql() };
+      table.set(row.id, next);
+      return send(res, 200, next);
+    }
+
+    return fail(res, 405, "Method not allowed");
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => fail(res, e.status || 500, e.message || "Server error"));
+  });
+
+  return {
+    server,
+    store,
+
+    // insert rows directly (fixtures); returns the stored rows
+    seed(entity, rows) {
+      const at = nowSql();
+      return rows.map((r) => {
+        const row = { id: newId(), createdAt: at, modifiedAt: at, ...r };
+        store[entity].set(row.id, row);
+        return row;
+      });
+    },
+
+    addUser({ userName, password, name = userName }) {
+      const user = { id: newId(), userName, password, name };
+      users.set(userName, user);
+      return user;
+    },
+
+    revokeTokens() {
+      tokens.clear();
+    },
+
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve) => {
+        server.listen(port, host, () => {
+          const { port: p } = server.address();
+          resolve(`http://${host}:${p}/api/v1`);
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const port = Number(process.env.PORT) || 8787;
+  const mock = createMockEspoServer({ apiKey: process.env.MOCK_ESPO_API_KEY || "test-key" });
+  mock.listen(port, "0.0.0.0").then(() => {
+    console.log(`[mock-espo] http://localhost:${port}/api/v1  (X-Api-Key: ${process.env.MOCK_ESPO_API_KEY || "test-key"})`);
+  });
+}
@@ -0,0 +1,789 @@
+/* -------------------- ESPO proxy (keeps the API key off the phones) -------------------- */
+// Phones talk to this proxy instead of ESPO; only the proxy knows X_API_KEY. It speaks the same
+// REST shape as ESPO, so the app just points VITE_ESPO_BASEURL at it, but it only lets through
+// what the app needs:
+//   GET  /api/v1/App/user                 ESPO user login (no token needed) → adds `proxyToken`
+//   POST /api/v1/App/pinLogin             { employeeId, pin } from a phone with a device token →
+//                                         { employee, proxyToken }; the PIN is checked here, with a
+//                                         lockout after 5 wrong PINs, so phones never see pinHash
+//   GET  /api/v1/App/me                   who a user token acts for + isManager (read live)
+//   GET  /api/v1/:attendance[/:id]        today's record, history, dashboard, export
+//   POST /api/v1/:attendance              checkin of the employee the token acts for
+//   PUT  /api/v1/:attendance/:id          that employee's next punch on their open record
+//                                         (see checkAttendanceCreate / checkAttendanceUpdate)
+//   GET  /api/v1/:office | :employee[/:id] roster, face reference (never pinHash, see SECRET_FIELDS)
+//   PUT  /api/v1/:employee/:id            face enrolment / phone registration fields only, on the
+//                                         caller's own record (managers: any record); approving a
+//                                         phone needs a manager, a new phone key always resets it
+//   POST /api/v1/Attachment               selfie / face photo (image data URL, size-capped)
+//   GET  /api/v1/Attachment/file/:id
+//
+// Every other call needs `Authorization: Bearer <token>`, where the token is either
+//   – a device token from PROXY_DEVICE_TOKENS ({"<token>": "<device label>", ...}), handed to each
+//     phone once with a link like https://attendance.example/#device-token=<token>, or
+//   – a user token the proxy signed (PROXY_TOKEN_SECRET) when that user logged in through it.
+// Punches need a user token that acts for an employee (PIN login, or an ESPO user linked to a
+// CEmployee), so proxy builds need VITE_AUTH_MODE=pin or user. A punch queued offline replays with
+// the token it was made under; after the token expires it still may for PROXY_REPLAY_GRACE_HOURS
+// (default 72), for punch times inside the token's lifetime only.
+//
+// Run:  ESPO_BASEURL=https://crm.example.com/api/v1/CAttendance X_API_KEY=… \
+//       PROXY_DEVICE_TOKENS='{"…":"Reception tablet"}' PROXY_TOKEN_SECRET=… npm run proxy
+// then build the app with VITE_ESPO_BASEURL=http://<proxy>:8788/api/v1/CAttendance, VITE_ESPO_PROXY=on
+// and no VITE_X_API_KEY.
+
+import http from "node:http";
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { verifyPunchSignature } from "../src/lib/punchSignature.js";
+
+const IDENT = /^[A-Za-z][A-Za-z0-9_]*$/;
+const RECORD_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const WHERE_TYPES = new Set([
+  "equals", "notEquals", "in", "notIn", "isNull", "isNotNull", "isTrue", "isFalse",
+  "greaterThan", "lessThan", "greaterThanOrEquals", "lessThanOrEquals", "between",
+  "like", "contains", "startsWith", "or", "and",
+]);
+
+// written by the server only; never taken from a phone
+const PROTECTED_FIELDS = new Set([
+  "id", "deleted", "createdAt", "modifiedAt", "createdById", "createdByName", "modifiedById", "modifiedByName",
+  "assignedUserId", "assignedUserName", "teamsIds", "teamsNames",
+]);
+
+// kept on the server: stripped from every response and not usable in queries
+const SECRET_FIELDS = new Set(["pinHash"]);
+
+const EMPLOYEE_WRITE_FIELDS = new Set([
+  "faceDescriptor", "faceReferenceId", "faceReferenceName", "faceEnrolledAt",
+  "deviceId", "devicePublicKey", "deviceLabel", "deviceStatus", "deviceRequestedAt", "deviceApprovedAt", "deviceApprovedBy",
+]);
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+const MAX_PAGE_SIZE = 200;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MS = 5 * 60 * 1000;
+const CLOCK_SLACK_MS = 5 * 60 * 1000;
+const MAX_SHIFT_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ProxyError";
+    this.status = status;
+  }
+}
+
+const bad = (message) => new ProxyError(400, message);
+
+/* -------------------- config -------------------- */
+// same derivation as getEspoConfig() in the app: .../api/v1/CAttendance → root + entity
+export function parseEspoBaseUrl(baseUrl) {
+  const u = new URL(String(baseUrl || "").trim());
+  u.search = "";
+  u.hash = "";
+  const m = u.pathname.match(/\/([^/]+)\/?$/);
+  if (!m) throw new Error("ESPO_BASEURL must end with the attendance entity, e.g. .../api/v1/CAttendance");
+  const attendanceEntity = decodeURIComponent(m[1]);
+  u.pathname = u.pathname.replace(/\/[^/]+\/?$/, "");
+  return { apiRoot: u.toString().replace(/\/$/, ""), attendanceEntity };
+}
+
+// {"token": "label"} or "token1,token2" → Map token → label
+export function parseDeviceTokens(raw) {
+  const txt = String(raw || "").trim();
+  if (!txt) return new Map();
+  if (txt.startsWith("{")) return new Map(Object.entries(JSON.parse(txt)).map(([k, v]) => [k.trim(), String(v || k)]));
+  return new Map(txt.split(",").map((s) => s.trim()).filter(Boolean).map((s, i) => [s, `device ${i + 1}`]));
+}
+
+/* -------------------- signed user tokens -------------------- */
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+// sub = ESPO user (ESPO login), emp / empName = the employee the token acts for
+export function signUserToken(secret, { userId = "", userName = "", employeeId = "", employeeName = "" }, ttlMs, now = Date.now()) {
+  const body = b64url(JSON.stringify({ sub: userId, name: userName, emp: employeeId, empName: employeeName, iat: now, exp: now + ttlMs }));
+  return `${body}.${b64url(createHmac("sha256", secret).update(body).digest())}`;
+}
+
+// → { sub, name, emp, empName, iat, exp } or null; graceMs also accepts a token that expired that long ago
+export function verifyUserToken(secret, token, now = Date.now(), graceMs = 0) {
+  const [body, sig] = String(token || "").split(".");
+  if (!secret || !body || !sig) return null;
+  const want = createHmac("sha256", secret).update(body).digest();
+  const got = Buffer.from(sig, "base64url");
+  if (got.length !== want.length || !timingSafeEqual(got, want)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return (claims?.sub || claims?.emp) && Number(claims.exp) + graceMs > now ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// same as hashPin() in the app: hex SHA-256 of "<employee record id>:<pin>"
+export const hashPin = (employeeId, pin) => createHash("sha256").update(`${employeeId}:${String(pin).trim()}`).digest("hex");
+
+export function withoutSecrets(row) {
+  if (!row || typeof row !== "object") return row;
+  const out = { ...row };
+  for (const f of SECRET_FIELDS) delete out[f];
+  return out;
+}
+
+/* -------------------- input validation -------------------- */
+// list queries as built by buildSearchParams(): maxSize, offset, orderBy, order, select, where[n][...]
+// secret fields cannot be selected, sorted or filtered on (a filter would leak the hash bit by bit)
+export function validateListQuery(searchParams) {
+  const field = (name, what) => {
+    if (!IDENT.test(name)) throw bad(`${what} must be a field name`);
+    if (SECRET_FIELDS.has(name)) throw bad(`${name} cannot be queried`);
+  };
+
+  for (const [key, value] of searchParams) {
+    if (key === "maxSize") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_SIZE) throw bad(`maxSize must be 1-${MAX_PAGE_SIZE}`);
+    } else if (key === "offset") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0) throw bad("offset must be a non-negative integer");
+    } else if (key === "orderBy") {
+      field(value, "orderBy");
+    } else if (key === "order") {
+      if (!["asc", "desc"].includes(value)) throw bad("order must be asc or desc");
+    } else if (key === "select") {
+      value.split(",").forEach((f) => field(f, "select"));
+    } else if (/^where(\[[A-Za-z0-9_]+\])+$/.test(key)) {
+      const last = key.slice(key.lastIndexOf("[") + 1, -1);
+      if (last === "type" && !WHERE_TYPES.has(value)) throw bad(`Unsupported where type: ${value}`);
+      if (last === "attribute") field(value, "where attribute");
+      if (value.length > 500) throw bad("where value too long");
+    } else {
+      throw bad(`Unsupported query parameter: ${key}`);
+    }
+  }
+}
+
+const isScalar = (v) => v === null || ["string", "number", "boolean"].includes(typeof v);
+
+// flat record payload: field names only, scalar values (or lists of scalars), nothing server-owned
+export function validateRecordBody(body, { allowed = null } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw bad("Body must be a JSON object");
+  for (const [key, value] of Object.entries(body)) {
+    if (!IDENT.test(key)) throw bad(`Invalid field name: ${key}`);
+    if (PROTECTED_FIELDS.has(key)) throw bad(`Field ${key} cannot be set`);
+    if (allowed && !allowed.has(key)) throw bad(`Field ${key} cannot be changed here`);
+    if (!(isScalar(value) || (Array.isArray(value) && value.every(isScalar)))) throw bad(`Field ${key} must be a plain value`);
+    if (typeof value === "number" && !Number.isFinite(value)) throw bad(`Field ${key} must be a finite number`);
+  }
+  return body;
+}
+
+/* -------------------- attendance writes: the caller's next punch only -------------------- */
+// What submitPunch() in the app writes, and nothing else: a create is the caller's checkin; an
+// update is exactly one next punch on the caller's still open record (checkout, a new break or
+// the end of the open one) and leaves everything already on it as it was.
+const RECORD_KEYS = ["name", "officeCode", "employeeName", "attendanceDate", "daykey"];
+const DAY_FLAGS = new Set(["outsideGeofence", "faceReviewRequired", "deviceReviewRequired", "locationReviewRequired", "timeReviewRequired"]);
+const WORK_TIME_FIELDS = ["grossMinutes", "breakMinutes", "netMinutes", "lateMinutes", "earlyLeaveMinutes", "overtimeMinutes"];
+const CHECKIN_FIELDS = new Set([...RECORD_KEYS, "officeLat", "officeLng", "notes", "locationSource", "timeZone", "recordType", "checkInAt", "checkInSelfieId", "checkInSelfieName"]);
+const CHECKOUT_FIELDS = new Set([...RECORD_KEYS, "checkOutAt", "checkOutSelfieId", "checkOutSelfieName", ...WORK_TIME_FIELDS]);
+const BREAK_FIELDS = new Set([...RECORD_KEYS, "breaks", "breakSelfiesIds"]);
+
+const forbidden = (message) => new ProxyError(403, message);
+
+// "2026-10-19 04:00:00" (UTC) → epoch ms, NaN otherwise
+const utcMs = (v) => (DATETIME.test(String(v ?? "")) ? Date.parse(`${String(v).replace(" ", "T")}Z`) : NaN);
+
+// evidence fields carry the punch type in front: checkinFaceScore, endDeviceId, …
+const isEvidenceOf = (prefix, key) => key.startsWith(prefix) && /^[A-Z]/.test(key.slice(prefix.length));
+
+// same JSON whatever the key order
+const canonical = (obj) => JSON.stringify(Object.keys(obj || {}).sort().map((k) => [k, obj[k]]));
+
+// same as parseBreaks() in the app: days from before the breaks list read as one lunch break
+export function recordBreaks(rec) {
+  let value = rec?.breaks;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      value = null;
+    }
+  }
+  if (Array.isArray(value) && value.length) return value.filter((b) => b?.startAt);
+
+  if (!rec?.lunchOutAt) return [];
+  return [
+    {
+      type: "lunch",
+      startAt: rec.lunchOutAt,
+      endAt: rec.lunchInAt || null,
+      startSelfieId: rec.lunchOutSelfieId || null,
+      endSelfieId: rec.lunchInSelfieId || null,
+    },
+  ];
+}
+
+function checkPunchFields(body, allowed, prefix) {
+  for (const key of Object.keys(body)) {
+    if (DAY_FLAGS.has(key)) {
+      if (body[key] !== true) throw bad(`${key} can only be raised`);
+    } else if (!allowed.has(key) && !isEvidenceOf(prefix, key)) {
+      throw bad(`Field ${key} is not part of this punch`);
+    }
+  }
+}
+
+// a punch time is only taken inside the lifetime of the token it comes with (and not from the future)
+function checkPunchTime(ms, caller, now, { notBefore = -Infinity, notAfter = Infinity } = {}) {
+  if (!Number.isFinite(ms)) throw bad("Punch time must be YYYY-MM-DD HH:MM:SS (UTC)");
+  if (ms > now + CLOCK_SLACK_MS) throw bad("Punch time is in the future");
+  if (ms < notBefore || ms > notAfter) throw bad("Punch time is outside this shift");
+  if (ms < (caller.issuedAt || 0) - CLOCK_SLACK_MS || ms > caller.expiresAt + CLOCK_SLACK_MS) {
+    throw forbidden("Punch time is outside this login");
+  }
+}
+
+// → { type: "checkin", punchedAtUtc }
+export function checkAttendanceCreate(body, caller, now = Date.now()) {
+  validateRecordBody(body);
+  for (const f of ["employeeName", "officeCode"]) {
+    if (typeof body[f] !== "string" || !body[f].trim()) throw bad(`${f} is required`);
+  }
+  if (!DATE.test(String(body.attendanceDate || ""))) throw bad("attendanceDate must be YYYY-MM-DD");
+  if (body.employeeName.trim() !== caller.employeeName) throw forbidden("Not your attendance record");
+  if (body.daykey !== undefined && body.daykey !== `${body.attendanceDate}__${body.employeeName}`.toLowerCase()) {
+    throw bad("daykey does not match the record");
+  }
+  checkPunchFields(body, CHECKIN_FIELDS, "checkin");
+
+  // the shift day is the office's calendar day at check-in, never more than a day off UTC
+  const at = utcMs(body.checkInAt);
+  const day = Date.parse(`${body.attendanceDate}T00:00:00Z`);
+  checkPunchTime(at, caller, now, { notBefore: day - DAY_MS, notAfter: day + 2 * DAY_MS });
+  return { type: "checkin", punchedAtUtc: body.checkInAt };
+}
+
+// existing = the record as stored → { type, punchedAtUtc, breakIndex? }
+export function checkAttendanceUpdate(existing, body, caller, now = Date.now()) {
+  validateRecordBody(body);
+  if (String(existing?.employeeName || "").trim() !== caller.employeeName) throw forbidden("Not your attendance record");
+  if (existing.checkOutAt) throw new ProxyError(409, "This day is already checked out");
+  const checkInMs = utcMs(existing.checkInAt);
+  if (!Number.isFinite(checkInMs)) throw new ProxyError(409, "This day has no check-in");
+  for (const key of RECORD_KEYS) {
+    if (key in body && String(body[key] ?? "") !== String(existing[key] ?? "")) throw bad(`${key} cannot be changed`);
+  }
+
+  const shift = { notBefore: checkInMs, notAfter: checkInMs + MAX_SHIFT_MS };
+  if ("breaks" in body) return checkBreakUpdate(existing, body, caller, now, shift);
+  if (!("checkOutAt" in body)) throw bad("The update carries no punch");
+
+  checkPunchFields(body, CHECKOUT_FIELDS, "checkout");
+  const last = recordBreaks(existing).at(-1);
+  checkPunchTime(utcMs(body.checkOutAt), caller, now, { ...shift, notBefore: Math.max(checkInMs, utcMs(last?.endAt || last?.startAt) || 0) });
+  return { type: "checkout", punchedAtUtc: body.checkOutAt };
+}
+
+function checkBreakUpdate(existing, body, caller, now, shift) {
+  checkPunchFields(body, BREAK_FIELDS, "");
+
+  let next = null;
+  try {
+    next = JSON.parse(String(body.breaks));
+  } catch {
+    next = null;
+  }
+  const isEntry = (b) => b && typeof b === "object" && !Array.isArray(b) && Object.values(b).every(isScalar);
+  if (!Array.isArray(next) || !next.every(isEntry)) throw bad("breaks must be a JSON list of breaks");
+
+  const before = recordBreaks(existing);
+  const open = before.at(-1) && !before.at(-1).endAt ? before.at(-1) : null;
+  if (next.length !== before.length + (open ? 0 : 1)) throw bad("A punch starts or ends exactly one break");
+  const done = open ? before.length - 1 : before.length;
+  for (let i = 0; i < done; i++) {
+    if (canonical(next[i]) !== canonical(before[i])) throw bad("Earlier breaks cannot be changed");
+  }
+
+  const entry = next.at(-1);
+  let at;
+  if (open) {
+    for (const [key, value] of Object.entries(open)) {
+      if (key !== "endAt" && !isEvidenceOf("end", key) && String(entry[key] ?? "") !== String(value ?? "")) {
+        throw bad("The open break cannot be changed");
+      }
+    }
+    for (const key of Object.keys(entry)) {
+      if (!(key in open) && !isEvidenceOf("end", key)) throw bad(`Break field ${key} is not part of this punch`);
+    }
+    at = utcMs(entry.endAt);
+    checkPunchTime(at, caller, now, { ...shift, notBefore: utcMs(open.startAt) });
+  } else {
+    for (const key of Object.keys(entry)) {
+      if (!["type", "startAt", "endAt"].includes(key) && !isEvidenceOf("start", key)) throw bad(`Break field ${key} is not part of this punch`);
+    }
+    if (typeof entry.type !== "string" || entry.endAt != null) throw bad("A new break has a type and no end yet");
+    at = utcMs(entry.startAt);
+    checkPunchTime(at, caller, now, { ...shift, notBefore: Math.max(shift.notBefore, utcMs(before.at(-1)?.endAt) || 0) });
+  }
+
+  if (body.breakSelfiesIds !== undefined) {
+    const ids = Array.isArray(body.breakSelfiesIds) ? body.breakSelfiesIds : [];
+    const had = existing.breakSelfiesIds || [];
+    if (ids.length > had.length + 1 || had.some((id) => !ids.includes(id))) throw bad("breakSelfiesIds can only gain this punch's selfie");
+  }
+
+  return { type: open ? "breakEnd" : "breakStart", punchedAtUtc: open ? entry.endAt : entry.startAt, breakIndex: next.length - 1 };
+}
+
+/* -------------------- is the punch from the employee's approved phone? -------------------- */
+// Decided here, not on the phone: `<prefix>DeviceTrusted` (prefix = checkin / checkout, or start /
+// end inside the break) is true only for a signature by the approved phone's CEmployee.devicePublicKey,
+// and the day's deviceReviewRequired is raised otherwise. Employees without a registered phone
+// punching without one get neither.
+const EVIDENCE_PREFIX = { checkin: "checkin", checkout: "checkout", breakStart: "start", breakEnd: "end" };
+
+// punch = { type, punchedAtUtc, breakIndex? } from checkAttendanceCreate / checkAttendanceUpdate
+export async function stampDeviceTrust(body, punch, employee) {
+  const breaks = punch.breakIndex != null ? JSON.parse(body.breaks) : null;
+  const evidence = breaks ? breaks[punch.breakIndex] : body;
+  const field = (name) => `${EVIDENCE_PREFIX[punch.type]}${name}`;
+
+  const deviceId = String(evidence[field("DeviceId")] || "");
+  const registered = String(employee?.deviceId || "").trim();
+  delete body.deviceReviewRequired;
+  if (!deviceId && !registered) {
+    delete evidence[field("DeviceTrusted")];
+  } else {
+    let publicJwk = null;
+    try {
+      publicJwk = JSON.parse(employee?.devicePublicKey);
+    } catch {
+      publicJwk = null;
+    }
+    const approved = String(employee?.deviceStatus || "").trim().toLowerCase() === "approved";
+    const trusted =
+      approved &&
+      !!publicJwk &&
+      deviceId === registered &&
+      (await verifyPunchSignature(
+        publicJwk,
+        { employeeName: String(employee?.name || "").trim(), type: punch.type, punchedAtUtc: punch.punchedAtUtc },
+        { deviceId, signature: String(evidence[field("DeviceSignature")] || "") }
+      ));
+    evidence[field("DeviceTrusted")] = trusted;
+    if (!trusted) body.deviceReviewRequired = true;
+  }
+  if (breaks) body.breaks = JSON.stringify(breaks);
+  return body;
+}
+
+export function validateAttachment(body, relatedTypes) {
+  validateRecordBody(body);
+  const m = String(body.file || "").match(/^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/i);
+  if (!m) throw bad("file must be a base64 image data URL");
+  if (Math.floor((m[2].length * 3) / 4) > MAX_ATTACHMENT_BYTES) throw new ProxyError(413, "Attachment too large");
+  if (!relatedTypes.includes(body.relatedType)) throw bad("relatedType not allowed");
+  if (!IDENT.test(String(body.field || ""))) throw bad("field must be a field name");
+  return body;
+}
+
+/* -------------------- server -------------------- */
+export function createEspoProxy({
+  espoApiRoot,
+  apiKey,
+  attendanceEntity = "CAttendance",
+  officeEntity = "COffice",
+  employeeEntity = "CEmployee",
+  deviceTokens = new Map(),
+  tokenSecret = "",
+  userTokenTtlMs = 12 * 60 * 60 * 1000,
+  replayGraceMs = 72 * 60 * 60 * 1000,
+  allowedOrigins = ["*"],
+  timeoutMs = 20000,
+  fetchImpl,
+} = {}) {
+  if (!espoApiRoot || !apiKey) throw new Error("ESPO API root and API key are required");
+  const doFetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+  const readable = new Set([attendanceEntity, officeEntity, employeeEntity]);
+
+  const send = (res, status, body, headers = {}) => {
+    const isBuffer = Buffer.isBuffer(body);
+    res.writeHead(status, { "Content-Type": isBuffer ? headers["Content-Type"] : "application/json", ...headers });
+    res.end(isBuffer ? body : body === undefined ? "" : JSON.stringify(body));
+  };
+
+  const fail = (res, status, reason) => send(res, status, undefined, { "X-Status-Reason": reason });
+
+  const readJson = (req) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on("data", (c) => {
+        size += c.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new ProxyError(413, "Body too large"));
+          req.destroy();
+        } else chunks.push(c);
+      });
+      req.on("end", () => {
+        try {
+          const txt = Buffer.concat(chunks).toString("utf8");
+          resolve(txt ? JSON.parse(txt) : {});
+        } catch {
+          reject(bad("Bad JSON"));
+        }
+      });
+      req.on("error", reject);
+    });
+
+  // → { kind: "device", label } | { kind: "user", userId, employeeId, employeeName, issuedAt, expiresAt, expired } | null
+  // (expired: within replayGraceMs after expiry, only good for replaying punches)
+  const authenticate = (req) => {
+    const m = String(req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+    if (!m) return null;
+    if (deviceTokens.has(m[1])) return { kind: "device", label: deviceTokens.get(m[1]) };
+    const now = Date.now();
+    const claims = verifyUserToken(tokenSecret, m[1], now, replayGraceMs);
+    if (!claims) return null;
+    return {
+      kind: "user",
+      userId: claims.sub || "",
+      employeeId: claims.emp || "",
+      employeeName: String(claims.empName || "").trim(),
+      issuedAt: Number(claims.iat) || 0,
+      expiresAt: Number(claims.exp),
+      expired: Number(claims.exp) <= now,
+    };
+  };
+
+  // forwards to ESPO with the API key and relays status, body and the headers the app reads
+  const forward = async (method, path, { search = "", body, headers = {} } = {}) => {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    let upstream;
+    try {
+      upstream = await doFetch(`${espoApiRoot}${path}${search}`, {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(headers["Espo-Authorization"] ? {} : { "X-Api-Key": apiKey }),
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: ctrl.signal,
+      });
+    } catch (e) {
+      throw new ProxyError(502, e?.name === "AbortError" ? "ESPO timeout" : "ESPO unreachable");
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const out = {};
+    for (const h of ["Date", "X-Status-Reason"]) {
+      const v = upstream.headers.get(h);
+      if (v) out[h] = v;
+    }
+    return { upstream, headers: out };
+  };
+
+  const relay = async (res, method, path, opts) => {
+    const { upstream, headers } = await forward(method, path, opts);
+    const buf = Buffer.from(await upstream.arrayBuffer());
+    send(res, upstream.status, buf, { ...headers, "Content-Type": upstream.headers.get("content-type") || "application/json" });
+  };
+
+  // employee records leave the proxy without their secrets
+  const relayEmployee = async (res, method, path, opts) => {
+    const { upstream, headers } = await forward(method, path, opts);
+    const txt = await upstream.text().catch(() => "");
+    let data = null;
+    try {
+      data = upstream.ok && txt ? JSON.parse(txt) : null;
+    } catch {
+      data = null;
+    }
+    if (!data) return send(res, upstream.status, Buffer.from(txt), { ...headers, "Content-Type": "application/json" });
+    const clean = Array.isArray(data.list) ? { ...data, list: data.list.map(withoutSecrets) } : withoutSecrets(data);
+    return send(res, upstream.status, clean, headers);
+  };
+
+  // the CEmployee record a user token acts for (PIN login: emp, ESPO login: linked by userId), read live
+  const callerEmployee = async (caller) => {
+    if (caller.kind !== "user") return null;
+    if (caller.employeeId) {
+      const { upstream } = await forward("GET", `/${encodeURIComponent(employeeEntity)}/${encodeURIComponent(caller.employeeId)}`);
+      return upstream.ok ? await upstream.json().catch(() => null) : null;
+    }
+    if (!caller.userId) return null;
+    const search = `?${new URLSearchParams({
+      maxSize: "1",
+      "where[0][type]": "equals",
+      "where[0][attribute]": "userId",
+      "where[0][value]": caller.userId,
+    })}`;
+    const { upstream } = await forward("GET", `/${encodeURIComponent(employeeEntity)}`, { search });
+    if (!upstream.ok) return null;
+    const data = await upstream.json().catch(() => null);
+    return data?.list?.[0] || null;
+  };
+
+  // the app checks a stored session (and who may see the dashboard) with this
+  const me = async (res, caller) => {
+    const employee = await callerEmployee(caller);
+    if (!employee?.id) return fail(res, 401, "Token is not linked to an employee");
+    return send(res, 200, {
+      employeeId: employee.id,
+      employeeName: String(employee.name || "").trim(),
+      isManager: !!employee.isManager,
+    });
+  };
+
+  const login = async (req, res) => {
+    const headers = {};
+    for (const h of ["Espo-Authorization", "Espo-Authorization-By-Token", "Espo-Authorization-Create-Token-Secret"]) {
+      const v = req.headers[h.toLowerCase()];
+      if (v) headers[h] = String(v);
+    }
+    if (!headers["Espo-Authorization"]) return fail(res, 401, "Unauthorized");
+
+    const { upstream, headers: out } = await forward("GET", "/App/user", { headers });
+    const txt = await upstream.text().catch(() => "");
+    if (!upstream.ok) return send(res, upstream.status, Buffer.from(txt), { ...out, "Content-Type": "application/json" });
+
+    const data = txt ? JSON.parse(txt) : {};
+    const user = data?.user;
+    if (tokenSecret && user?.id) {
+      // the token acts for the CEmployee linked to this user (if any): that is whose punches it may write
+      const employee = await callerEmployee({ kind: "user", userId: user.id });
+      data.proxyToken = signUserToken(
+        tokenSecret,
+        { userId: user.id, userName: user.userName, employeeId: employee?.id || "", employeeName: String(employee?.name || "").trim() },
+        userTokenTtlMs
+      );
+    }
+    return send(res, 200, data, out);
+  };
+
+  /* ---------- PIN login (lockout per employee, in memory) ---------- */
+  const pinAttempts = new Map(); // employee id → { count, at }
+
+  const pinLockMs = (employeeId, now = Date.now()) => {
+    const a = pinAttempts.get(employeeId);
+    if (!a || a.count < PIN_MAX_ATTEMPTS) return 0;
+    return Math.max(0, a.at + PIN_LOCK_MS - now);
+  };
+
+  const pinFailed = (employeeId, now = Date.now()) => {
+    const prev = pinAttempts.get(employeeId);
+    const expired = prev && prev.count >= PIN_MAX_ATTEMPTS && now - prev.at > PIN_LOCK_MS;
+    pinAttempts.set(employeeId, { count: (expired ? 0 : prev?.count || 0) + 1, at: now });
+  };
+
+  const pinLogin = async (req, res, caller) => {
+    if (caller.kind !== "device") return fail(res, 403, "PIN login needs a device token");
+    if (!tokenSecret) return fail(res, 503, "PROXY_TOKEN_SECRET is not set");
+
+    const body = await readJson(req);
+    const employeeId = String(body?.employeeId || "");
+    const pin = String(body?.pin || "").trim();
+    if (!RECORD_ID.test(employeeId)) throw bad("employeeId is required");
+    if (!/^\d{4,8}$/.test(pin)) throw bad("PIN must be 4-8 digits");
+
+    const locked = pinLockMs(employeeId);
+    if (locked) {
+      return send(res, 429, undefined, { "Retry-After": String(Math.ceil(locked / 1000)), "X-Status-Reason": "Too many wrong PINs" });
+    }
+
+    const { upstream } = await forward("GET", `/${encodeURIComponent(employeeEntity)}/${encodeURIComponent(employeeId)}`);
+    if (upstream.status === 404) return fail(res, 404, "Employee not found");
+    if (!upstream.ok) throw new ProxyError(502, `ESPO answered ${upstream.status}`);
+    const employee = await upstream.json();
+    if (!employee?.pinHash) return fail(res, 403, "No PIN set");
+
+    const want = Buffer.from(String(employee.pinHash).trim().toLowerCase());
+    const got = Buffer.from(hashPin(employee.id, pin));
+    if (want.length !== got.length || !timingSafeEqual(want, got)) {
+      pinFailed(employeeId);
+      return fail(res, 401, "Wrong PIN");
+    }
+    pinAttempts.delete(employeeId);
+
+    const proxyToken = signUserToken(tokenSecret, { employeeId: employee.id, employeeName: String(employee.name || "").trim() }, userTokenTtlMs);
+    return send(res, 200, { employee: withoutSecrets(employee), proxyToken });
+  };
+
+  /* ---------- employee writes ---------- */
+  const updateEmployee = async (req, res, caller, id) => {
+    const body = validateRecordBody(await readJson(req), { allowed: EMPLOYEE_WRITE_FIELDS });
+    const self = await callerEmployee(caller);
+    if (!self?.id) throw forbidden("Employee records need the employee's own login");
+    const manager = !!self.isManager; // managers are employees with CEmployee.isManager
+    if (!manager && id !== self.id) throw forbidden("Only your own employee record can be changed");
+
+    const approving = body.deviceStatus !== undefined && body.deviceStatus !== "Pending";
+    if (!manager && (approving || body.deviceApprovedAt || body.deviceApprovedBy)) throw forbidden("Only a manager can approve a phone");
+    if (approving) body.deviceApprovedBy = String(self.name || "").trim();
+
+    // another phone (or another key on it) is never approved yet, whoever sends it
+    if ("deviceId" in body || "devicePublicKey" in body) {
+      const path = `/${encodeURIComponent(employeeEntity)}/${encodeURIComponent(id)}`;
+      const { upstream } = await forward("GET", path);
+      if (upstream.status === 404) return fail(res, 404, "Employee not found");
+      if (!upstream.ok) throw new ProxyError(502, `ESPO answered ${upstream.status}`);
+      const current = await upstream.json();
+      const changed = ["deviceId", "devicePublicKey"].some((f) => f in body && String(body[f] ?? "") !== String(current?.[f] ?? ""));
+      if (changed) Object.assign(body, { deviceStatus: "Pending", deviceApprovedAt: null, deviceApprovedBy: null });
+    }
+
+    return relayEmployee(res, "PUT", `/${encodeURIComponent(employeeEntity)}/${encodeURIComponent(id)}`, { body });
+  };
+
+  /* ---------- attendance writes ---------- */
+  const punchCaller = (caller) => {
+    if (caller.kind !== "user" || !caller.employeeName) throw forbidden("Punches need the employee's own login");
+    return caller;
+  };
+
+  const createAttendance = async (req, res, caller) => {
+    const body = await readJson(req);
+    const punch = checkAttendanceCreate(body, punchCaller(caller));
+    await stampDeviceTrust(body, punch, await callerEmployee(caller));
+    return relay(res, "POST", `/${encodeURIComponent(attendanceEntity)}`, { body });
+  };
+
+  const updateAttendance = async (req, res, caller, id) => {
+    const body = await readJson(req);
+    punchCaller(caller);
+    const path = `/${encodeURIComponent(attendanceEntity)}/${encodeURIComponent(id)}`;
+    const { upstream } = await forward("GET", path);
+    if (upstream.status === 404) return fail(res, 404, "Record not found");
+    if (!upstream.ok) throw new ProxyError(502, `ESPO answered ${upstream.status}`);
+    const punch = checkAttendanceUpdate(await upstream.json(), body, caller);
+    await stampDeviceTrust(body, punch, await callerEmployee(caller));
+    return relay(res, "PUT", path, { body });
+  };
+
+  // what an expired token may still do: replay the punches made while it was valid
+  const isReplayCall = (entity, method) =>
+    (entity === attendanceEntity && ["GET", "POST", "PUT"].includes(method)) || (entity === "Attachment" && method === "POST");
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    const origin = req.headers.origin;
+    const allowOrigin = allowedOrigins.includes("*") ? "*" : allowedOrigins.includes(origin) ? origin : "";
+    if (allowOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+      if (allowOrigin !== "*") res.setHeader("Vary", "Origin");
+    }
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, Espo-Authorization, Espo-Authorization-By-Token, Espo-Authorization-Create-Token-Secret"
+    );
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, OPTIONS");
+    res.setHeader("Access-Control-Expose-Headers", "Date, X-Status-Reason, Retry-After");
+    if (req.method === "OPTIONS") return send(res, 204);
+
+    if (url.pathname === "/api/v1/App/user" && req.method === "GET") return login(req, res);
+
+    const m = url.pathname.match(/^\/api\/v1\/([^/]+)(?:\/(.+))?$/);
+    if (!m) return fail(res, 404, "Not found");
+    const caller = authenticate(req);
+    if (!caller) return fail(res, 401, "Missing or invalid access token");
+    if (url.pathname === "/api/v1/App/pinLogin" && req.method === "POST") return pinLogin(req, res, caller);
+    if (url.pathname === "/api/v1/App/me" && req.method === "GET") {
+      return caller.expired ? fail(res, 401, "Login expired") : me(res, caller);
+    }
+
+    const entity = decodeURIComponent(m[1]);
+    const rest = m[2] ? decodeURIComponent(m[2]) : "";
+    if (caller.expired && !isReplayCall(entity, req.method)) return fail(res, 401, "Login expired");
+    const path = (id) => `/${encodeURIComponent(entity)}${id ? `/${encodeURIComponent(id)}` : ""}`;
+
+    if (entity === "Attachment") {
+      if (req.method === "GET" && rest.startsWith("file/") && RECORD_ID.test(rest.slice(5))) {
+        return relay(res, "GET", `/Attachment/file/${encodeURIComponent(rest.slice(5))}`);
+      }
+      if (req.method === "POST" && !rest) {
+        const body = validateAttachment(await readJson(req), [attendanceEntity, employeeEntity]);
+        return relay(res, "POST", "/Attachment", { body });
+      }
+      return fail(res, 405, "Method not allowed");
+    }
+
+    if (!readable.has(entity)) return fail(res, 404, `Unknown entity ${entity}`);
+    if (rest && !RECORD_ID.test(rest)) return fail(res, 400, "Invalid record id");
+
+    const relayFor = entity === employeeEntity ? relayEmployee : relay;
+    if (req.method === "GET" && !rest) {
+      validateListQuery(url.searchParams);
+      return relayFor(res, "GET", path(), { search: url.search });
+    }
+    if (req.method === "GET") return relayFor(res, "GET", path(rest));
+
+    if (entity === attendanceEntity && req.method === "POST" && !rest) return createAttendance(req, res, caller);
+    if (entity === attendanceEntity && req.method === "PUT" && rest) return updateAttendance(req, res, caller, rest);
+    if (entity === employeeEntity && req.method === "PUT" && rest) return updateEmployee(req, res, caller, rest);
+
+    return fail(res, 405, "Method not allowed");
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      if (!(e instanceof ProxyError)) console.warn("[espo-proxy]", e?.message || e);
+      if (!res.headersSent) fail(res, e.status || 500, e instanceof ProxyError ? e.message : "Proxy error");
+    });
+  });
+
+  return {
+    server,
+
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve) => {
+        server.listen(port, host, () => {
+          const { port: p } = server.address();
+          resolve(`http://${host}:${p}/api/v1`);
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const env = process.env;
+  const { apiRoot, attendanceEntity } = parseEspoBaseUrl(env.ESPO_BASEURL);
+  const deviceTokens = parseDeviceTokens(env.PROXY_DEVICE_TOKENS);
+  if (!deviceTokens.size && !env.PROXY_TOKEN_SECRET) {
+    console.warn("[espo-proxy] neither PROXY_DEVICE_TOKENS nor PROXY_TOKEN_SECRET is set — every data call will be refused");
+  }
+
+  const proxy = createEspoProxy({
+    espoApiRoot: apiRoot,
+    apiKey: String(env.X_API_KEY || "").trim(),
+    attendanceEntity,
+    officeEntity: (env.ESPO_OFFICE_ENTITY || "").trim() || "COffice",
+    employeeEntity: (env.ESPO_EMPLOYEE_ENTITY || "").trim() || "CEmployee",
+    deviceTokens,
+    tokenSecret: String(env.PROXY_TOKEN_SECRET || ""),
+    userTokenTtlMs: (Number(env.PROXY_USER_TOKEN_MINUTES) || 12 * 60) * 60 * 1000,
+    replayGraceMs: (Number(env.PROXY_REPLAY_GRACE_HOURS) || 72) * 60 * 60 * 1000,
+    allowedOrigins: String(env.PROXY_ALLOWED_ORIGINS || "*").split(",").map((s) => s.trim()).filter(Boolean),
+  });
+
+  const port = Number(env.PORT) || 8788;
+  proxy.listen(port, "0.0.0.0").then(() => {
+    console.log(`[espo-proxy] http://localhost:${port}/api/v1/${attendanceEntity} → ${apiRoot} (${deviceTokens.size} device token(s))`);
+  });
+}
@@ -0,0 +1,358 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import { createMockEspoServer } from "../mock/espo-server.js";
+import {
+  approveDeviceBinding,
+  createEspoClient,
+  EspoHttpError,
+  findTodayRecord,
+  getEspoConfig,
+  hashPin,
+  AuthError,
+  hasEspoAccess,
+  isSessionStillValid,
+  listPendingDevices,
+  loadOrg,
+  loginWithEspoUser,
+  loginWithPin,
+  requestDeviceBinding,
+  saveFaceReference,
+} from "../src/lib/espo";
+import { createDeviceKey, signPunch } from "../src/lib/device";
+import { submitPunch } from "../src/lib/punchSync";
+import { createEspoProxy, signUserToken, validateListQuery, verifyUserToken } from "./espo-proxy.js";
+
+const API_KEY = "test-key";
+const DEVICE_TOKEN = "device-abc";
+const SECRET = "proxy-secret";
+
+let mock;
+let proxy;
+let proxyRoot;
+
+beforeAll(async () => {
+  mock = createMockEspoServer({ apiKey: API_KEY });
+  const espoApiRoot = await mock.listen();
+  proxy = createEspoProxy({
+    espoApiRoot,
+    apiKey: API_KEY,
+    deviceTokens: new Map([[DEVICE_TOKEN, "Reception tablet"]]),
+    tokenSecret: SECRET,
+  });
+  proxyRoot = await proxy.listen();
+});
+
+afterAll(async () => {
+  await proxy.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  for (const table of Object.values(mock.store)) table.clear();
+});
+
+const viaProxy = (authToken) => createEspoClient({ apiRoot: proxyRoot, proxy: true, authToken });
+
+// what a PIN login hands out: a token acting for one employee
+const employeeToken = (employeeName, { employeeId = "emp-1", ttlMs = 60 * 60 * 1000, now = Date.now() } = {}) =>
+  signUserToken(SECRET, { employeeId, employeeName }, ttlMs, now);
+
+const MINUTE = 60 * 1000;
+const sqlTime = (ms) => new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+const checkin = (employeeName, at) => ({ employeeName, officeCode: "AMD01", attendanceDate: sqlTime(at).slice(0, 10), checkInAt: sqlTime(at) });
+
+describe("ESPO proxy", () => {
+  it("serves the app's calls with the employee's token and never needs the API key on the phone", async () => {
+    const client = viaProxy(async () => employeeToken("Ravi Patel"));
+    const punch = checkin("Ravi Patel", Date.now() - 2 * MINUTE);
+    const created = await client.create("CAttendance", punch);
+    const checkOutAt = sqlTime(Date.now());
+    await client.update("CAttendance", created.id, { checkOutAt });
+
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: punch.attendanceDate });
+    expect(rec).toMatchObject({ id: created.id, checkOutAt });
+
+    const att = await client.uploadAttachment(new File([new Uint8Array([0xff, 0xd8])], "s.jpg", { type: "image/jpeg" }), {
+      relatedType: "CAttendance",
+      field: "checkInSelfie",
+    });
+    const blob = await client.attachmentBlob(att.id);
+    expect(blob.type).toBe("image/jpeg");
+    expect(Math.abs((await client.serverTimeSample()).serverMs - Date.now())).toBeLessThan(5000);
+  });
+
+  it("loads the roster in a proxy build that has no API key", async () => {
+    const config = getEspoConfig({ VITE_ESPO_BASEURL: `${proxyRoot}/CAttendance`, VITE_ESPO_PROXY: "on" });
+    expect(config.apiKey).toBe("");
+    expect(hasEspoAccess(config)).toBe(true);
+    expect(hasEspoAccess({ ...config, proxy: false })).toBe(false);
+
+    mock.seed("COffice", [{ code: "AMD01", name: "AMD01" }]);
+    mock.seed("CEmployee", [{ name: "Ravi Patel", officeCode: "AMD01" }]);
+    const org = await loadOrg(createEspoClient({ ...config, authToken: async () => DEVICE_TOKEN }));
+    expect(org.offices.map((o) => o.id)).toEqual(["AMD01"]);
+    expect(org.employeesByOffice.AMD01.map((e) => e.id)).toEqual(["Ravi Patel"]);
+  });
+
+  it("refuses calls without a valid token", async () => {
+    const err = await viaProxy("stolen-guess").list("CAttendance").catch((e) => e);
+    expect(err).toBeInstanceOf(EspoHttpError);
+    expect(err.status).toBe(401);
+
+    const raw = await fetch(`${proxyRoot}/CAttendance`, { headers: { "X-Api-Key": API_KEY } });
+    expect(raw.status).toBe(401);
+  });
+
+  it("issues a per-user token at ESPO login that works for later calls", async () => {
+    const user = mock.addUser({ userName: "ravi", password: "s3cret" });
+    mock.seed("CEmployee", [{ name: "Ravi Patel", userId: user.id }]);
+
+    const session = await loginWithEspoUser(viaProxy(""), { username: "ravi", password: "s3cret" });
+    expect(verifyUserToken(SECRET, session.proxyToken)).toMatchObject({ sub: user.id, empName: "Ravi Patel" });
+
+    const { list } = await viaProxy(session.proxyToken).list("CEmployee");
+    expect(list.map((e) => e.name)).toEqual(["Ravi Patel"]);
+
+    const expired = signUserToken(SECRET, { userId: user.id }, 1000, Date.now() - 5000);
+    expect((await viaProxy(expired).list("CEmployee").catch((e) => e)).status).toBe(401);
+  });
+
+  it("checks PINs itself and never hands out pinHash", async () => {
+    const [emp] = mock.seed("CEmployee", [{ name: "Ravi Patel", officeCode: "AMD01" }]);
+    mock.store.CEmployee.set(emp.id, { ...emp, pinHash: await hashPin(emp.id, "4321") });
+    const device = viaProxy(DEVICE_TOKEN);
+
+    expect(await device.get("CEmployee", emp.id)).not.toHaveProperty("pinHash");
+    const { list } = await device.list("CEmployee");
+    expect(list[0]).not.toHaveProperty("pinHash");
+    const probe = await device.list("CEmployee", { where: [{ type: "startsWith", attribute: "pinHash", value: "a" }] }).catch((e) => e);
+    expect(probe.status).toBe(400);
+
+    const pinLogin = (pin, token = DEVICE_TOKEN) =>
+      fetch(`${proxyRoot}/App/pinLogin`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ employeeId: emp.id, pin }),
+      });
+
+    const ok = await pinLogin("4321");
+    expect(ok.status).toBe(200);
+    const { employee, proxyToken } = await ok.json();
+    expect(employee).toMatchObject({ name: "Ravi Patel" });
+    expect(employee).not.toHaveProperty("pinHash");
+    expect(verifyUserToken(SECRET, proxyToken)).toMatchObject({ emp: emp.id, empName: "Ravi Patel" });
+
+    // only phones with a device token may try, and five wrong PINs lock the employee
+    expect((await pinLogin("4321", proxyToken)).status).toBe(403);
+    for (let i = 0; i < 5; i++) expect((await pinLogin("0000")).status).toBe(401);
+    const locked = await pinLogin("4321");
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers.get("retry-after"))).toBeGreaterThan(0);
+  });
+
+  it("logs an employee in with a PIN and keeps the session tied to its signed token", async () => {
+    const [emp] = mock.seed("CEmployee", [{ name: "Ravi Patel", status: "Active", isManager: true }]);
+    mock.store.CEmployee.set(emp.id, { ...emp, pinHash: await hashPin(emp.id, "4321") });
+    const device = viaProxy(DEVICE_TOKEN);
+
+    const session = await loginWithPin(device, { employeeEspoId: emp.id, pin: "4321" });
+    expect(session).toMatchObject({ method: "pin", employeeName: "Ravi Patel", employeeEspoId: emp.id, isManager: true });
+    expect(session.proxyToken).toBeTruthy();
+    expect(await isSessionStillValid(device, session)).toBe(true);
+
+    const wrong = await loginWithPin(device, { employeeEspoId: emp.id, pin: "0000" }).catch((e) => e);
+    expect(wrong).toBeInstanceOf(AuthError);
+    expect(wrong.message).toBe("Wrong PIN.");
+
+    // a hand-written session entry is not a session
+    const [other] = mock.seed("CEmployee", [{ name: "Meera Desai" }]);
+    expect(await isSessionStillValid(device, { ...session, proxyToken: undefined })).toBe(false);
+    expect(await isSessionStillValid(device, { ...session, employeeEspoId: other.id })).toBe(false);
+  });
+
+  it("lets only a manager's login approve a registered phone", async () => {
+    const [emp] = mock.seed("CEmployee", [{ name: "Ravi Patel" }]);
+    const ravi = viaProxy(employeeToken("Ravi Patel", { employeeId: emp.id }));
+    await ravi.update("CEmployee", emp.id, { deviceId: "dev1", deviceStatus: "Pending" });
+
+    const selfApprove = await ravi.update("CEmployee", emp.id, { deviceStatus: "Approved" }).catch((e) => e);
+    expect(selfApprove.status).toBe(403);
+
+    const boss = mock.addUser({ userName: "boss", password: "pw" });
+    mock.seed("CEmployee", [{ name: "Meera Desai", userId: boss.id, isManager: true }]);
+    const { proxyToken } = await viaProxy("").appUser("boss", "pw");
+    await viaProxy(proxyToken).update("CEmployee", emp.id, { deviceStatus: "Approved", deviceApprovedBy: "Someone else" });
+    expect(mock.store.CEmployee.get(emp.id)).toMatchObject({ deviceStatus: "Approved", deviceApprovedBy: "Meera Desai" });
+  });
+
+  it("sends every new phone key back to Pending, whoever changes it", async () => {
+    const approved = { deviceId: "dev1", devicePublicKey: "{}", deviceStatus: "Approved", deviceApprovedAt: "2026-10-18 04:00:00", deviceApprovedBy: "Meera Desai" };
+    const [emp, boss] = mock.seed("CEmployee", [
+      { name: "Ravi Patel", ...approved },
+      { name: "Meera Desai", isManager: true },
+    ]);
+    const reset = { deviceStatus: "Pending", deviceApprovedAt: null, deviceApprovedBy: null };
+    const ravi = viaProxy(employeeToken("Ravi Patel", { employeeId: emp.id }));
+
+    // the same phone again changes nothing
+    await ravi.update("CEmployee", emp.id, { deviceId: "dev1", deviceLabel: "Chrome on Android" });
+    expect(mock.store.CEmployee.get(emp.id)).toMatchObject({ deviceStatus: "Approved" });
+
+    await ravi.update("CEmployee", emp.id, { devicePublicKey: '{"x":"other"}' });
+    expect(mock.store.CEmployee.get(emp.id)).toMatchObject(reset);
+
+    mock.store.CEmployee.set(emp.id, { ...mock.store.CEmployee.get(emp.id), ...approved });
+    const manager = viaProxy(employeeToken("Meera Desai", { employeeId: boss.id }));
+    await manager.update("CEmployee", emp.id, { deviceId: "dev2", deviceStatus: "Approved" });
+    expect(mock.store.CEmployee.get(emp.id)).toMatchObject({ deviceId: "dev2", ...reset });
+  });
+
+  it("does not approve a phone registered after the manager listed the pending ones", async () => {
+    const [emp, boss] = mock.seed("CEmployee", [
+      { name: "Ravi Patel" },
+      { name: "Meera Desai", isManager: true },
+    ]);
+    const ravi = viaProxy(employeeToken("Ravi Patel", { employeeId: emp.id }));
+    const manager = viaProxy(employeeToken("Meera Desai", { employeeId: boss.id }));
+    const requested = { label: "Chrome on Android", requestedAtUtc: "2026-10-19 03:00:00" };
+    await requestDeviceBinding(ravi, emp.id, { deviceId: "dev1", publicKey: { x: "one" }, ...requested });
+
+    const [listed] = await listPendingDevices(manager);
+    await requestDeviceBinding(ravi, emp.id, { deviceId: "dev2", publicKey: { x: "two" }, ...requested });
+
+    const binding = await approveDeviceBinding(manager, emp.id, { ...listed, approvedBy: "Meera Desai", approvedAtUtc: "2026-10-19 03:10:00" });
+    expect(binding.status).toBe("pending");
+    expect(mock.store.CEmployee.get(emp.id)).toMatchObject({ deviceStatus: "Pending", deviceApprovedAt: null, deviceApprovedBy: null });
+  });
+
+  it("lets employees change only their own employee record", async () => {
+    const [emp, other, boss] = mock.seed("CEmployee", [
+      { name: "Ravi Patel" },
+      { name: "Kiran Shah" },
+      { name: "Meera Desai", isManager: true },
+    ]);
+    const status = (p) => p.then(() => 200, (e) => e.status);
+    const fields = { deviceId: "dev9", devicePublicKey: "{}", deviceStatus: "Pending" };
+
+    expect(await status(viaProxy(employeeToken("Ravi Patel", { employeeId: emp.id })).update("CEmployee", other.id, fields))).toBe(403);
+    expect(await status(viaProxy(DEVICE_TOKEN).update("CEmployee", emp.id, fields))).toBe(403);
+    expect(mock.store.CEmployee.get(other.id).deviceId).toBeUndefined();
+
+    expect(await status(viaProxy(employeeToken("Meera Desai", { employeeId: boss.id })).update("CEmployee", other.id, fields))).toBe(200);
+  });
+
+  it("takes only the logged-in employee's next punch on their own open record", async () => {
+    const status = (p) => p.then(() => 200, (e) => e.status);
+    const start = Date.now() - 30 * MINUTE;
+    const ravi = viaProxy(employeeToken("Ravi Patel", { now: start - MINUTE }));
+    const [other] = mock.seed("CAttendance", [checkin("Meera Desai", start)]);
+
+    // nobody else's day, and not without an employee login
+    expect(await status(ravi.create("CAttendance", checkin("Meera Desai", start)))).toBe(403);
+    expect(await status(ravi.update("CAttendance", other.id, { checkOutAt: sqlTime(Date.now()) }))).toBe(403);
+    expect(await status(viaProxy(DEVICE_TOKEN).create("CAttendance", checkin("Ravi Patel", start)))).toBe(403);
+
+    const { id } = await ravi.create("CAttendance", checkin("Ravi Patel", start));
+    const at = (min) => sqlTime(start + min * MINUTE);
+
+    // only the fields of the next punch, nothing else on the record
+    expect(await status(ravi.update("CAttendance", id, { checkOutAt: at(20), notes: "rewritten" }))).toBe(400);
+    expect(await status(ravi.update("CAttendance", id, { checkInAt: at(-60) }))).toBe(400);
+    expect(await status(ravi.update("CAttendance", id, { checkOutAt: at(20), employeeName: "Meera Desai" }))).toBe(400);
+    expect(await status(ravi.update("CAttendance", id, { checkOutAt: at(-5) }))).toBe(400);
+    expect(await status(ravi.update("CAttendance", id, { checkOutAt: sqlTime(Date.now() + 60 * MINUTE) }))).toBe(400);
+
+    const tea = { type: "tea", startAt: at(5), endAt: null, startDeviceId: "dev1" };
+    await ravi.update("CAttendance", id, { breaks: JSON.stringify([tea]), faceReviewRequired: true });
+    const twoAtOnce = [{ ...tea, endAt: at(10) }, { type: "lunch", startAt: at(11), endAt: null }];
+    expect(await status(ravi.update("CAttendance", id, { breaks: JSON.stringify(twoAtOnce) }))).toBe(400);
+    const moved = { ...tea, startAt: at(1), endAt: at(10) };
+    expect(await status(ravi.update("CAttendance", id, { breaks: JSON.stringify([moved]) }))).toBe(400);
+    const [open] = JSON.parse(mock.store.CAttendance.get(id).breaks); // as the app reads it back
+    await ravi.update("CAttendance", id, { breaks: JSON.stringify([{ ...open, endAt: at(10), endDeviceId: "dev1" }]) });
+
+    await ravi.update("CAttendance", id, { checkOutAt: at(20), checkoutDeviceId: "dev1", netMinutes: 15 });
+    expect(mock.store.CAttendance.get(id)).toMatchObject({ checkOutAt: at(20), netMinutes: 15, faceReviewRequired: true });
+    expect(await status(ravi.update("CAttendance", id, { checkOutAt: at(25) }))).toBe(409);
+  });
+
+  it("replays punches with an expired login, but only those made while it was valid", async () => {
+    const issued = Date.now() - 3 * 60 * MINUTE;
+    const stale = viaProxy(employeeToken("Ravi Patel", { ttlMs: 60 * MINUTE, now: issued }));
+
+    expect((await stale.create("CAttendance", checkin("Ravi Patel", issued + 30 * MINUTE))).id).toBeTruthy();
+    expect((await stale.create("CAttendance", checkin("Ravi Patel", Date.now())).catch((e) => e)).status).toBe(403);
+    expect((await stale.list("CEmployee").catch((e) => e)).status).toBe(401);
+  });
+
+  it("submits a queued punch with the login it was made under, not the phone's current token", async () => {
+    const at = sqlTime(Date.now());
+    const selfie = new File([new Uint8Array([0xff, 0xd8])], "s.jpg", { type: "image/jpeg" });
+    const queued = { ...checkin("Ravi Patel", Date.now()), type: "checkin", punchedAtUtc: at, selfie };
+
+    expect((await submitPunch(viaProxy(DEVICE_TOKEN), queued).catch((e) => e)).status).toBe(403);
+    const rec = await submitPunch(viaProxy(DEVICE_TOKEN), { ...queued, authToken: employeeToken("Ravi Patel", { now: Date.now() - MINUTE }) });
+    expect(rec).toMatchObject({ employeeName: "Ravi Patel", checkInAt: at });
+  });
+
+  it("decides itself whether a punch came from the employee's approved phone", async () => {
+    const key = await createDeviceKey();
+    const [emp, newcomer] = mock.seed("CEmployee", [
+      { name: "Ravi Patel", deviceId: key.deviceId, devicePublicKey: JSON.stringify(key.publicJwk), deviceStatus: "Approved" },
+      { name: "Kiran Shah" },
+    ]);
+    const start = Date.now() - 30 * MINUTE;
+    const ravi = viaProxy(employeeToken("Ravi Patel", { employeeId: emp.id, now: start - MINUTE }));
+    const at = (min) => sqlTime(start + min * MINUTE);
+    const signed = async (type, punchedAtUtc) => (await signPunch({ employeeName: "Ravi Patel", type, punchedAtUtc }, key)).signature;
+
+    const punch = checkin("Ravi Patel", start);
+    const { id } = await ravi.create("CAttendance", {
+      ...punch,
+      checkinDeviceId: key.deviceId,
+      checkinDeviceSignature: await signed("checkin", punch.checkInAt),
+      checkinDeviceTrusted: false,
+      deviceReviewRequired: true,
+    });
+    expect(mock.store.CAttendance.get(id)).toMatchObject({ checkinDeviceTrusted: true });
+    expect(mock.store.CAttendance.get(id).deviceReviewRequired).toBeFalsy();
+
+    // a signature for another time does not count, whatever the phone claims
+    const tea = { type: "tea", startAt: at(5), endAt: null, startDeviceId: key.deviceId, startDeviceSignature: await signed("breakStart", at(6)), startDeviceTrusted: true };
+    await ravi.update("CAttendance", id, { breaks: JSON.stringify([tea]) });
+    const stored = mock.store.CAttendance.get(id);
+    expect(JSON.parse(stored.breaks)[0].startDeviceTrusted).toBe(false);
+    expect(stored.deviceReviewRequired).toBe(true);
+
+    // with a registered phone, a punch without a signature is not from it
+    await ravi.update("CAttendance", id, { checkOutAt: at(20), checkoutDeviceTrusted: true });
+    expect(mock.store.CAttendance.get(id).checkoutDeviceTrusted).toBe(false);
+
+    const kiran = viaProxy(employeeToken("Kiran Shah", { employeeId: newcomer.id, now: start - MINUTE }));
+    const plain = await kiran.create("CAttendance", checkin("Kiran Shah", start));
+    expect(mock.store.CAttendance.get(plain.id)).not.toHaveProperty("checkinDeviceTrusted");
+    expect(mock.store.CAttendance.get(plain.id).deviceReviewRequired).toBeFalsy();
+  });
+
+  it("validates what goes through", async () => {
+    const client = viaProxy(DEVICE_TOKEN);
+    const ravi = viaProxy(employeeToken("X"));
+    const status = (p) => p.then(() => 200, (e) => e.status);
+
+    expect(await status(ravi.create("CAttendance", { employeeName: "X", officeCode: "AMD01" }))).toBe(400);
+    expect(await status(ravi.create("CAttendance", { ...checkin("X", Date.now()), id: "x" }))).toBe(400);
+    expect(await status(client.create("CEmployee", { name: "Intruder" }))).toBe(405);
+    expect(await status(client.list("User"))).toBe(404);
+    expect(await status(client.list("CAttendance", { maxSize: 5000 }))).toBe(400);
+
+    const [emp] = mock.seed("CEmployee", [{ name: "Ravi Patel", pinHash: "abc" }]);
+    expect(await status(client.update("CEmployee", emp.id, { pinHash: "mine" }))).toBe(400);
+
+    const photo = new File([new Uint8Array([0xff, 0xd8])], "face.jpg", { type: "image/jpeg" });
+    await saveFaceReference(viaProxy(employeeToken("Ravi Patel", { employeeId: emp.id })), emp.id, { descriptor: Array(128).fill(0.1), photo, enrolledAtUtc: "2026-10-19 04:00:00" });
+    expect(mock.store.CEmployee.get(emp.id).faceReferenceId).toBeTruthy();
+    expect(mock.store.CEmployee.get(emp.id).pinHash).toBe("abc");
+
+    expect(() => validateListQuery(new URLSearchParams("where[0][type]=sql&where[0][attribute]=x"))).toThrow(/where type/);
+    expect(() => validateListQuery(new URLSearchParams("where[0][type]=equals&where[0][attribute]=a;b"))).toThrow(/field name/);
+  });
+});
@@ -1,122 +1,134 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
 import MapView from "./MapView";
 import SelfieCamera from "./SelfieCamera";
+import EmployeeLogin from "./EmployeeLogin";
+import AttendanceHistory from "./AttendanceHistory";
+import OfficeDashboard from "./OfficeDashboard";
+import AttendanceExport from "./AttendanceExport";
+import {
+  createEspoClient,
+  findShiftRecord,
+  hasEspoAccess,
+  isSessionStillValid,
+  loadDeviceBinding,
+  loadFaceReference,
+  loadOrg,
+  requestDeviceBinding,
+  saveFaceReference,
+} from "../lib/espo";
+import { AUTH_MODE, readSession, writeSession } from "../lib/session";
+import { readAccessToken, saveUserToken } from "../lib/accessToken";
+import {
+  collectSamples,
+  createTrustedClock,
+  estimateOffset,
+  readCachedTimeSync,
+  timeProvenance,
+  webTimeSample,
+  writeCachedTimeSync,
+} from "../lib/timeSync";
+import {
+  BREAK_TYPES,
+  breakLabel,
+  computeLastActionFromRecord,
+  LEGACY_TYPES,
+  openBreak,
+  punchLabel,
+  TYPE_META,
+  toUtcSqlDatetime,
+} from "../lib/attendance";
+import {
+  checkDevice,
+  DEVICE_BINDING_MODE,
+  deviceLabel,
+  getDeviceKey,
+  readCachedDeviceBinding,
+  signPunch,
+  writeCachedDeviceBinding,
+} from "../lib/device";
+import { checkGeofence, formatDistance, GEOFENCE_MODE, getOfficeGeofence } from "../lib/geofence";
+import { nearestOffice, nearestOfficeLabel, nearestOfficeNote, reverseGeocode } from "../lib/geocode";
+import { createFixTracker, LOCATION_MAX_AGE_SECONDS, LOCATION_MODE, toFix } from "../lib/locationQuality";
+import { formatDate, getLanguage, LANGUAGES, setLanguage, subscribeLanguage, t } from "../lib/i18n";
+import { enqueuePunch, listPunches, removePunch } from "../lib/punchQueue";
+import {
+  compareFaces,
+  describeFace,
+  loadFaceModels,
+  readCachedFaceReference,
+  writeCachedFaceReference,
+} from "../lib/face";
+import { LIVENESS_MODE } from "../lib/liveness";
+import { processSelfie, SELFIE_WATERMARK, watermarkLines } from "../lib/selfieImage";
+import { evaluateShiftRules, formatShift, getOfficeShift, shiftDays } from "../lib/shift";
+import { getTenant, tenantEspoConfig } from "../lib/tenant";
+import { getOfficeTimeZone, timeZoneLabel, zonedDateTimeParts } from "../lib/timeZone";
+import { isRetryableError, PunchRejectedError, requestPunchSync, submitPunch } from "../lib/punchSync";
 
-/* -------------------- IST formatter (format only) -------------------- */
-function istDateTimeParts(now = new Date()) {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Asia/Kolkata",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-  }).formatToParts(now);
-
-  const get = (t) => parts.find((p) => p.type === t)?.value || "";
-  return {
-    date: `${get("year")}-${get("month")}-${get("day")}`,
-    time: `${get("hour")}:${get("minute")}:${get("second")}`,
-  };
-}
-
-/* -------------------- reverse geocode -------------------- */
-async function reverseGeocode(lat, lng) {
-  const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lng}`;
-  const res = await fetch(url, { headers: { Accept: "application/json" } });
-  if (!res.ok) throw new Error("Reverse geocode failed");
-  const data = await res.json();
-  return data?.display_name || "";
+/* -------------------- FAST time cache helpers -------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
 }
 
-/* -------------------- fetch json with timeout -------------------- */
-async function fetchJsonWithTimeout(url, ms = 8000, headers = {}, init = {}) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), ms);
+/* -------------------- offline helpers (org list + last known state) -------------------- */
+// Without these an offline phone shows "No offices found" and can only ever Checkin.
+function readCachedOrg() {
   try {
-    const res = await fetch(url, {
-      ...init,
-      headers: { Accept: "application/json", ...headers, ...(init.headers || {}) },
-      cache: "no-store",
-      signal: ctrl.signal,
-    });
-
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(`HTTP ${res.status} @ ${url}${text ? ` — ${text}` : ""}`);
-    }
-
-    const ct = res.headers.get("content-type") || "";
-    if (ct.includes("application/json")) return await res.json();
-
-    const txt = await res.text().catch(() => "");
-    return txt ? JSON.parse(txt) : {};
-  } finally {
-    clearTimeout(t);
+    const obj = JSON.parse(localStorage.getItem("ORG_CACHE_V1") || "null");
+    if (!obj || !Array.isArray(obj.offices) || !obj.employeesByOffice) return null;
+    return obj;
+  } catch {
+    return null;
   }
 }
 
-// ✅ fast server time: read "Date" header from ESPO response
-async function fetchDateHeaderMsWithTimeout(url, ms = 8000, headers = {}) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), ms);
+function writeCachedOrg(offices, employeesByOffice) {
   try {
-    const res = await fetch(url, {
-      method: "GET",
-      headers: { Accept: "application/json", ...headers },
-      cache: "no-store",
-      signal: ctrl.signal,
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status} @ ${url}`);
-    const dateHeader = res.headers.get("date");
-    if (!dateHeader) throw new Error("Missing Date header");
-    const msVal = new Date(dateHeader).getTime();
-    if (!Number.isFinite(msVal)) throw new Error("Invalid Date header");
-    return msVal;
-  } finally {
-    clearTimeout(t);
+    localStorage.setItem("ORG_CACHE_V1", JSON.stringify({ offices, employeesByOffice }));
+  } catch {
+    // storage full / private mode — cache is best effort
   }
 }
 
-/* -------------------- FAST time cache helpers -------------------- */
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
-function readCachedTimeSync() {
+function readCachedLastAction(daykey) {
   try {
-    const raw = localStorage.getItem("TIME_SYNC_CACHE_V1");
-    if (!raw) return null;
-    const obj = JSON.parse(raw);
-    if (!obj || !Number.isFinite(obj.serverEpochMs) || !Number.isFinite(obj.savedAtMs)) return null;
-    return obj;
+    const map = JSON.parse(localStorage.getItem("LAST_ACTION_CACHE_V1") || "{}");
+    return map?.[daykey] || null;
   } catch {
     return null;
   }
 }
 
-function writeCachedTimeSync(serverEpochMs) {
+function writeCachedLastAction(daykey, action) {
   try {
-    localStorage.setItem(
-      "TIME_SYNC_CACHE_V1",
-      JSON.stringify({ serverEpochMs, savedAtMs: Date.now() })
-    );
-  } catch {}
+    // only keep today's entries (daykey = "<date>__<employee>")
+    const date = daykey.split("__")[0];
+    const prev = JSON.parse(localStorage.getItem("LAST_ACTION_CACHE_V1") || "{}");
+    const next = {};
+    for (const [k, v] of Object.entries(prev || {})) if (k.startsWith(`${date}__`)) next[k] = v;
+    next[daykey] = action;
+    localStorage.setItem("LAST_ACTION_CACHE_V1", JSON.stringify(next));
+  } catch {
+    // best effort
+  }
 }
 
-const ACTION_LABELS = {
-  checkin: "Checkin",
-  checkout: "Checkout",
-  lunchStart: "Lunch Start",
-  lunchEnd: "Lunch End",
+// checkDevice() reason → status line
+const DEVICE_STATUS_KEYS = {
+  approved: "device.approved",
+  pending: "device.pending",
+  "other device": "device.otherDevice",
+  "not registered": "device.notRegistered",
+  unknown: "device.unknown",
+  "no key": "device.noKey",
 };
 
-const COMPANY_NAME = "Amrita Global Enterprises";
+// assessFix() verdict → status line
+const locationStatusText = (loc) =>
+  t(`location.quality.${loc.quality}`, { accuracy: loc.accuracy ?? "?", speed: loc.jumpKmh || 0 });
 
 /* -------------------- In-App Modal (No browser alert) -------------------- */
-function AppModal({ open, title, message, okText = "OK", onOk }) {
+function AppModal({ open, title, message, okText = t("common.ok"), onOk }) {
   if (!open) return null;
 
   return (
@@ -134,192 +146,35 @@ function AppModal({ open, title, message, okText = "OK", onOk }) {
   );
 }
 
-/* -------------------- file -> dataURL(base64) -------------------- */
-function fileToDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onerror = () => reject(new Error("File read failed"));
-    reader.onload = () => resolve(String(reader.result || ""));
-    reader.readAsDataURL(file);
-  });
-}
+export default function AttendanceApp() {
+  /* -------------------- UI language (re-renders the whole tree on change) -------------------- */
+  const language = useSyncExternalStore(subscribeLanguage, getLanguage);
 
-/* -------------------- ✅ UTC datetime helpers for ESPO -------------------- */
-// Espo expects DateTime in UTC. We generate UTC SQL datetime from a Date object.
-function toUtcSqlDatetime(d) {
-  return new Date(d).toISOString().slice(0, 19).replace("T", " ");
-}
+  /* -------------------- company (loaded before the first render, see main.jsx) -------------------- */
+  const tenant = getTenant();
+  const COMPANY_NAME = tenant.companyName;
 
-export default function AttendanceApp() {
   /* -------------------- camera -------------------- */
   const [cameraOpen, setCameraOpen] = useState(false);
+  const [cameraPurpose, setCameraPurpose] = useState("punch"); // "punch" | "enroll"
+
+  /* -------------------- screen: punch form or the employee's history -------------------- */
+  const [view, setView] = useState("punch"); // "punch" | "history" | "dashboard" | "export"
 
   /* -------------------- flow state -------------------- */
   const [lastAction, setLastAction] = useState(null);
+  const [openBreakType, setOpenBreakType] = useState(null); // type of the break the employee is on
+  const [recordDate, setRecordDate] = useState(null); // attendanceDate of the record being continued
+  const [breakType, setBreakType] = useState("lunch"); // for the next Break Start
 
   /* -------------------- freeze flags -------------------- */
   const [isTimeFrozen, setIsTimeFrozen] = useState(false);
   const [isLocationFrozen, setIsLocationFrozen] = useState(false);
 
-  /* -------------------- ✅ ESPO env -------------------- */
-  const ESPO_BASEURL = (import.meta.env.VITE_ESPO_BASEURL || "").trim(); // .../api/v1/CAttendance
-  const ESPO_API_KEY = (import.meta.env.VITE_X_API_KEY || "").trim();
-
-  const espoHeaders = useMemo(() => ({ "X-Api-Key": ESPO_API_KEY }), [ESPO_API_KEY]);
-
-  const ESPO_API_ROOT = useMemo(() => {
-    try {
-      if (!ESPO_BASEURL) return "";
-      const u = new URL(ESPO_BASEURL);
-      u.search = "";
-      u.hash = "";
-      u.pathname = u.pathname.replace(/\/[^/]+\/?$/, "");
-      return u.toString().replace(/\/$/, "");
-    } catch {
-      return "";
-    }
-  }, [ESPO_BASEURL]);
-
-  const ESPO_ATTACHMENT_URL = useMemo(() => {
-    if (!ESPO_API_ROOT) return "";
-    return `${ESPO_API_ROOT}/Attachment`;
-  }, [ESPO_API_ROOT]);
-
-  // ✅ must be the SAME as your old working upload field name
-  const ESPO_UPLOAD_FIELD = "selfieImage";
-
-  /* -------------------- type meta (matches your actual fields) -------------------- */
-  const TYPE_META = {
-    checkin: { timeField: "checkInAt", idField: "checkInSelfieId", nameField: "checkInSelfieName" },
-    checkout: { timeField: "checkOutAt", idField: "checkOutSelfieId", nameField: "checkOutSelfieName" },
-    lunchStart: { timeField: "lunchOutAt", idField: "lunchOutSelfieId", nameField: "lunchOutSelfieName" },
-    lunchEnd: { timeField: "lunchInAt", idField: "lunchInSelfieId", nameField: "lunchInSelfieName" },
-  };
-
-  const normalizeKey = (s) => String(s || "").trim().toLowerCase();
-
-  const buildEspoQueryUrl = (base, paramsObj) => {
-    const u = new URL(base);
-    for (const [k, v] of Object.entries(paramsObj || {})) {
-      if (v === undefined || v === null) continue;
-      u.searchParams.set(k, String(v));
-    }
-    return u.toString();
-  };
-
-  /* -------------------- ✅ ESPO: find today's record -------------------- */
-  const findTodayRecord = async ({ employeeName, attendanceDate }) => {
-    if (!ESPO_BASEURL) throw new Error("VITE_ESPO_BASEURL missing");
-    if (!ESPO_API_KEY) throw new Error("VITE_X_API_KEY missing");
-
-    const u = new URL(ESPO_BASEURL);
-    u.searchParams.set("maxSize", "1");
-    u.searchParams.set("offset", "0");
-    u.searchParams.set("orderBy", "createdAt");
-    u.searchParams.set("order", "desc");
-
-    u.searchParams.set("where[0][type]", "equals");
-    u.searchParams.set("where[0][attribute]", "employeeName");
-    u.searchParams.set("where[0][value]", employeeName);
-
-    u.searchParams.set("where[1][type]", "equals");
-    u.searchParams.set("where[1][attribute]", "attendanceDate");
-    u.searchParams.set("where[1][value]", attendanceDate);
-
-    const data = await fetchJsonWithTimeout(u.toString(), 12000, espoHeaders);
-    const list = Array.isArray(data?.list) ? data.list : [];
-    return list[0] || null;
-  };
-
-  /* -------------------- ✅ ESPO: upload selfie (hybrid approach) -------------------- */
-  const espoUploadSelfie = async (file, fieldName) => {
-    const dataUrl = await fileToDataUrl(file);
-
-    // Try the attachment endpoint first
-    try {
-      if (ESPO_ATTACHMENT_URL) {
-        const payload = {
-          name: file.name || "selfie.jpg",
-          type: file.type || "image/jpeg",
-          role: "Attachment",
-          relatedType: "CAttendance",
-          field: fieldName, // Use the specific field name for this attendance type
-          file: dataUrl,
-        };
-
-        const res = await fetchJsonWithTimeout(
-          ESPO_ATTACHMENT_URL,
-          20000,
-          { ...espoHeaders, "Content-Type": "application/json" },
-          { method: "POST", body: JSON.stringify(payload) }
-        );
-
-        const id = String(res?.id || "").trim();
-        const name = String(res?.name || payload.name || "").trim();
-
-        if (id) {
-          // Attachment upload succeeded
-          return {
-            id,
-            name,
-            dataUrl,
-            useAttachment: true,
-          };
-        }
-      }
-    } catch (e) {
-      console.warn("Attachment upload failed, using fallback:", e.message);
-    }
-
-    // Fallback: return base64 data only
-    return {
-      id: `selfie_${Date.now()}`,
-      name: file.name || "selfie.jpg",
-      dataUrl: dataUrl,
-      useAttachment: false,
-    };
-  };
-
-  /* -------------------- ✅ ESPO: create / update -------------------- */
-  const espoCreate = async (payload) => {
-    return await fetchJsonWithTimeout(
-      ESPO_BASEURL,
-      20000,
-      { ...espoHeaders, "Content-Type": "application/json" },
-      { method: "POST", body: JSON.stringify(payload) }
-    );
-  };
-
-  const espoUpdate = async (id, payload) => {
-    if (!id) throw new Error("Record ID is required for update");
-    const url = `${ESPO_BASEURL.replace(/\/$/, "")}/${encodeURIComponent(id)}`;
-    
-    console.log("[ESPO UPDATE] URL:", url);
-    console.log("[ESPO UPDATE] Payload:", JSON.stringify(payload, null, 2));
-    
-    try {
-      const result = await fetchJsonWithTimeout(
-        url,
-        20000,
-        { ...espoHeaders, "Content-Type": "application/json" },
-        { method: "PUT", body: JSON.stringify(payload) }
-      );
-      console.log("[ESPO UPDATE] Success:", result);
-      return result;
-    } catch (error) {
-      console.error("[ESPO UPDATE] Failed:", error);
-      throw error;
-    }
-  };
-
-  const computeLastActionFromRecord = (rec) => {
-    if (!rec) return null;
-    if (rec?.checkOutAt) return "checkout";
-    if (rec?.lunchInAt) return "lunchEnd";
-    if (rec?.lunchOutAt) return "lunchStart";
-    if (rec?.checkInAt) return "checkin";
-    return null;
-  };
+  /* -------------------- ✅ ESPO (the company's endpoint) -------------------- */
+  const ESPO_CONFIG = useMemo(() => tenantEspoConfig(tenant), [tenant]);
+  const ESPO_BASEURL = ESPO_CONFIG.baseUrl; // .../api/v1/CAttendance
+  const ESPO = useMemo(() => createEspoClient({ ...ESPO_CONFIG, authToken: readAccessToken }), [ESPO_CONFIG]);
 
   /* -------------------- ✅ offices + employees from ESPO -------------------- */
   const [offices, setOffices] = useState([]);
@@ -330,92 +185,92 @@ export default function AttendanceApp() {
     try {
       setOrgLoading(true);
 
-      if (!ESPO_BASEURL || !ESPO_API_KEY) {
+      if (!hasEspoAccess(ESPO_CONFIG)) {
         setOffices([]);
         setEmployeesByOffice({});
-        return;
+        return { offices: [], employeesByOffice: {} };
       }
 
-      const url = buildEspoQueryUrl(ESPO_BASEURL, { maxSize: 200, offset: 0 });
-      const data = await fetchJsonWithTimeout(url, 12000, espoHeaders);
-      const list = Array.isArray(data?.list) ? data.list : [];
+      const org = await loadOrg(ESPO);
 
-      const officeSeen = new Set();
-      const officeArr = [];
-
-      const empMap = {};
-      const getBucket = (officeCode) => {
-        if (!empMap[officeCode]) empMap[officeCode] = { seen: new Set(), arr: [] };
-        return empMap[officeCode];
-      };
-
-      for (const row of list) {
-        const officeCode = String(row?.officeCode || "").trim();
-        const employeeName = String(row?.employeeName || "").trim();
-
-        if (officeCode && !officeSeen.has(normalizeKey(officeCode))) {
-          officeSeen.add(normalizeKey(officeCode));
-          officeArr.push({ id: officeCode, name: officeCode });
-        }
-
-        if (officeCode && employeeName) {
-          const b = getBucket(officeCode);
-          const key = normalizeKey(employeeName);
-          if (!b.seen.has(key)) {
-            b.seen.add(key);
-            b.arr.push({ id: employeeName, name: employeeName });
-          }
-        }
-      }
-
-      const finalEmployeesByOffice = {};
-      for (const [officeCode, b] of Object.entries(empMap)) {
-        finalEmployeesByOffice[officeCode] = b.arr;
-      }
-
-      setOffices(officeArr);
-      setEmployeesByOffice(finalEmployeesByOffice);
+      setOffices(org.offices);
+      setEmployeesByOffice(org.employeesByOffice);
+      writeCachedOrg(org.offices, org.employeesByOffice);
+      return org;
     } catch (e) {
       console.warn("[ESPO] org fetch failed:", e?.message || e);
-      setOffices([]);
-      setEmployeesByOffice({});
+      const cached = readCachedOrg();
+      setOffices(cached?.offices || []);
+      setEmployeesByOffice(cached?.employeesByOffice || {});
+      return { offices: cached?.offices || [], employeesByOffice: cached?.employeesByOffice || {} };
     } finally {
       setOrgLoading(false);
     }
   };
 
-  useEffect(() => {
-    loadOrgFromEspo();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
   /* -------------------- selections -------------------- */
   const [officeId, setOfficeId] = useState("");
   const [employeeId, setEmployeeId] = useState("");
   const [type, setType] = useState("checkin");
 
+  // the office's clock drives the displayed time and attendanceDate (UTC is what gets stored)
+  const selectedOffice = useMemo(() => offices.find((o) => o.id === officeId) || null, [offices, officeId]);
+  const officeTimeZone = useMemo(() => getOfficeTimeZone(officeId, selectedOffice), [officeId, selectedOffice]);
+
+  /* -------------------- logged-in employee -------------------- */
+  const [session, setSession] = useState(() => (AUTH_MODE === "none" ? null : readSession()));
+  const needsLogin = AUTH_MODE !== "none" && !session;
+
+  // offices the logged-in employee is assigned to (dropdown is limited to these)
+  const officesOfEmployee = (name, org = { offices, employeesByOffice }) =>
+    org.offices
+      .filter((o) => (org.employeesByOffice?.[o.id] || []).some((e) => e.id === name))
+      .map((o) => o.id);
+
+  const sessionOffices = session ? officesOfEmployee(session.employeeName) : null;
+  const visibleOffices = sessionOffices ? offices.filter((o) => sessionOffices.includes(o.id)) : offices;
+
+  // without login there is no identity to check, so the dashboard is as open as the rest of the app
+  const canSeeDashboard = AUTH_MODE === "none" || !!session?.isManager;
+
+  // approving phones needs a manager the server vouches for: the proxy's App/me, or an ESPO user
+  // login (ESPO checked the password); never the stored session alone
+  const [managerVerified, setManagerVerified] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
+    setManagerVerified(false);
+    if (!session?.isManager) return;
+    if (!ESPO_CONFIG.proxy) {
+      setManagerVerified(session.method === "user");
+      return;
+    }
+    ESPO.me()
+      .then((me) => !cancelled && setManagerVerified(!!me?.isManager && me.employeeId === session.employeeEspoId))
+      .catch((e) => console.warn("[AUTH] manager check failed:", e?.message || e));
+    return () => {
+      cancelled = true;
+    };
+  }, [ESPO, ESPO_CONFIG, session]);
+
   /* -------------------- App Modal state -------------------- */
   const [modal, setModal] = useState({ open: false, title: "", message: "", refreshOnOk: false });
   const openModal = (title, message, refreshOnOk = false) =>
     setModal({ open: true, title, message, refreshOnOk });
   const closeModal = () => setModal((m) => ({ ...m, open: false }));
 
-  /* -------------------- FAST IST TIME (display only) -------------------- */
-  const [timeSync, setTimeSync] = useState({
-    serverEpochMs: null,
-    perfAtSync: null,
-    isAuthoritative: false,
-  });
+  /* -------------------- FAST SERVER TIME (display only) -------------------- */
+  // the clock itself lives outside React; timeSync is its last sync (source, ± ms, drift) so
+  // the clock display and rule checks re-run when a sync lands
+  const [clock] = useState(createTrustedClock);
+  const [timeSync, setTimeSync] = useState(null);
   const [isTimeReady, setIsTimeReady] = useState(false);
 
   const [dateStr, setDateStr] = useState("--");
   const [timeStr, setTimeStr] = useState("--");
 
   const getTrustedNow = () => {
-    const { serverEpochMs, perfAtSync } = timeSync;
-    if (serverEpochMs == null || perfAtSync == null) return null;
-    const deltaMs = performance.now() - perfAtSync;
-    return new Date(serverEpochMs + deltaMs);
+    const ms = clock.nowMs();
+    return ms == null ? null : new Date(ms);
   };
 
   // ✅ For ESPO saving: use trusted time if available, otherwise local Date()
@@ -424,66 +279,29 @@ export default function AttendanceApp() {
   };
 
   const renderClock = (d) => {
-    const { date, time } = istDateTimeParts(d);
+    const { date, time } = zonedDateTimeParts(d, officeTimeZone);
     setDateStr(date);
     setTimeStr(time);
   };
 
-  const syncKolkataTimeFast = async () => {
-    const providers = [
-      async () => {
-        if (!ESPO_BASEURL || !ESPO_API_KEY) throw new Error("ESPO not configured");
-        const u = new URL(ESPO_BASEURL);
-        u.searchParams.set("maxSize", "1");
-        u.searchParams.set("offset", "0");
-        const t0 = performance.now();
-        const serverMs = await fetchDateHeaderMsWithTimeout(u.toString(), 5000, espoHeaders);
-        const rtt = performance.now() - t0;
-        return serverMs + Math.floor(rtt / 2);
-      },
-      async () => {
-        const t0 = performance.now();
-        const data = await fetchJsonWithTimeout(
-          "https://timeapi.io/api/Time/current/zone?timeZone=Asia/Kolkata",
-          5000
-        );
-        const serverMs = new Date(data.dateTime).getTime();
-        const rtt = performance.now() - t0;
-        return serverMs + Math.floor(rtt / 2);
-      },
-      async () => {
-        const t0 = performance.now();
-        const data = await fetchJsonWithTimeout(
-          "https://worldtimeapi.org/api/timezone/Asia/Kolkata",
-          5000
-        );
-        const serverMs = new Date(data.datetime).getTime();
-        const rtt = performance.now() - t0;
-        return serverMs + Math.floor(rtt / 2);
-      },
-    ];
-
-    let lastErr = null;
-
-    for (const p of providers) {
-      try {
-        const ms = await p();
-        if (!Number.isFinite(ms)) throw new Error("Invalid server time");
-
-        setTimeSync({
-          serverEpochMs: ms,
-          perfAtSync: performance.now(),
-          isAuthoritative: true,
-        });
-        setIsTimeReady(true);
-        writeCachedTimeSync(ms);
-        return;
-      } catch (e) {
-        lastErr = e;
-      }
+  // UTC from every provider; the office zone is applied only when formatting
+  const syncServerTimeFast = async () => {
+    const samples = await collectSamples([
+      { source: "espo", count: 3, sample: () => ESPO.serverTimeSample(5000) },
+      { source: "timeapi", count: 2, sample: () => webTimeSample("timeapi", 5000) },
+      { source: "worldtimeapi", count: 2, sample: () => webTimeSample("worldtimeapi", 5000) },
+    ]);
+
+    const estimate = estimateOffset(samples);
+    if (!estimate) {
+      console.warn("[TIME] sync failed: no time provider answered");
+      return;
     }
 
-    console.warn("[IST] sync failed:", lastErr?.message || lastErr);
+    clock.apply(estimate);
+    setTimeSync(clock.state);
+    setIsTimeReady(true);
+    writeCachedTimeSync(clock.nowMs());
   };
 
   useEffect(() => {
@@ -493,16 +311,12 @@ export default function AttendanceApp() {
     const cached = readCachedTimeSync();
     if (cached) {
       const elapsed = Date.now() - cached.savedAtMs;
-      const corrected = cached.serverEpochMs + clamp(elapsed, 0, 24 * 60 * 60 * 1000);
-      setTimeSync({
-        serverEpochMs: corrected,
-        perfAtSync: performance.now(),
-        isAuthoritative: false,
-      });
+      clock.seed(cached.serverEpochMs + clamp(elapsed, 0, 24 * 60 * 60 * 1000));
+      setTimeSync(clock.state);
     }
 
-    syncKolkataTimeFast();
-    const t = setInterval(syncKolkataTimeFast, 5 * 60 * 1000);
+    syncServerTimeFast();
+    const t = setInterval(syncServerTimeFast, 5 * 60 * 1000);
     return () => clearInterval(t);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -519,70 +333,106 @@ export default function AttendanceApp() {
     tick();
     const t = setInterval(tick, 1000);
     return () => clearInterval(t);
-  }, [isTimeFrozen, timeSync]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isTimeFrozen, timeSync, officeTimeZone]);
 
   /* -------------------- location -------------------- */
   const [lat, setLat] = useState(null);
   const [lng, setLng] = useState(null);
+  const [fix, setFix] = useState(null); // latest usable fix + its quality verdict (see locationQuality.js)
   const [address, setAddress] = useState("");
   const [locErr, setLocErr] = useState("");
   const lastGeoReqRef = useRef(0);
+  const [fixTracker] = useState(createFixTracker); // survives refreshes: a jump is remembered for a while
 
   const [frozenLat, setFrozenLat] = useState(null);
   const [frozenLng, setFrozenLng] = useState(null);
+  const [frozenFix, setFrozenFix] = useState(null);
   const [frozenAddress, setFrozenAddress] = useState("");
 
   const displayLat = isLocationFrozen ? frozenLat : lat;
   const displayLng = isLocationFrozen ? frozenLng : lng;
-  const displayAddress = isLocationFrozen ? frozenAddress : address;
+  const displayFix = isLocationFrozen ? frozenFix : fix;
+  const displayAccuracy = displayFix?.accuracy ?? null;
+  // no address from the geocoder (off, offline, nothing there) → name the nearest office instead
+  const geocodedAddress = isLocationFrozen ? frozenAddress : address;
+  const nearest = useMemo(
+    () => (geocodedAddress ? null : nearestOffice(offices, { lat: displayLat, lng: displayLng })),
+    [geocodedAddress, offices, displayLat, displayLng]
+  );
+  const displayAddress = geocodedAddress || nearestOfficeLabel(nearest);
+
+  /* -------------------- geofence -------------------- */
+  const officeFence = useMemo(() => getOfficeGeofence(officeId, selectedOffice), [officeId, selectedOffice]);
+  const officeShift = useMemo(() => getOfficeShift(officeId, selectedOffice), [officeId, selectedOffice]);
+  const fenceCheck = useMemo(
+    () => checkGeofence(officeFence, { lat: displayLat, lng: displayLng }),
+    [officeFence, displayLat, displayLng]
+  );
+
+  // live distance for the office dropdown (before a selection freezes the location)
+  const officeDistanceLabel = (office) => {
+    const res = checkGeofence(getOfficeGeofence(office.id, office), { lat, lng });
+    return res ? ` — ${res.inside ? t("office.here") : formatDistance(res.distance)}` : "";
+  };
 
   useEffect(() => {
     setLocErr("");
 
     if (!("geolocation" in navigator)) {
-      setLocErr("Geolocation not supported");
+      setLocErr(t("location.unsupported"));
       return;
     }
 
     const id = navigator.geolocation.watchPosition(
       async (pos) => {
-        const la = pos.coords.latitude;
-        const ln = pos.coords.longitude;
-
-        if (!isLocationFrozen) {
-          setLat(la);
-          setLng(ln);
+        const f = fixTracker.push(toFix(pos));
+        // an old cached position is not where the phone is now
+        if (f.quality === "stale" || f.quality === "none") {
+          console.warn("[LOCATION] ignoring fix:", f.quality, f.ageSeconds);
+          return;
         }
+        const la = f.lat;
+        const ln = f.lng;
+
+        // frozen: the address was looked up at freeze time (and must not be skipped for this one)
+        if (isLocationFrozen) return;
+        setLat(la);
+        setLng(ln);
+        setFix(f);
 
         const reqId = Date.now();
         lastGeoReqRef.current = reqId;
 
         try {
           const a = await reverseGeocode(la, ln);
-          if (lastGeoReqRef.current !== reqId) return;
-          if (!isLocationFrozen) setAddress(a);
+          // null: skipped for a newer position (the geocoder is rate limited)
+          if (a == null || lastGeoReqRef.current !== reqId) return;
+          setAddress(a);
         } catch {
           if (lastGeoReqRef.current !== reqId) return;
-          if (!isLocationFrozen) setAddress("");
+          setAddress("");
         }
       },
       (err) => {
-        if (err.code === 1) setLocErr("Location blocked. Please allow Location permission.");
-        else if (err.code === 2) setLocErr("Location unavailable (turn on GPS).");
-        else setLocErr(err.message || "Location error");
+        if (err.code === 1) setLocErr(t("location.blocked"));
+        else if (err.code === 2) setLocErr(t("location.unavailable"));
+        else setLocErr(err.message || t("location.error"));
       },
       { enableHighAccuracy: true, maximumAge: 0, timeout: 15000 }
     );
 
     return () => navigator.geolocation.clearWatch(id);
-  }, [isLocationFrozen]);
+  }, [isLocationFrozen, fixTracker]);
 
   const freezeLocationNow = async () => {
     setIsLocationFrozen(true);
 
-    if (lat != null && lng != null) {
+    // the live fix only if it is still fresh (a phone lying still may not report again for a while)
+    if (lat != null && lng != null && fix && Date.now() - fix.timestamp <= LOCATION_MAX_AGE_SECONDS * 1000) {
       setFrozenLat(lat);
       setFrozenLng(lng);
+      setFrozenFix(fix);
       setFrozenAddress(address || "");
       return;
     }
@@ -592,15 +442,18 @@ export default function AttendanceApp() {
 
       navigator.geolocation.getCurrentPosition(
         async (pos) => {
-          const la = pos.coords.latitude;
-          const ln = pos.coords.longitude;
+          const f = fixTracker.push(toFix(pos));
+          if (f.quality === "stale" || f.quality === "none") return resolve();
+          const la = f.lat;
+          const ln = f.lng;
 
           setFrozenLat(la);
           setFrozenLng(ln);
+          setFrozenFix(f);
 
           try {
             const a = await reverseGeocode(la, ln);
-            setFrozenAddress(a);
+            setFrozenAddress(a || "");
           } catch {
             setFrozenAddress("");
           }
@@ -614,6 +467,7 @@ export default function AttendanceApp() {
 
   /* -------------------- selfie -------------------- */
   const [selfieFile, setSelfieFile] = useState(null);
+  const [selfieLiveness, setSelfieLiveness] = useState(null); // liveness result of that selfie (null = check off)
   const selfiePreview = useMemo(() => (selfieFile ? URL.createObjectURL(selfieFile) : ""), [selfieFile]);
 
   useEffect(() => {
@@ -628,6 +482,231 @@ export default function AttendanceApp() {
     return Array.isArray(employeesByOffice?.[officeId]) ? employeesByOffice[officeId] : [];
   }, [officeId, employeesByOffice]);
 
+  /* -------------------- face verification (on this phone) -------------------- */
+  // only roster employees (CEmployee record) can enrol / be matched
+  const employeeEspoId =
+    (session?.employeeName === employeeId && session?.employeeEspoId) ||
+    filteredEmployees.find((e) => e.id === employeeId)?.espoId ||
+    "";
+
+  // reference descriptor: "none" (not in roster) | "loading" | "missing" | "ready" | "unknown" (offline, no cache)
+  const [faceRef, setFaceRef] = useState({ status: "none", descriptor: null });
+  const [isEnrolling, setIsEnrolling] = useState(false);
+
+  // describeFace() of the current selfie; the promise is awaited on submit
+  const [selfieFace, setSelfieFace] = useState(null);
+  const selfieFaceRef = useRef(null);
+
+  const faceCheck = useMemo(
+    () => (selfieFace && employeeEspoId ? compareFaces(faceRef.descriptor, selfieFace) : null),
+    [selfieFace, faceRef, employeeEspoId]
+  );
+
+  useEffect(() => {
+    if (!employeeEspoId) {
+      setFaceRef({ status: "none", descriptor: null });
+      return;
+    }
+
+    let cancelled = false;
+    const cached = readCachedFaceReference(employeeEspoId);
+    setFaceRef(cached ? { status: "ready", descriptor: cached } : { status: "loading", descriptor: null });
+
+    loadFaceReference(ESPO, employeeEspoId)
+      .then((descriptor) => {
+        writeCachedFaceReference(employeeEspoId, descriptor);
+        if (!cancelled) setFaceRef(descriptor ? { status: "ready", descriptor } : { status: "missing", descriptor: null });
+      })
+      .catch((e) => {
+        console.warn("[FACE] reference fetch failed:", e?.message || e);
+        if (!cancelled && !cached) setFaceRef({ status: "unknown", descriptor: null });
+      });
+
+    // warm up the models while the employee picks the action
+    loadFaceModels().catch((e) => console.warn("[FACE] model load failed:", e?.message || e));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ESPO, employeeEspoId]);
+
+  useEffect(() => {
+    setSelfieFace(null);
+    selfieFaceRef.current = null;
+    if (!selfieFile || !employeeEspoId) return;
+
+    let cancelled = false;
+    const p = describeFace(selfieFile).catch((e) => {
+      console.warn("[FACE] selfie check failed:", e?.message || e);
+      return { faces: 0, descriptor: null, error: e?.message || "Face check failed" };
+    });
+    selfieFaceRef.current = p;
+    p.then((res) => !cancelled && setSelfieFace(res));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selfieFile, employeeEspoId]);
+
+  const enrollFace = async (photo, liveness) => {
+    if (!employeeEspoId) return;
+    // the reference photo must come from a live person, no fallback here
+    if (liveness && !liveness.passed) {
+      return openModal(COMPANY_NAME, t("face.enrolNeedsLiveness"));
+    }
+    setIsEnrolling(true);
+    try {
+      const described = await describeFace(photo);
+      if (described.faces !== 1) {
+        return openModal(COMPANY_NAME, described.faces ? t("face.enrolSeveralFaces") : t("face.enrolNoFace"));
+      }
+
+      await saveFaceReference(ESPO, employeeEspoId, {
+        descriptor: described.descriptor,
+        photo,
+        enrolledAtUtc: toUtcSqlDatetime(getSubmitNowDate()),
+      });
+      writeCachedFaceReference(employeeEspoId, described.descriptor);
+      setFaceRef({ status: "ready", descriptor: described.descriptor });
+      openModal(COMPANY_NAME, t("face.enrolled"));
+    } catch (e) {
+      console.warn("[FACE] enrolment failed:", e?.message || e);
+      openModal(COMPANY_NAME, t("face.enrolFailed", { error: e?.message || t("common.unknownError") }));
+    } finally {
+      setIsEnrolling(false);
+    }
+  };
+
+  const faceStatusText = (check) => {
+    if (!check) return t("face.checking");
+    if (!check.review) return t("face.match", { score: check.score });
+    if (check.reason === "not enrolled") return t("face.notEnrolled");
+    if (selfieFace?.error) return t("face.unavailable");
+    if (check.reason === "no face") return t("face.noFace");
+    if (check.reason === "several faces") return t("face.severalFaces");
+    return t("face.lowMatch", { score: check.score });
+  };
+
+  /* -------------------- device binding (this phone ↔ employee) -------------------- */
+  const [deviceKey, setDeviceKey] = useState(null); // getDeviceKey() of this phone; null while loading / unavailable
+  const [deviceKeyError, setDeviceKeyError] = useState(false);
+  // CEmployee binding: undefined = unknown (offline, no cache), null = no phone registered
+  const [deviceBinding, setDeviceBinding] = useState(undefined);
+  const [isRegisteringDevice, setIsRegisteringDevice] = useState(false);
+
+  useEffect(() => {
+    if (DEVICE_BINDING_MODE === "off") return;
+    getDeviceKey()
+      .then(setDeviceKey)
+      .catch((e) => {
+        console.warn("[DEVICE] key unavailable:", e?.message || e);
+        setDeviceKeyError(true);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (DEVICE_BINDING_MODE === "off" || !employeeEspoId) {
+      setDeviceBinding(undefined);
+      return;
+    }
+
+    let cancelled = false;
+    setDeviceBinding(readCachedDeviceBinding(employeeEspoId));
+
+    loadDeviceBinding(ESPO, employeeEspoId)
+      .then((binding) => {
+        writeCachedDeviceBinding(employeeEspoId, binding);
+        if (!cancelled) setDeviceBinding(binding);
+      })
+      .catch((e) => console.warn("[DEVICE] binding fetch failed:", e?.message || e));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ESPO, employeeEspoId]);
+
+  const deviceCheck =
+    DEVICE_BINDING_MODE === "off" || !employeeEspoId
+      ? null
+      : deviceKey
+        ? checkDevice(deviceBinding, deviceKey.deviceId)
+        : { trusted: false, reason: deviceKeyError ? "no key" : "unknown" };
+
+  const registerDevice = async () => {
+    if (!employeeEspoId || !deviceKey) return;
+    setIsRegisteringDevice(true);
+    try {
+      const binding = await requestDeviceBinding(ESPO, employeeEspoId, {
+        deviceId: deviceKey.deviceId,
+        publicKey: deviceKey.publicJwk,
+        label: deviceLabel(),
+        requestedAtUtc: toUtcSqlDatetime(getSubmitNowDate()),
+      });
+      writeCachedDeviceBinding(employeeEspoId, binding);
+      setDeviceBinding(binding);
+      openModal(COMPANY_NAME, t("device.registered"));
+    } catch (e) {
+      console.warn("[DEVICE] registration failed:", e?.message || e);
+      openModal(COMPANY_NAME, t("device.registerFailed", { error: e?.message || t("common.unknownError") }));
+    } finally {
+      setIsRegisteringDevice(false);
+    }
+  };
+
+  const deviceStatusText = (check) => t(DEVICE_STATUS_KEYS[check.reason] || "device.unknown");
+
+  /* -------------------- offline punch queue -------------------- */
+  const [pendingPunches, setPendingPunches] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const refreshPendingPunches = async () => {
+    try {
+      setPendingPunches(await listPunches());
+    } catch (e) {
+      console.warn("[QUEUE] read failed:", e?.message || e);
+    }
+  };
+
+  const syncPendingNow = async () => {
+    setIsSyncing(true);
+    try {
+      await requestPunchSync(ESPO);
+    } catch (e) {
+      console.warn("[QUEUE] sync failed:", e?.message || e);
+    } finally {
+      setIsSyncing(false);
+      await refreshPendingPunches();
+    }
+  };
+
+  const discardPunch = async (id) => {
+    await removePunch(id);
+    await refreshPendingPunches();
+  };
+
+  useEffect(() => {
+    syncPendingNow();
+
+    const onOnline = () => syncPendingNow();
+    const onSwMessage = (ev) => {
+      if (ev.data?.type === "punch-queue-changed") refreshPendingPunches();
+    };
+
+    window.addEventListener("online", onOnline);
+    navigator.serviceWorker?.addEventListener("message", onSwMessage);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      navigator.serviceWorker?.removeEventListener("message", onSwMessage);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /* -------------------- shift day (night shifts keep the date they started on) -------------------- */
+  const { attendanceDate, carryOverDate } = useMemo(
+    () => (dateStr === "--" ? { attendanceDate: "--", carryOverDate: null } : shiftDays(officeShift, dateStr, timeStr)),
+    [officeShift, dateStr, timeStr]
+  );
+
   /* -------------------- pull today's state -------------------- */
   useEffect(() => {
     let cancelled = false;
@@ -635,17 +714,33 @@ export default function AttendanceApp() {
     const run = async () => {
       if (!officeId || !employeeId) {
         setLastAction(null);
+        setRecordDate(null);
         return;
       }
-      if (dateStr === "--") return;
+      if (attendanceDate === "--") return;
+
+      // queued punches are newer than whatever ESPO has for today
+      const daykey = `${attendanceDate}__${employeeId}`.toLowerCase();
+      const queued = pendingPunches.filter(
+        (p) => p.status === "pending" && p.employeeName === employeeId && p.attendanceDate === attendanceDate
+      );
+      const queuedLastPunch = queued.length ? queued[queued.length - 1] : null;
+      const queuedLast = queuedLastPunch?.type || null;
+      const queuedBreak = queuedLast === "breakStart" ? queuedLastPunch.breakType : null;
 
       try {
-        const rec = await findTodayRecord({ employeeName: employeeId, attendanceDate: dateStr });
+        const rec = await findShiftRecord(ESPO, { employeeName: employeeId, attendanceDate, carryOverDate });
         if (cancelled) return;
-        setLastAction(computeLastActionFromRecord(rec));
+        setRecordDate(rec?.attendanceDate || null);
+        const fromRecord = computeLastActionFromRecord(rec);
+        writeCachedLastAction(daykey, fromRecord);
+        setLastAction(queuedLast || fromRecord);
+        setOpenBreakType(queuedLast ? queuedBreak : openBreak(rec)?.type || null);
       } catch {
         if (cancelled) return;
-        setLastAction(null);
+        setLastAction(queuedLast || readCachedLastAction(daykey));
+        setOpenBreakType(queuedBreak);
+        setRecordDate(null);
       }
     };
 
@@ -654,27 +749,129 @@ export default function AttendanceApp() {
       cancelled = true;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [officeId, employeeId, dateStr]);
+  }, [officeId, employeeId, attendanceDate, carryOverDate, pendingPunches]);
 
   /* -------------------- allowed actions rules -------------------- */
-  const allowedTypes = useMemo(() => {
+  const sequenceTypes = useMemo(() => {
     if (!officeId || !employeeId) return [];
-    if (lastAction === null) return ["checkin"];
-    if (lastAction === "checkin") return ["lunchStart", "checkout"];
-    if (lastAction === "lunchStart") return ["lunchEnd", "checkout"];
-    if (lastAction === "lunchEnd") return ["checkout"];
+    const last = LEGACY_TYPES[lastAction] || lastAction;
+    if (last === null) return ["checkin"];
+    if (last === "checkin" || last === "breakEnd") return ["breakStart", "checkout"];
+    if (last === "breakStart") return ["breakEnd", "checkout"];
     return [];
   }, [officeId, employeeId, lastAction]);
 
+  // shift rules need the running clock (the displayed one is frozen while punching)
+  const [ruleNow, setRuleNow] = useState(() => new Date());
+  useEffect(() => {
+    setRuleNow(getSubmitNowDate());
+    const t = setInterval(() => setRuleNow(getSubmitNowDate()), 30 * 1000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [timeSync, officeId]);
+
+  const shiftRules = useMemo(
+    () =>
+      attendanceDate === "--"
+        ? { blocked: {}, blockedBreaks: {}, lateMinutes: 0 }
+        : evaluateShiftRules(officeShift, attendanceDate, ruleNow),
+    [officeShift, attendanceDate, ruleNow]
+  );
+
+  const allowedTypes = useMemo(() => sequenceTypes.filter((a) => !shiftRules.blocked[a]), [sequenceTypes, shiftRules]);
+  const lateCheckIn = type === "checkin" && allowedTypes.includes("checkin") && shiftRules.lateMinutes > 0;
+  const [lateReason, setLateReason] = useState("");
+
+  // e.g. outside the lunch window → pick another break type
+  useEffect(() => {
+    if (!shiftRules.blockedBreaks[breakType]) return;
+    const free = BREAK_TYPES.find((b) => !shiftRules.blockedBreaks[b]);
+    if (free) setBreakType(free);
+  }, [shiftRules, breakType]);
+
+  const actionLabel = punchLabel(type, type === "breakStart" ? breakType : openBreakType);
+
   useEffect(() => {
     if (!officeId || !employeeId) return;
     const first = allowedTypes[0] || "checkin";
     if (!allowedTypes.includes(type)) setType(first);
   }, [officeId, employeeId, allowedTypes, type]);
 
+  /* -------------------- office selection (freezes time + location) -------------------- */
+  const selectOffice = async (val) => {
+    setOfficeId(val);
+    setEmployeeId("");
+    setLastAction(null);
+    setType("checkin");
+    setSelfieFile(null);
+
+    if (val) {
+      setIsTimeFrozen(true);
+
+      // frozen on the new office's clock (state has not caught up with `val` yet)
+      const zone = getOfficeTimeZone(val, offices.find((o) => o.id === val));
+      const { date, time } = zonedDateTimeParts(getTrustedNow() || new Date(), zone);
+      setDateStr(date);
+      setTimeStr(time);
+
+      await freezeLocationNow();
+    } else {
+      setIsTimeFrozen(false);
+
+      setIsLocationFrozen(false);
+      setFrozenLat(null);
+      setFrozenLng(null);
+      setFrozenFix(null);
+      setFrozenAddress("");
+    }
+  };
+
+  // pre-fill + lock office/employee for the logged-in person
+  const applySession = async (s, preferredOffice, org) => {
+    if (!s) return;
+    const codes = officesOfEmployee(s.employeeName, org);
+    const office = codes.includes(preferredOffice) ? preferredOffice : codes.length === 1 ? codes[0] : "";
+    if (!office) return;
+    await selectOffice(office);
+    setEmployeeId(s.employeeName);
+  };
+
+  const onLoggedIn = async (s, preferredOffice) => {
+    if (s.proxyToken) await saveUserToken(s.proxyToken);
+    writeSession(s);
+    setSession(s);
+    await applySession(s, preferredOffice);
+  };
+
+  const onLogout = async () => {
+    await saveUserToken("");
+    writeSession(null);
+    setSession(null);
+    await onRefreshAll(null);
+  };
+
+  useEffect(() => {
+    const run = async () => {
+      const org = await loadOrgFromEspo();
+      if (!session) return;
+
+      if (!(await isSessionStillValid(ESPO, session))) {
+        await saveUserToken("");
+        writeSession(null);
+        setSession(null);
+        return;
+      }
+      await applySession(session, "", org);
+    };
+
+    run();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   /* -------------------- refresh all -------------------- */
-  const onRefreshAll = async () => {
+  const onRefreshAll = async (currentSession = session) => {
     setCameraOpen(false);
+    setView("punch");
     setOfficeId("");
     setEmployeeId("");
     setType("checkin");
@@ -683,309 +880,390 @@ export default function AttendanceApp() {
 
     setIsTimeFrozen(false);
     renderClock(new Date());
-    syncKolkataTimeFast();
+    syncServerTimeFast();
 
     setIsLocationFrozen(false);
     setFrozenLat(null);
     setFrozenLng(null);
+    setFrozenFix(null);
     setFrozenAddress("");
 
     setLat(null);
     setLng(null);
+    setFix(null);
     setAddress("");
     setLocErr("");
 
-    await loadOrgFromEspo();
+    const org = await loadOrgFromEspo();
+    await applySession(currentSession, "", org);
   };
 
   /* -------------------- submit -------------------- */
+  // one punch at a time: taps while it is still being checked / sent are ignored
+  const submittingRef = useRef(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
   const onSubmit = async () => {
-    if (!ESPO_BASEURL) return openModal(COMPANY_NAME, "ESPO base URL missing in .env");
-    if (!ESPO_API_KEY) return openModal(COMPANY_NAME, "ESPO API key missing in .env");
+    if (submittingRef.current) return;
+    submittingRef.current = true;
+    setIsSubmitting(true);
+    try {
+      await submitAttendance();
+    } finally {
+      submittingRef.current = false;
+      setIsSubmitting(false);
+    }
+  };
 
-    if (!officeId) return openModal(COMPANY_NAME, "Please select office.");
-    if (!employeeId) return openModal(COMPANY_NAME, "Please select employee.");
-    if (!allowedTypes.includes(type)) return openModal(COMPANY_NAME, "This action is not allowed now.");
-    if (!isTimeReady) return openModal(COMPANY_NAME, "Time is initializing. Try again.");
-    if (!selfieFile) return openModal(COMPANY_NAME, "Please take selfie.");
+  const submitAttendance = async () => {
+    if (!ESPO_BASEURL) return openModal(COMPANY_NAME, t("submit.noBaseUrl"));
+    if (!hasEspoAccess(ESPO_CONFIG)) return openModal(COMPANY_NAME, t("submit.noApiKey"));
+
+    if (AUTH_MODE !== "none" && session?.employeeName !== employeeId) {
+      return openModal(COMPANY_NAME, t("submit.loginFirst"));
+    }
+    if (!officeId) return openModal(COMPANY_NAME, t("submit.selectOffice"));
+    if (!employeeId) return openModal(COMPANY_NAME, t("submit.selectEmployee"));
+    if (!allowedTypes.includes(type)) return openModal(COMPANY_NAME, t("submit.notAllowed"));
+    if (!isTimeReady) return openModal(COMPANY_NAME, t("submit.timeNotReady"));
+    if (!selfieFile) return openModal(COMPANY_NAME, t("submit.takeSelfie"));
 
     const meta = TYPE_META[type];
-    if (!meta) return openModal(COMPANY_NAME, "Invalid attendance type.");
+    if (!meta) return openModal(COMPANY_NAME, t("punch.invalidType"));
 
-    // ✅ Use IST date for attendanceDate (same as before)
-    const date = dateStr;
+    // ✅ shift day on the office clock (the calendar date, except early-morning punches of a night shift)
+    const date = attendanceDate;
 
     // ✅ Use trusted server time for the actual DateTime fields, but SAVE it as UTC for Espo
-    const submitNow = getSubmitNowDate();
+    const trustedNow = getTrustedNow();
+    const submitNow = trustedNow || new Date();
+    const time = timeProvenance(timeSync, trustedNow?.getTime() ?? null, Date.now(), clock.uncertaintyMs());
     const dtUtc = toUtcSqlDatetime(submitNow); // <-- THIS FIXES "Tomorrow" issue
 
-    try {
-      // 0) Upload selfie (hybrid approach) - use field name without 'Id' suffix
-      const fieldName = meta.idField.replace("Id", "");
-      const uploaded = await espoUploadSelfie(selfieFile, fieldName);
-
-      // 1) Find existing record
-      const existing = await findTodayRecord({ employeeName: employeeId, attendanceDate: date });
-
-      // Handle location not available case
-      if (displayLat == null || displayLng == null) {
-        console.warn("Location not available, using default coordinates for testing");
-        const defaultLat = 23.0240815;
-        const defaultLng = 72.4720621;
-
-        const basePayload = {
-          name: employeeId,
-          officeCode: officeId,
-          employeeName: employeeId,
-          attendanceDate: date,
-          officeLat: Number(defaultLat),
-          officeLng: Number(defaultLng),
-          daykey: `${date}__${employeeId}`.toLowerCase(),
-          notes: "Location not available - using default coordinates",
-
-          ...(uploaded.useAttachment
-            ? {
-                [meta.idField]: uploaded.id,
-                [meta.nameField]: uploaded.name,
-              }
-            : {}),
-
-          [`${type}SelfieData`]: uploaded.dataUrl,
-          [`${type}SelfieName`]: uploaded.name,
-        };
-
-        if (!existing) {
-          if (type !== "checkin") {
-            return openModal(COMPANY_NAME, "First do Checkin for today, then Lunch/Checkout.");
-          }
-
-          const createPayload = {
-            ...basePayload,
-            [meta.timeField]: dtUtc, // ✅ UTC value stored
-            recordType: "Attendance",
-          };
+    // ✅ shift rules again at the exact submit time (the screen re-checks every 30s)
+    const rules = evaluateShiftRules(officeShift, date, submitNow);
+    if (rules.blocked[type]) return openModal(COMPANY_NAME, rules.blocked[type]);
+    if (type === "breakStart" && rules.blockedBreaks[breakType]) return openModal(COMPANY_NAME, rules.blockedBreaks[breakType]);
 
-          const created = await espoCreate(createPayload);
-          setLastAction(computeLastActionFromRecord(created) || "checkin");
+    const late = type === "checkin" && rules.lateMinutes > 0 ? { minutes: rules.lateMinutes, reason: lateReason.trim() } : null;
+    if (late && !late.reason) {
+      return openModal(COMPANY_NAME, t("submit.lateReason", { minutes: late.minutes, start: officeShift.start }));
+    }
 
-          setSelfieFile(null);
-          openModal(COMPANY_NAME, `${COMPANY_NAME}: ${ACTION_LABELS[type]} submitted ✅`, true);
-          return;
-        }
+    // ✅ GPS quality of the frozen fix (no location is stored as such, never as made-up coordinates)
+    const hasLocation = displayLat != null && displayLng != null;
+    const location = hasLocation && displayFix
+      ? { quality: displayFix.quality, accuracy: displayFix.accuracy, jumpKmh: displayFix.jumpKmh }
+      : { quality: "none", accuracy: null, jumpKmh: 0 };
+    if (location.quality !== "good" && LOCATION_MODE === "block") {
+      return openModal(COMPANY_NAME, t("submit.badLocation", { status: locationStatusText(location) }));
+    }
 
-        if (existing?.[meta.timeField]) {
-          return openModal(COMPANY_NAME, `${ACTION_LABELS[type]} already done for today.`);
-        }
+    // ✅ geofence against the frozen location (no location = cannot prove presence)
+    let geofence = null;
+    if (officeFence) {
+      geofence = fenceCheck
+        ? { outside: !fenceCheck.inside, distance: fenceCheck.distance }
+        : { outside: true, distance: null };
+
+      if (geofence.outside && GEOFENCE_MODE === "block") {
+        return openModal(
+          COMPANY_NAME,
+          fenceCheck
+            ? t("submit.outsideFence", { distance: formatDistance(fenceCheck.distance), office: officeId })
+            : t("submit.needLocation", { office: officeId })
+        );
+      }
+    }
 
-        // Build update payload with existing data + new fields
-        const updatePayload = {
-          // Keep existing core fields
-          name: existing.name,
-          officeCode: existing.officeCode,
-          employeeName: existing.employeeName,
-          attendanceDate: existing.attendanceDate,
-          daykey: existing.daykey,
-          
-          // Update the specific time field
-          [meta.timeField]: dtUtc,
-        };
-
-        // Add selfie attachment if available
-        if (uploaded.useAttachment) {
-          updatePayload[meta.idField] = uploaded.id;
-          updatePayload[meta.nameField] = uploaded.name;
-        }
+    // ✅ registered phone (checked before anything is uploaded)
+    if (deviceCheck && !deviceCheck.trusted && DEVICE_BINDING_MODE === "block") {
+      return openModal(COMPANY_NAME, t("submit.deviceBlocked", { status: deviceStatusText(deviceCheck) }));
+    }
 
-        console.log("[SUBMIT] Updating existing record (no location):", existing.id);
-        console.log("[SUBMIT] Update payload:", JSON.stringify(updatePayload, null, 2));
+    if (ESPO_CONFIG.proxy && !session?.proxyToken) return openModal(COMPANY_NAME, t("submit.loginToPunch"));
 
-        const updateResult = await espoUpdate(existing.id, updatePayload);
-        console.log("[SUBMIT] Update result:", updateResult);
+    // downscale + watermark the upload copy (the face check keeps using the original)
+    let selfie = selfieFile;
+    try {
+      const at = zonedDateTimeParts(submitNow, officeTimeZone);
+      selfie = await processSelfie(selfieFile, {
+        lines: SELFIE_WATERMARK
+          ? watermarkLines({
+              employeeName: employeeId,
+              officeCode: officeId,
+              action: actionLabel,
+              dateTime: `${at.date} ${at.time} ${timeZoneLabel(officeTimeZone, submitNow)}`,
+              lat: hasLocation ? Number(displayLat) : NaN,
+              lng: hasLocation ? Number(displayLng) : NaN,
+            })
+          : [],
+      });
+    } catch (e) {
+      console.warn("[SELFIE] processing failed, uploading original:", e?.message || e);
+    }
 
-        const fresh = await findTodayRecord({ employeeName: employeeId, attendanceDate: date });
-        console.log("[SUBMIT] Fresh record after update:", fresh);
-        
-        // ✅ Verify the update actually worked
-        if (!fresh?.[meta.timeField]) {
-          throw new Error(`Update failed: ${meta.timeField} is still null in database. This may be a backend permission or field configuration issue in ESPO.`);
-        }
-        
-        setLastAction(computeLastActionFromRecord(fresh));
+    // on-device face match (waits if the selfie is still being checked)
+    const face = employeeEspoId ? compareFaces(faceRef.descriptor, await selfieFaceRef.current) : null;
+
+    const punch = {
+      employeeName: employeeId,
+      officeCode: officeId,
+      type,
+      attendanceDate: date,
+      punchedAtUtc: dtUtc,
+      lat: hasLocation ? Number(displayLat) : null,
+      lng: hasLocation ? Number(displayLng) : null,
+      // saved language-neutral; only the screen shows the localized label
+      notes: hasLocation ? geocodedAddress || nearestOfficeNote(nearest) : "",
+      locationSource: !hasLocation ? "none" : geocodedAddress ? "geocoder" : nearest ? "nearestOffice" : "none",
+      location,
+      selfie,
+      geofence,
+      authMethod: session?.method || "none",
+      face,
+      liveness: selfieLiveness,
+      shift: officeShift,
+      late,
+      breakType: type === "breakStart" ? breakType : null,
+      carryOverDate,
+      timeZone: officeTimeZone,
+      time,
+      device: deviceCheck ? { trusted: deviceCheck.trusted, deviceId: deviceKey?.deviceId || "", signature: "" } : null,
+      // the proxy takes punches only with the employee's own login (also when replayed later)
+      authToken: ESPO_CONFIG.proxy ? session?.proxyToken || "" : "",
+    };
 
-        setSelfieFile(null);
-        openModal(COMPANY_NAME, `${COMPANY_NAME}: ${ACTION_LABELS[type]} submitted ✅`, true);
-        return;
+    // signed by this phone's key: ties the punch to the device it was made on
+    if (punch.device && deviceKey) {
+      try {
+        Object.assign(punch.device, await signPunch(punch, deviceKey));
+      } catch (e) {
+        console.warn("[DEVICE] signing failed:", e?.message || e);
       }
+    }
 
-      const basePayload = {
-        name: employeeId,
-        officeCode: officeId,
-        employeeName: employeeId,
-        attendanceDate: date,
-        officeLat: Number(displayLat),
-        officeLng: Number(displayLng),
-        daykey: `${date}__${employeeId}`.toLowerCase(),
-        notes: displayAddress || "",
-
-        ...(uploaded.useAttachment
-          ? {
-              [meta.idField]: uploaded.id,
-              [meta.nameField]: uploaded.name,
-            }
-          : {}),
-
-        [`${type}SelfieData`]: uploaded.dataUrl,
-        [`${type}SelfieName`]: uploaded.name,
-      };
-
-      if (!existing) {
-        if (type !== "checkin") {
-          return openModal(COMPANY_NAME, "First do Checkin for today, then Lunch/Checkout.");
-        }
-
-        const createPayload = {
-          ...basePayload,
-          [meta.timeField]: dtUtc, // ✅ UTC value stored
-          recordType: "Attendance",
-        };
-
-        const created = await espoCreate(createPayload);
-        setLastAction(computeLastActionFromRecord(created) || "checkin");
+    // PIN login is meant for shared phones: the next person must enter their own PIN
+    const endPinSession = () => {
+      if (session?.method !== "pin") return;
+      saveUserToken("");
+      writeSession(null);
+      setSession(null);
+    };
 
-        setSelfieFile(null);
-        openModal(COMPANY_NAME, `${COMPANY_NAME}: ${ACTION_LABELS[type]} submitted ✅`, true);
-        return;
-      }
+    const queueOffline = async (reason) => {
+      await enqueuePunch(punch);
+      await refreshPendingPunches();
+      setLastAction(type);
+      setOpenBreakType(type === "breakStart" ? breakType : null);
+      setSelfieFile(null);
+      setLateReason("");
+      endPinSession();
+      syncPendingNow();
+      openModal(COMPANY_NAME, t("submit.queued", { action: actionLabel, reason }), true);
+    };
 
-      if (existing?.[meta.timeField]) {
-        return openModal(COMPANY_NAME, `${ACTION_LABELS[type]} already done for today.`);
-      }
+    // earlier punches of this employee still waiting → this one must queue behind them
+    const hasQueued = pendingPunches.some((p) => p.status === "pending" && p.employeeName === employeeId);
 
-      // Build update payload with existing data + new fields
-      const updatePayload = {
-        // Keep existing core fields
-        name: existing.name,
-        officeCode: existing.officeCode,
-        employeeName: existing.employeeName,
-        attendanceDate: existing.attendanceDate,
-        daykey: existing.daykey,
-        
-        // Update the specific time field
-        [meta.timeField]: dtUtc,
-      };
-
-      // Add selfie attachment if available
-      if (uploaded.useAttachment) {
-        updatePayload[meta.idField] = uploaded.id;
-        updatePayload[meta.nameField] = uploaded.name;
-      }
+    try {
+      if (!navigator.onLine) return await queueOffline(t("submit.reasonOffline"));
+      if (hasQueued) return await queueOffline(t("submit.reasonPending"));
 
-      console.log("[SUBMIT] Updating existing record:", existing.id);
-      console.log("[SUBMIT] Update payload:", JSON.stringify(updatePayload, null, 2));
+      const saved = await submitPunch(ESPO, punch);
+      setLastAction(computeLastActionFromRecord(saved) || type);
+      setOpenBreakType(openBreak(saved)?.type || null);
 
-      const updateResult = await espoUpdate(existing.id, updatePayload);
-      console.log("[SUBMIT] Update result:", updateResult);
+      setSelfieFile(null);
+      setLateReason("");
+      endPinSession();
+      openModal(COMPANY_NAME, t("submit.done", { company: COMPANY_NAME, action: actionLabel }), true);
+    } catch (e) {
+      if (e instanceof PunchRejectedError) return openModal(COMPANY_NAME, e.message);
 
-      const fresh = await findTodayRecord({ employeeName: employeeId, attendanceDate: date });
-      console.log("[SUBMIT] Fresh record after update:", fresh);
-      
-      // ✅ Verify the update actually worked
-      if (!fresh?.[meta.timeField]) {
-        throw new Error(`Update failed: ${meta.timeField} is still null in database. This may be a backend permission or field configuration issue in ESPO.`);
+      let err = e;
+      if (isRetryableError(e)) {
+        try {
+          return await queueOffline(t("submit.reasonNetwork"));
+        } catch (qe) {
+          err = qe;
+        }
       }
-      
-      setLastAction(computeLastActionFromRecord(fresh));
 
-      setSelfieFile(null);
-      openModal(COMPANY_NAME, `${COMPANY_NAME}: ${ACTION_LABELS[type]} submitted ✅`, true);
-    } catch (e) {
-      console.warn("[ESPO] submit failed:", e?.message || e);
-      openModal(COMPANY_NAME, `Submit failed.\n${e?.message || "Unknown error"}`);
+      console.warn("[ESPO] submit failed:", err?.message || err);
+      openModal(COMPANY_NAME, t("submit.failed", { error: err?.message || t("common.unknownError") }));
     }
   };
 
   const onModalOk = async () => {
     const shouldRefresh = modal.refreshOnOk;
     closeModal();
-    if (shouldRefresh) await onRefreshAll();
+    if (shouldRefresh) await onRefreshAll(readSession());
   };
 
-  const cameraTitle = `Take Selfie (${ACTION_LABELS[type] || "Selfie"})`;
-  const fileNamePrefix = `selfie-${type}`;
+  const showHistory = view === "history" && !!employeeId && !needsLogin;
+  const showDashboard = view === "dashboard" && canSeeDashboard;
+  const showExport = view === "export" && canSeeDashboard;
+  // attendanceDate of today, even before the clock has synced
+  const todayDate = /^\d{4}-\d{2}-\d{2}$/.test(dateStr) ? dateStr : zonedDateTimeParts(new Date(), officeTimeZone).date;
+
+  const cameraTitle =
+    cameraPurpose === "enroll" ? t("camera.enrolTitle") : t("camera.punchTitle", { action: actionLabel });
+  const fileNamePrefix = cameraPurpose === "enroll" ? "face-reference" : `selfie-${type}`;
 
   return (
     <div className="page">
-      <AppModal open={modal.open} title={modal.title} message={modal.message} okText="OK" onOk={onModalOk} />
+      <AppModal open={modal.open} title={modal.title} message={modal.message} onOk={onModalOk} />
 
       <header className="topbar">
         <div className="brand">
-          <img className="logoImg" src="/logo.jpeg" alt="Amrita Logo" />
+          <img className="logoImg" src={tenant.logoUrl} alt={COMPANY_NAME} />
           <div className="title">{COMPANY_NAME}</div>
         </div>
 
-        <button type="button" className="iconBtn" onClick={onRefreshAll} title="Refresh">
-          ⟳
-        </button>
-      </header>
-
-      <div className="container">
-        {/* STEP 1: Office */}
-        <div className="card">
-          <label className="label">🏢 Select Office</label>
+        <div className="topActions">
           <select
-            className="input"
-            value={officeId}
-            disabled={orgLoading}
-            onChange={async (e) => {
-              const val = e.target.value;
-
-              setOfficeId(val);
-              setEmployeeId("");
-              setLastAction(null);
-              setType("checkin");
-              setSelfieFile(null);
-
-              if (val) {
-                setIsTimeFrozen(true);
-
-                const trusted = getTrustedNow();
-                if (trusted) {
-                  const { date, time } = istDateTimeParts(trusted);
-                  setDateStr(date);
-                  setTimeStr(time);
-                } else {
-                  const { date, time } = istDateTimeParts(new Date());
-                  setDateStr(date);
-                  setTimeStr(time);
-                }
-
-                await freezeLocationNow();
-              } else {
-                setIsTimeFrozen(false);
-
-                setIsLocationFrozen(false);
-                setFrozenLat(null);
-                setFrozenLng(null);
-                setFrozenAddress("");
-              }
-            }}
+            className="langSelect"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            title={t("header.language")}
+            aria-label={t("header.language")}
           >
-            <option value="">{orgLoading ? "Loading offices..." : offices.length ? "Select Office" : "No offices found"}</option>
-            {offices.map((o) => (
-              <option key={o.id} value={o.id}>
-                {o.name}
+            {LANGUAGES.map((l) => (
+              <option key={l.code} value={l.code}>
+                {l.name}
               </option>
             ))}
           </select>
+          {canSeeDashboard && visibleOffices.length > 0 && (
+            <button
+              type="button"
+              className="iconBtn"
+              onClick={() => setView((v) => (v === "dashboard" || v === "export" ? "punch" : "dashboard"))}
+              title={t("header.dashboard")}
+            >
+              📊
+            </button>
+          )}
+          {employeeId && !needsLogin && (
+            <button
+              type="button"
+              className="iconBtn"
+              onClick={() => setView((v) => (v === "history" ? "punch" : "history"))}
+              title={t("header.history")}
+            >
+              📅
+            </button>
+          )}
+          {session && (
+            <button type="button" className="userBtn" onClick={onLogout} title={t("header.logout")}>
+              👤 {session.employeeName} ⎋
+            </button>
+          )}
+          <button type="button" className="iconBtn" onClick={() => onRefreshAll()} title={t("header.refresh")}>
+            ⟳
+          </button>
         </div>
+      </header>
+
+      {showHistory && (
+        <div className="container">
+          <AttendanceHistory
+            client={ESPO}
+            employeeName={employeeId}
+            offices={offices}
+            today={todayDate}
+            onClose={() => setView("punch")}
+          />
+        </div>
+      )}
+
+      {showDashboard && (
+        <div className="container">
+          <OfficeDashboard
+            client={ESPO}
+            offices={visibleOffices}
+            employeesByOffice={employeesByOffice}
+            defaultOfficeId={officeId}
+            approverName={session?.employeeName || ""}
+            canApproveDevices={managerVerified}
+            onExport={() => setView("export")}
+            onClose={() => setView("punch")}
+          />
+        </div>
+      )}
+
+      {showExport && (
+        <div className="container">
+          <AttendanceExport
+            client={ESPO}
+            offices={visibleOffices}
+            employeesByOffice={employeesByOffice}
+            today={todayDate}
+            onClose={() => setView("dashboard")}
+          />
+        </div>
+      )}
+
+      {/* punch form stays mounted behind the other screens (keeps the frozen time/location) */}
+      <div className="container" hidden={showHistory || showDashboard || showExport}>
+        {needsLogin && (
+          <EmployeeLogin
+            mode={AUTH_MODE}
+            client={ESPO}
+            offices={offices}
+            employeesByOffice={employeesByOffice}
+            orgLoading={orgLoading}
+            onLoggedIn={onLoggedIn}
+          />
+        )}
+
+        {/* STEP 1: Office */}
+        {!needsLogin && (
+          <div className="card">
+            <label className="label">{t("form.selectOffice")}</label>
+            <select
+              className="input"
+              value={officeId}
+              disabled={orgLoading}
+              onChange={(e) => {
+                const val = e.target.value;
+                if (session) {
+                  // keep the logged-in employee selected when switching between their offices
+                  selectOffice(val).then(() => val && setEmployeeId(session.employeeName));
+                } else {
+                  selectOffice(val);
+                }
+              }}
+            >
+              <option value="">{orgLoading ? t("office.loading") : visibleOffices.length ? t("office.select") : t("office.none")}</option>
+              {visibleOffices.map((o) => (
+                <option key={o.id} value={o.id}>
+                  {`${o.name}${officeDistanceLabel(o)}`}
+                </option>
+              ))}
+            </select>
+
+            {officeId && officeFence && (
+              <div className={fenceCheck?.inside ? "fenceOk" : "fenceWarn"}>
+                {!fenceCheck
+                  ? t("fence.waiting", { office: officeId })
+                  : fenceCheck.inside
+                    ? t("fence.inside", { office: officeId })
+                    : t("fence.outside", { distance: formatDistance(fenceCheck.distance), office: officeId })}
+              </div>
+            )}
+          </div>
+        )}
 
         {/* STEP 2: Employee */}
-        {officeId && (
+        {officeId && !needsLogin && (
           <div className="card">
-            <label className="label">👤 Select Employee</label>
+            <label className="label">{t("form.selectEmployee")}</label>
             <select
               className="input"
               value={employeeId}
+              disabled={!!session}
               onChange={(e) => {
                 const val = e.target.value;
                 setEmployeeId(val);
@@ -994,7 +1272,10 @@ export default function AttendanceApp() {
                 setSelfieFile(null);
               }}
             >
-              <option value="">{filteredEmployees.length ? "Select Employee" : "No employees found"}</option>
+              <option value="">{filteredEmployees.length ? t("employee.select") : t("employee.none")}</option>
+              {session && !filteredEmployees.some((e) => e.id === session.employeeName) && (
+                <option value={session.employeeName}>{session.employeeName}</option>
+              )}
               {filteredEmployees.map((e) => (
                 <option key={e.id} value={e.id}>
                   {e.name}
@@ -1007,14 +1288,16 @@ export default function AttendanceApp() {
         {/* STEP 3: Attendance Type */}
         {officeId && employeeId && (
           <div className="card">
-            <label className="label">❗ Attendance Type</label>
+            <label className="label">{t("form.attendanceType")}</label>
+
+            {officeShift && <div className="queueMeta">{t("form.shift", { shift: formatShift(officeShift) })}</div>}
 
             <div className="radioRow">
               {[
-                { key: "checkin", label: "Checkin" },
-                { key: "checkout", label: "Checkout" },
-                { key: "lunchStart", label: "Lunch Start" },
-                { key: "lunchEnd", label: "Lunch End" },
+                { key: "checkin", label: punchLabel("checkin") },
+                { key: "breakStart", label: t("form.breakStart") },
+                { key: "breakEnd", label: punchLabel("breakEnd", openBreakType) },
+                { key: "checkout", label: punchLabel("checkout") },
               ].map((opt) => {
                 const enabled = allowedTypes.includes(opt.key);
                 return (
@@ -1031,54 +1314,184 @@ export default function AttendanceApp() {
                 );
               })}
             </div>
+
+            {type === "breakStart" && allowedTypes.includes("breakStart") && (
+              <>
+                <select className="input breakType" value={breakType} onChange={(e) => setBreakType(e.target.value)}>
+                  {BREAK_TYPES.map((key) => (
+                    <option key={key} value={key} disabled={!!shiftRules.blockedBreaks[key]}>
+                      {breakLabel(key)}
+                    </option>
+                  ))}
+                </select>
+                {Object.entries(shiftRules.blockedBreaks).map(([key, reason]) => (
+                  <div key={key} className="queueMeta">
+                    ⛔ {reason}
+                  </div>
+                ))}
+              </>
+            )}
+
+            {sequenceTypes
+              .filter((a) => shiftRules.blocked[a])
+              .map((a) => (
+                <div key={a} className="queueMeta">
+                  ⛔ {shiftRules.blocked[a]}
+                </div>
+              ))}
+
+            {lateCheckIn && (
+              <>
+                <div className="errorText">{t("form.lateWarning", { minutes: shiftRules.lateMinutes })}</div>
+                <textarea
+                  className="input lateReason"
+                  rows={2}
+                  placeholder={t("form.lateReasonPlaceholder")}
+                  value={lateReason}
+                  onChange={(e) => setLateReason(e.target.value)}
+                />
+              </>
+            )}
           </div>
         )}
 
+        {/* Face enrolment (one time) */}
+        {officeId && employeeId && faceRef.status === "missing" && (
+          <div className="card">
+            <label className="label">{t("face.enrolTitle")}</label>
+            <div className="infoLine">{t("face.enrolHint")}</div>
+            <button
+              className="btn purple"
+              type="button"
+              disabled={isEnrolling}
+              onClick={() => {
+                setCameraPurpose("enroll");
+                setCameraOpen(true);
+              }}
+            >
+              {isEnrolling ? t("common.saving") : t("face.enrolButton")}
+            </button>
+          </div>
+        )}
+
+        {/* Registered phone */}
+        {officeId && employeeId && deviceCheck && (
+          <div className="card">
+            <label className="label">{t("device.title")}</label>
+            <div className={deviceCheck.trusted ? "fenceOk" : "fenceWarn"}>{deviceStatusText(deviceCheck)}</div>
+            {!deviceCheck.trusted && (
+              <div className="infoLine">{DEVICE_BINDING_MODE === "flag" ? t("device.flagged") : t("device.registerHint")}</div>
+            )}
+            {deviceKey && ["not registered", "other device"].includes(deviceCheck.reason) && (
+              <button className="btn purple" type="button" disabled={isRegisteringDevice} onClick={registerDevice}>
+                {isRegisteringDevice ? t("common.saving") : t("device.register")}
+              </button>
+            )}
+          </div>
+        )}
+
+        <SelfieCamera
+          open={cameraOpen}
+          onClose={() => setCameraOpen(false)}
+          onCapture={(file, liveness) => {
+            if (cameraPurpose === "enroll") return enrollFace(file, liveness);
+            setSelfieFile(file);
+            setSelfieLiveness(liveness);
+          }}
+          title={cameraTitle}
+          fileNamePrefix={fileNamePrefix}
+          liveness={LIVENESS_MODE === "on"}
+        />
+
         {/* Date/Time/Location */}
         <div className="card">
-          <div className="infoLine">📅 Date: {dateStr}</div>
-          <div className="infoLine">🕒 Time (IST - standard): {timeStr}</div>
+          <div className="infoLine">{t("form.date", { date: formatDate(dateStr) })}</div>
+          {officeId && employeeId && (recordDate || attendanceDate) !== dateStr && (
+            <div className="infoLine">{t("form.shiftDay", { date: formatDate(recordDate || attendanceDate) })}</div>
+          )}
+          <div className="infoLine">{t("form.time", { zone: timeZoneLabel(officeTimeZone), time: timeStr })}</div>
 
           {displayLat != null && displayLng != null && (
-            <div className="infoLine">
-              📍 Lat: {displayLat.toFixed(7)}, Lng: {displayLng.toFixed(7)}
-            </div>
+            <div className="infoLine">{t("form.latLng", { lat: displayLat.toFixed(7), lng: displayLng.toFixed(7) })}</div>
           )}
 
           {displayAddress && <div className="infoLine">📌 {displayAddress}</div>}
+          {officeId && employeeId && (displayFix || isLocationFrozen) && (
+            <div className={displayFix?.quality === "good" ? "fenceOk" : "fenceWarn"}>
+              {locationStatusText(displayFix || { quality: "none" })}
+            </div>
+          )}
           {locErr && <div className="errorText">{locErr}</div>}
         </div>
 
         {/* Map */}
         <div className="card mapCard">
-          <MapView lat={displayLat} lng={displayLng} />
+          <MapView lat={displayLat} lng={displayLng} accuracy={displayAccuracy} geofence={officeFence} />
         </div>
 
         {/* Selfie + Submit */}
         {officeId && employeeId && allowedTypes.length > 0 && (
           <div className="card">
-            <button className="btn purple" type="button" onClick={() => setCameraOpen(true)}>
-              📷 Take Selfie
+            <button
+              className="btn purple"
+              type="button"
+              onClick={() => {
+                setCameraPurpose("punch");
+                setCameraOpen(true);
+              }}
+            >
+              {t("form.takeSelfie")}
             </button>
 
-            <SelfieCamera
-              open={cameraOpen}
-              onClose={() => setCameraOpen(false)}
-              onCapture={(file) => setSelfieFile(file)}
-              title={cameraTitle}
-              fileNamePrefix={fileNamePrefix}
-            />
-
             <div className="previewBox">
               {selfiePreview ? (
-                <img className="previewImg" src={selfiePreview} alt="Selfie Preview" />
+                <img className="previewImg" src={selfiePreview} alt={t("form.selfiePreview")} />
               ) : (
-                <div className="placeholder">Selfie Preview</div>
+                <div className="placeholder">{t("form.selfiePreview")}</div>
               )}
             </div>
 
-            <button className="btn green" onClick={onSubmit}>
-              ✅ Submit Attendance
+            {selfieFile && employeeEspoId && (
+              <div className={faceCheck && !faceCheck.review ? "fenceOk" : "fenceWarn"}>{faceStatusText(faceCheck)}</div>
+            )}
+
+            <button className="btn green" disabled={isSubmitting} onClick={onSubmit}>
+              {isSubmitting ? t("form.submitting") : t("form.submit")}
+            </button>
+          </div>
+        )}
+
+        {/* Pending sync (offline punches) */}
+        {pendingPunches.length > 0 && (
+          <div className="card">
+            <label className="label">{t("queue.title", { count: pendingPunches.length })}</label>
+
+            {pendingPunches.map((p) => {
+              const zone = p.timeZone || getOfficeTimeZone(p.officeCode, offices.find((o) => o.id === p.officeCode));
+              const at = zonedDateTimeParts(new Date(`${String(p.punchedAtUtc).replace(" ", "T")}Z`), zone);
+              return (
+                <div key={p.id} className="queueItem">
+                  <div className="queueMain">
+                    <div>
+                      {punchLabel(p.type, p.breakType)} · {p.employeeName} · {p.officeCode}
+                    </div>
+                    <div className="queueMeta">
+                      {at.date} {at.time} {timeZoneLabel(zone)} · {p.status === "failed" ? t("queue.failed") : t("queue.waiting")}
+                    </div>
+                    {p.lastError && <div className="queueError">{p.lastError}</div>}
+                  </div>
+
+                  {p.status === "failed" && (
+                    <button type="button" className="queueBtn" onClick={() => discardPunch(p.id)}>
+                      {t("queue.discard")}
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+
+            <button className="btn purple" type="button" disabled={isSyncing} onClick={syncPendingNow}>
+              {isSyncing ? t("queue.syncing") : t("queue.syncNow")}
             </button>
           </div>
         )}
@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { listOfficesRange } from "../lib/espo";
+import { buildExportRows, datesBetween, downloadBlob, toCsv, toXlsx } from "../lib/export";
+import { t } from "../lib/i18n";
+import { getOfficeShift } from "../lib/shift";
+import { getOfficeTimeZone } from "../lib/timeZone";
+
+const MAX_DAYS = 92;
+
+export default function AttendanceExport({ client, offices, employeesByOffice, today, onClose }) {
+  const [selected, setSelected] = useState(() => offices.map((o) => o.id));
+  const [from, setFrom] = useState(`${today.slice(0, 7)}-01`);
+  const [to, setTo] = useState(today);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [summary, setSummary] = useState("");
+
+  const toggleOffice = (id) =>
+    setSelected((cur) => (cur.includes(id) ? cur.filter((x) => x !== id) : [...cur, id]));
+
+  const run = async (format) => {
+    setError("");
+    setSummary("");
+
+    if (!selected.length) return setError(t("export.pickOffice"));
+    if (!from || !to || from > to) return setError(t("export.pickRange"));
+    if (datesBetween(from, to).length > MAX_DAYS) return setError(t("export.maxDays", { days: MAX_DAYS }));
+
+    setBusy(format);
+    try {
+      const officeCodes = offices.map((o) => o.id).filter((id) => selected.includes(id));
+      const records = await listOfficesRange(client, { officeCodes, from, to });
+      const officeOf = (code) => offices.find((o) => o.id === code);
+      const rows = buildExportRows(records, {
+        officeCodes,
+        from,
+        to,
+        employeesByOffice,
+        shiftFor: (code) => getOfficeShift(code, officeOf(code)),
+        timeZoneFor: (code) => getOfficeTimeZone(code, officeOf(code)),
+      });
+
+      const base = `attendance_${officeCodes.join("-")}_${from}_${to}`;
+      if (format === "csv") downloadBlob(new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }), `${base}.csv`);
+      else downloadBlob(toXlsx(rows), `${base}.xlsx`);
+
+      setSummary(t("export.summary", { rows: rows.length, records: records.length }));
+    } catch (e) {
+      console.warn("[EXPORT] failed:", e?.message || e);
+      setError(navigator.onLine ? t("export.failed", { error: e?.message || "" }) : t("export.needsNetwork"));
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="histHeader">
+        <label className="label">{t("export.title")}</label>
+        <button type="button" className="queueBtn" onClick={onClose}>
+          {t("common.back")}
+        </button>
+      </div>
+
+      <div className="exportOffices">
+        {offices.map((o) => (
+          <label key={o.id} className="radioItem">
+            <input type="checkbox" checked={selected.includes(o.id)} onChange={() => toggleOffice(o.id)} />
+            <span>{o.name}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="exportDates">
+        <label>
+          {t("export.from")}
+          <input className="input" type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          {t("export.to")}
+          <input className="input" type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+        </label>
+      </div>
+
+      {error && <div className="errorText">{error}</div>}
+      {summary && <div className="fenceOk">✅ {summary}</div>}
+
+      <button className="btn purple loginGap" type="button" disabled={!!busy} onClick={() => run("xlsx")}>
+        {busy === "xlsx" ? t("export.preparing") : t("export.xlsx")}
+      </button>
+      <button className="btn green" type="button" disabled={!!busy} onClick={() => run("csv")}>
+        {busy === "csv" ? t("export.preparing") : t("export.csv")}
+      </button>
+    </div>
+  );
+}
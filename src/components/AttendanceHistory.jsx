@@ -0,0 +1,215 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listAttendanceRange } from "../lib/espo";
+import { formatMinutes, formatZonedTime, parseBreaks, punchLabel, TYPE_META } from "../lib/attendance";
+import { currentLocale, formatDate, t, weekdayNames } from "../lib/i18n";
+import { getOfficeShift } from "../lib/shift";
+import { getOfficeTimeZone, timeZoneLabel } from "../lib/timeZone";
+import { computeWorkTime } from "../lib/workTime";
+
+// checkin, every break start/end, checkout — in the order they happened
+function dayPunches(rec) {
+  const rows = [{ key: "checkin", label: punchLabel("checkin"), at: rec.checkInAt, selfieId: rec[TYPE_META.checkin.idField] }];
+  parseBreaks(rec).forEach((b, i) => {
+    rows.push({ key: `b${i}s`, label: punchLabel("breakStart", b.type), at: b.startAt, selfieId: b.startSelfieId });
+    if (b.endAt) rows.push({ key: `b${i}e`, label: punchLabel("breakEnd", b.type), at: b.endAt, selfieId: b.endSelfieId });
+  });
+  rows.push({ key: "checkout", label: punchLabel("checkout"), at: rec.checkOutAt, selfieId: rec[TYPE_META.checkout.idField] });
+  return rows;
+}
+
+// "2026-10" → { from: "2026-10-01", to: "2026-10-31", days: 31, firstWeekday: 4 }
+function monthRange(month) {
+  const [y, m] = month.split("-").map(Number);
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return {
+    from: `${month}-01`,
+    to: `${month}-${String(days).padStart(2, "0")}`,
+    days,
+    firstWeekday: new Date(Date.UTC(y, m - 1, 1)).getUTCDay(),
+  };
+}
+
+function shiftMonth(month, delta) {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + delta, 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+const monthTitle = (month) =>
+  new Intl.DateTimeFormat(currentLocale(), { month: "long", year: "numeric", timeZone: "UTC" }).format(new Date(`${month}-01T00:00:00Z`));
+
+/* -------------------- selfie thumbnails (fetched with the API key) -------------------- */
+function SelfieThumb({ client, attachmentId, alt }) {
+  const [url, setUrl] = useState("");
+
+  useEffect(() => {
+    if (!attachmentId) return;
+    let objectUrl = "";
+    let cancelled = false;
+
+    client
+      .attachmentBlob(attachmentId)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((e) => console.warn("[HISTORY] selfie fetch failed:", e?.message || e));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [client, attachmentId]);
+
+  if (!attachmentId) return <div className="histThumb empty" />;
+  return url ? <img className="histThumb" src={url} alt={alt} /> : <div className="histThumb loading" />;
+}
+
+// today = today's attendanceDate (YYYY-MM-DD)
+export default function AttendanceHistory({ client, employeeName, offices = [], today, onClose }) {
+  const [month, setMonth] = useState(() => today.slice(0, 7));
+  const [records, setRecords] = useState({}); // attendanceDate → record
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [selectedDate, setSelectedDate] = useState(today);
+
+  const range = useMemo(() => monthRange(month), [month]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const run = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const list = await listAttendanceRange(client, { employeeName, from: range.from, to: range.to });
+        if (cancelled) return;
+        // one record per day is the rule; if duplicates slipped in, the last one listed wins
+        const byDate = {};
+        for (const rec of list) byDate[rec.attendanceDate] = rec;
+        setRecords(byDate);
+      } catch (e) {
+        console.warn("[HISTORY] fetch failed:", e?.message || e);
+        if (!cancelled) {
+          setRecords({});
+          setError(navigator.onLine ? t("history.loadFailed", { error: e?.message || "" }) : t("history.needsNetwork"));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    run();
+    return () => {
+      cancelled = true;
+    };
+  }, [client, employeeName, range]);
+
+  const monthWorked = useMemo(
+    () => Object.values(records).reduce((sum, rec) => sum + (computeWorkTime(rec).netMinutes || 0), 0),
+    [records]
+  );
+
+  const selected = records[selectedDate] || null;
+  const selectedOffice = selected ? offices.find((o) => o.id === selected.officeCode) : null;
+  const selectedTime = selected ? computeWorkTime(selected, getOfficeShift(selected.officeCode, selectedOffice)) : null;
+  // shown on the clock of the office the day was punched at
+  const selectedZone = selected?.timeZone || getOfficeTimeZone(selected?.officeCode, selectedOffice);
+  const canGoForward = month < today.slice(0, 7);
+
+  const cells = [
+    ...Array.from({ length: range.firstWeekday }, () => null),
+    ...Array.from({ length: range.days }, (_, i) => `${month}-${String(i + 1).padStart(2, "0")}`),
+  ];
+
+  return (
+    <div className="card">
+      <div className="histHeader">
+        <label className="label">📅 {employeeName}</label>
+        <button type="button" className="queueBtn" onClick={onClose}>
+          {t("common.back")}
+        </button>
+      </div>
+
+      <div className="histMonthNav">
+        <button type="button" className="queueBtn" onClick={() => setMonth((m) => shiftMonth(m, -1))}>
+          ‹
+        </button>
+        <div className="histMonthTitle">{monthTitle(month)}</div>
+        <button type="button" className="queueBtn" disabled={!canGoForward} onClick={() => setMonth((m) => shiftMonth(m, 1))}>
+          ›
+        </button>
+      </div>
+
+      <div className="calGrid">
+        {weekdayNames().map((d) => (
+          <div key={d} className="calHead">
+            {d}
+          </div>
+        ))}
+
+        {cells.map((date, i) => {
+          if (!date) return <div key={`blank-${i}`} />;
+          const rec = records[date];
+          const worked = computeWorkTime(rec).netMinutes;
+          const status = !rec ? "" : rec.checkOutAt ? "done" : "open";
+          return (
+            <button
+              key={date}
+              type="button"
+              className={`calCell ${status} ${date === selectedDate ? "selected" : ""} ${date === today ? "today" : ""}`}
+              onClick={() => setSelectedDate(date)}
+            >
+              <span className="calDay">{Number(date.slice(8))}</span>
+              {rec && <span className="calHours">{worked != null ? formatMinutes(worked) : t("history.open")}</span>}
+            </button>
+          );
+        })}
+      </div>
+
+      {loading && <div className="infoLine">{t("common.loading")}</div>}
+      {error && <div className="errorText">{error}</div>}
+      {!loading && !error && <div className="infoLine">{t("history.monthWorked", { time: formatMinutes(monthWorked) })}</div>}
+
+      {selectedDate && !loading && (
+        <div className="histDay">
+          <div className="histDayTitle">{formatDate(selectedDate, { weekday: "long", day: "numeric", month: "long", year: "numeric" })}</div>
+          {!selected ? (
+            <div className="queueMeta">{t("history.noRecord")}</div>
+          ) : (
+            <>
+              {dayPunches(selected).map((p) => (
+                <div key={p.key} className="histRow">
+                  <SelfieThumb client={client} attachmentId={p.selfieId} alt={p.label} />
+                  <div className="queueMain">
+                    <div>{p.label}</div>
+                    <div className="queueMeta">
+                      {formatZonedTime(p.at, selectedZone)} {timeZoneLabel(selectedZone)}
+                    </div>
+                  </div>
+                </div>
+              ))}
+              <div className="infoLine">
+                {t("history.worked", { time: formatMinutes(selectedTime.netMinutes) })}
+                {selectedTime.breakMinutes > 0 && ` · ${t("history.breaks", { minutes: selectedTime.breakMinutes })}`}
+              </div>
+              {(selectedTime.lateMinutes > 0 || selectedTime.earlyLeaveMinutes > 0 || selectedTime.overtimeMinutes > 0) && (
+                <div className="queueMeta">
+                  {[
+                    selectedTime.lateMinutes > 0 && t("history.late", { minutes: selectedTime.lateMinutes }),
+                    selectedTime.earlyLeaveMinutes > 0 && t("history.leftEarly", { minutes: selectedTime.earlyLeaveMinutes }),
+                    selectedTime.overtimeMinutes > 0 && t("history.overtime", { time: formatMinutes(selectedTime.overtimeMinutes) }),
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </div>
+              )}
+              {selected.officeCode && <div className="queueMeta">🏢 {selected.officeCode}</div>}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
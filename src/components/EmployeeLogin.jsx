@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from "react";
+import { AuthError, loginWithEspoUser, loginWithPin } from "../lib/espo";
+import { t } from "../lib/i18n";
+
+export default function EmployeeLogin({
+  mode, // "pin" | "user"
+  client,
+  offices,
+  employeesByOffice,
+  orgLoading,
+  onLoggedIn,
+}) {
+  const [officeId, setOfficeId] = useState("");
+  const [employeeId, setEmployeeId] = useState("");
+  const [pin, setPin] = useState("");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const employees = useMemo(
+    () => (officeId && Array.isArray(employeesByOffice?.[officeId]) ? employeesByOffice[officeId] : []),
+    [officeId, employeesByOffice]
+  );
+  const employee = employees.find((e) => e.id === employeeId) || null;
+
+  const onLogin = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      if (mode === "pin" && !employee) throw new AuthError(t("login.selectOfficeAndEmployee"));
+
+      const session =
+        mode === "pin"
+          ? await loginWithPin(client, { employeeEspoId: employee.espoId, pin })
+          : await loginWithEspoUser(client, { username, password });
+
+      onLoggedIn(session, mode === "pin" ? officeId : "");
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError(err.message);
+      } else {
+        setError(t("login.error", { error: err?.message || t("common.unknownError") }));
+      }
+    } finally {
+      setBusy(false);
+      setPin("");
+      setPassword("");
+    }
+  };
+
+  return (
+    <form className="card" onSubmit={onLogin}>
+      <label className="label">{t("login.title")}</label>
+
+      {mode === "pin" ? (
+        <>
+          <select
+            className="input"
+            value={officeId}
+            disabled={orgLoading}
+            onChange={(e) => {
+              setOfficeId(e.target.value);
+              setEmployeeId("");
+            }}
+          >
+            <option value="">{orgLoading ? t("office.loading") : t("office.select")}</option>
+            {offices.map((o) => (
+              <option key={o.id} value={o.id}>
+                {o.name}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className="input loginGap"
+            value={employeeId}
+            disabled={!officeId}
+            onChange={(e) => setEmployeeId(e.target.value)}
+          >
+            <option value="">{employees.length ? t("employee.select") : t("employee.none")}</option>
+            {employees.map((emp) => (
+              <option key={emp.id} value={emp.id}>
+                {emp.name}
+              </option>
+            ))}
+          </select>
+
+          <input
+            className="input loginGap"
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            placeholder={t("login.pin")}
+            maxLength={8}
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ""))}
+          />
+        </>
+      ) : (
+        <>
+          <input
+            className="input"
+            autoComplete="username"
+            placeholder={t("login.username")}
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <input
+            className="input loginGap"
+            type="password"
+            autoComplete="current-password"
+            placeholder={t("login.password")}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </>
+      )}
+
+      {error && <div className="errorText">{error}</div>}
+
+      <button className="btn green" type="submit" disabled={busy}>
+        {busy ? t("login.checking") : t("login.submit")}
+      </button>
+    </form>
+  );
+}
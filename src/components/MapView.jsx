@@ -1,129 +1,106 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { Circle, MapContainer, Marker, Polygon, TileLayer, useMap, useMapEvents } from "react-leaflet";
+import { distanceMeters, geofenceCenter } from "../lib/geofence";
+import { t } from "../lib/i18n";
+import { getTenant } from "../lib/tenant";
 
-// distance in meters between 2 coords
-function distanceMeters(a, b) {
-  if (!a || !b) return Infinity;
+// point these at a self-hosted tile server if needed ({s},{z},{x},{y} placeholders)
+const TILE_URL =
+  (import.meta.env.VITE_MAP_TILE_URL || "").trim() || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_ATTRIBUTION =
+  (import.meta.env.VITE_MAP_TILE_ATTRIBUTION || "").trim() ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
 
-  const R = 6371000;
-  const toRad = (d) => (d * Math.PI) / 180;
+// tweak this if you want smoother updates
+const MOVE_THRESHOLD_METERS = 15;
 
-  const dLat = toRad(b.lat - a.lat);
-  const dLng = toRad(b.lng - a.lng);
+/* -------------------- keep the map on the user without re-mounting -------------------- */
+function FollowPosition({ position, follow, onUserPan }) {
+  const map = useMap();
+  const lastRef = useRef(null);
 
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
+  // user dragged the map → stop auto-following until "Re-center"
+  useMapEvents({ dragstart: onUserPan });
 
-  const s =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
-
-  return 2 * R * Math.asin(Math.sqrt(s));
-}
-
-export default function MapView({ lat, lng }) {
-  const DEFAULT = { lat: 23.0225, lng: 72.5714 };
-
-  // last stable coordinate used by the iframe
-  const [stable, setStable] = useState(DEFAULT);
-
-  // force iframe reload when stable changes meaningfully
-  const [reloadKey, setReloadKey] = useState(0);
-
-  // loading fallback
-  const [loading, setLoading] = useState(true);
-  const loadTimerRef = useRef(null);
-
-  // tweak this if you want smoother updates
-  const MOVE_THRESHOLD_METERS = 15;
+  const la = position?.lat;
+  const ln = position?.lng;
 
   useEffect(() => {
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
-
-    const next = { lat, lng };
+    if (!follow || !Number.isFinite(la) || !Number.isFinite(ln)) return;
 
-    setStable((prev) => {
-      const moved = distanceMeters(prev, next);
+    const next = { lat: la, lng: ln };
+    const prev = lastRef.current;
 
-      // Always accept first real coord (prev may be DEFAULT)
-      const isDefault = prev.lat === DEFAULT.lat && prev.lng === DEFAULT.lng;
+    if (!prev) map.setView(next, 17);
+    else if (distanceMeters(prev, next) >= MOVE_THRESHOLD_METERS) map.panTo(next, { animate: true });
+    else return;
 
-      if (isDefault || moved >= MOVE_THRESHOLD_METERS) {
-        // also force iframe reload so it centers correctly
-        setReloadKey((k) => k + 1);
-        return next;
-      }
-      return prev;
-    });
-  }, [lat, lng]);
+    lastRef.current = next;
+  }, [map, la, ln, follow]);
 
-  // Better embed URL (more consistent centering than www.google.com/maps?q=)
-  const src = useMemo(() => {
-    const la = Number.isFinite(stable.lat) ? stable.lat : DEFAULT.lat;
-    const ln = Number.isFinite(stable.lng) ? stable.lng : DEFAULT.lng;
-
-    // `maps.google.com` embed behaves more predictably
-    return `https://maps.google.com/maps?hl=en&z=17&t=m&output=embed&q=${la},${ln}`;
-  }, [stable.lat, stable.lng]);
-
-  // if iframe doesn’t load in 6s, retry once
-  useEffect(() => {
-    setLoading(true);
+  return null;
+}
 
-    if (loadTimerRef.current) clearTimeout(loadTimerRef.current);
+export default function MapView({ lat, lng, accuracy, geofence }) {
+  const [map, setMap] = useState(null);
+  const [follow, setFollow] = useState(true);
 
-    loadTimerRef.current = setTimeout(() => {
-      setReloadKey((k) => k + 1);
-    }, 6000);
+  const hasPosition = Number.isFinite(lat) && Number.isFinite(lng);
+  const position = hasPosition ? { lat, lng } : null;
+  const initialCenter = position || geofenceCenter(geofence) || getTenant().mapCenter;
 
-    return () => {
-      if (loadTimerRef.current) clearTimeout(loadTimerRef.current);
-    };
-  }, [src]);
+  const recenter = () => {
+    setFollow(true);
+    if (map && position) map.setView(position, Math.max(map.getZoom(), 17));
+  };
 
   const openInGoogleMaps = () => {
-    const la = Number.isFinite(stable.lat) ? stable.lat : DEFAULT.lat;
-    const ln = Number.isFinite(stable.lng) ? stable.lng : DEFAULT.lng;
+    const { lat: la, lng: ln } = position || initialCenter;
     window.open(`https://www.google.com/maps?q=${la},${ln}`, "_blank", "noopener,noreferrer");
   };
 
   return (
     <div style={{ position: "relative", width: "100%" }}>
-      {loading && (
-        <div
-          style={{
-            position: "absolute",
-            inset: 0,
-            zIndex: 2,
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-            borderRadius: 14,
-            background: "rgba(255,255,255,0.85)",
-            border: "1px solid #e5e5e5",
-            fontSize: 14,
-          }}
-        >
-          Loading map…
-        </div>
-      )}
-
-      <iframe
-        key={reloadKey}
-        title="Google Map"
-        src={src}
-        width="100%"
-        height="240"
-        style={{ border: 0, borderRadius: 14 }}
-        loading="lazy"
-        referrerPolicy="no-referrer-when-downgrade"
-        allowFullScreen
-        onLoad={() => setLoading(false)}
-      />
+      <MapContainer
+        ref={setMap}
+        center={initialCenter}
+        zoom={hasPosition ? 17 : 13}
+        scrollWheelZoom={false}
+        style={{ height: 240, width: "100%", borderRadius: 14, zIndex: 0 }}
+      >
+        <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} maxZoom={19} />
+
+        {geofence?.polygon && (
+          <Polygon
+            positions={geofence.polygon.map((p) => [p.lat, p.lng])}
+            pathOptions={{ color: "#16a34a", weight: 2, fillOpacity: 0.08 }}
+          />
+        )}
+        {geofence && !geofence.polygon && (
+          <Circle
+            center={[geofence.lat, geofence.lng]}
+            radius={geofence.radius}
+            pathOptions={{ color: "#16a34a", weight: 2, dashArray: "6 6", fillOpacity: 0.08 }}
+          />
+        )}
+
+        {position && Number.isFinite(accuracy) && accuracy > 0 && (
+          <Circle
+            center={position}
+            radius={accuracy}
+            pathOptions={{ color: "#0ea5e9", weight: 1, fillOpacity: 0.15 }}
+          />
+        )}
+        {position && <Marker position={position} />}
+
+        <FollowPosition position={position} follow={follow} onUserPan={() => setFollow(false)} />
+      </MapContainer>
 
       <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
         <button
           type="button"
-          onClick={() => setReloadKey((k) => k + 1)}
+          onClick={recenter}
+          disabled={!position}
           style={{
             padding: "8px 10px",
             borderRadius: 10,
@@ -132,7 +109,7 @@ export default function MapView({ lat, lng }) {
             cursor: "pointer",
           }}
         >
-          Reload Map
+          {t("map.recenter")}
         </button>
 
         <button
@@ -146,7 +123,7 @@ export default function MapView({ lat, lng }) {
             cursor: "pointer",
           }}
         >
-          Open in Google Maps
+          {t("map.openInGoogleMaps")}
         </button>
       </div>
     </div>
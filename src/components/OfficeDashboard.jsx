@@ -0,0 +1,233 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { approveDeviceBinding, listOfficeDay, listPendingDevices } from "../lib/espo";
+import {
+  breakLabel,
+  formatZonedTime,
+  lastActionAt,
+  openBreak,
+  presenceFromRecord,
+  presenceLabel,
+  toUtcSqlDatetime,
+  TYPE_META,
+} from "../lib/attendance";
+import { DEVICE_BINDING_MODE } from "../lib/device";
+import { currentLocale, formatDate, t } from "../lib/i18n";
+import { getOfficeShift, shiftDays } from "../lib/shift";
+import { getOfficeTimeZone, timeZoneLabel, zonedDateTimeParts } from "../lib/timeZone";
+import { computeWorkTime } from "../lib/workTime";
+
+const REFRESH_SECONDS = Number(import.meta.env.VITE_DASHBOARD_REFRESH_SECONDS) || 60;
+
+// sort: in the office first, then on a break, left, not arrived
+const PRESENCE_ORDER = ["in", "back", "break", "out", "absent"];
+
+export default function OfficeDashboard({ client, offices, employeesByOffice, defaultOfficeId, approverName, canApproveDevices, onExport, onClose }) {
+  const [officeId, setOfficeId] = useState(defaultOfficeId || offices[0]?.id || "");
+  const [day, setDay] = useState("");
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [pendingDevices, setPendingDevices] = useState([]); // phones registered by this office's employees
+  const [approving, setApproving] = useState("");
+
+  const office = useMemo(() => offices.find((o) => o.id === officeId), [offices, officeId]);
+  const timeZone = getOfficeTimeZone(officeId, office);
+  const shift = useMemo(() => getOfficeShift(officeId, office), [officeId, office]);
+
+  const load = useCallback(async () => {
+    if (!officeId) return;
+    setLoading(true);
+    try {
+      // the office's current shift day on its own clock (a night shift keeps last evening's date)
+      const { date, time } = zonedDateTimeParts(new Date(), timeZone);
+      const attendanceDate = shiftDays(shift, date, time).attendanceDate;
+      setDay(attendanceDate);
+      const [dayRecords, devices] = await Promise.all([
+        listOfficeDay(client, { officeCode: officeId, attendanceDate }),
+        DEVICE_BINDING_MODE === "off" || !canApproveDevices ? [] : listPendingDevices(client),
+      ]);
+      const roster = new Set((employeesByOffice?.[officeId] || []).map((e) => e.id));
+      setRecords(dayRecords);
+      setPendingDevices(devices.filter((d) => roster.has(d.name)));
+      setUpdatedAt(new Date());
+      setError("");
+    } catch (e) {
+      console.warn("[DASHBOARD] fetch failed:", e?.message || e);
+      setError(navigator.onLine ? t("dashboard.refreshFailed", { error: e?.message || "" }) : t("dashboard.needsNetwork"));
+    } finally {
+      setLoading(false);
+    }
+  }, [client, officeId, shift, timeZone, employeesByOffice, canApproveDevices]);
+
+  // load now, then every REFRESH_SECONDS while the screen is visible
+  useEffect(() => {
+    setRecords([]);
+    setUpdatedAt(null);
+    load();
+
+    const t = setInterval(() => {
+      if (document.visibilityState === "visible") load();
+    }, REFRESH_SECONDS * 1000);
+
+    const onVisible = () => document.visibilityState === "visible" && load();
+    document.addEventListener("visibilitychange", onVisible);
+
+    return () => {
+      clearInterval(t);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [load]);
+
+  const approveDevice = async (device) => {
+    setApproving(device.espoId);
+    try {
+      const binding = await approveDeviceBinding(client, device.espoId, {
+        deviceId: device.deviceId,
+        publicKey: device.publicKey,
+        approvedBy: approverName,
+        approvedAtUtc: toUtcSqlDatetime(new Date()),
+      });
+      if (binding?.status !== "approved") {
+        // another phone was registered meanwhile: show that one instead
+        await load();
+        setError(t("dashboard.deviceChanged"));
+        return;
+      }
+      setPendingDevices((list) => list.filter((d) => d.espoId !== device.espoId));
+    } catch (e) {
+      console.warn("[DASHBOARD] device approval failed:", e?.message || e);
+      setError(t("dashboard.approveFailed", { error: e?.message || "" }));
+    } finally {
+      setApproving("");
+    }
+  };
+
+  // roster of the office + anyone who punched here without being on it
+  const rows = useMemo(() => {
+    const byName = new Map();
+    for (const rec of records) byName.set(rec.employeeName, rec);
+
+    const names = new Set((employeesByOffice?.[officeId] || []).map((e) => e.id));
+    for (const name of byName.keys()) names.add(name);
+
+    return [...names]
+      .map((name) => {
+        const rec = byName.get(name) || null;
+        const presence = presenceFromRecord(rec);
+        return {
+          name,
+          presence,
+          since: rec ? formatZonedTime(lastActionAt(rec), timeZone) : "",
+          breakType: openBreak(rec)?.type || null,
+          checkIn: rec ? formatZonedTime(rec[TYPE_META.checkin.timeField], timeZone) : "",
+          lateMinutes: rec ? computeWorkTime(rec, shift).lateMinutes : null,
+        };
+      })
+      .sort((a, b) => PRESENCE_ORDER.indexOf(a.presence) - PRESENCE_ORDER.indexOf(b.presence) || a.name.localeCompare(b.name));
+  }, [records, employeesByOffice, officeId, shift, timeZone]);
+
+  const counts = useMemo(() => {
+    const c = { present: 0, break: 0, out: 0, absent: 0 };
+    for (const r of rows) {
+      if (r.presence === "in" || r.presence === "back") c.present += 1;
+      else c[r.presence] += 1;
+    }
+    return c;
+  }, [rows]);
+
+  return (
+    <div className="card">
+      <div className="histHeader">
+        <label className="label">{t("dashboard.title", { date: formatDate(day) })}</label>
+        <div className="topActions">
+          {onExport && (
+            <button type="button" className="queueBtn" onClick={onExport}>
+              {t("dashboard.export")}
+            </button>
+          )}
+          <button type="button" className="queueBtn" onClick={onClose}>
+            {t("common.back")}
+          </button>
+        </div>
+      </div>
+
+      <select className="input" value={officeId} onChange={(e) => setOfficeId(e.target.value)}>
+        {offices.map((o) => (
+          <option key={o.id} value={o.id}>
+            {o.name}
+          </option>
+        ))}
+      </select>
+
+      <div className="dashCounts">
+        <div className="dashCount present">
+          <b>{counts.present}</b>
+          {t("dashboard.present")}
+        </div>
+        <div className="dashCount break">
+          <b>{counts.break}</b>
+          {t("dashboard.onBreak")}
+        </div>
+        <div className="dashCount out">
+          <b>{counts.out}</b>
+          {t("dashboard.left")}
+        </div>
+        <div className="dashCount absent">
+          <b>{counts.absent}</b>
+          {t("dashboard.absent")}
+        </div>
+      </div>
+
+      {error && <div className="errorText">{error}</div>}
+
+      {pendingDevices.length > 0 && (
+        <>
+          <label className="label">{t("dashboard.pendingDevices")}</label>
+          {pendingDevices.map((d) => (
+            <div key={d.espoId} className="queueItem">
+              <div className="queueMain">
+                <div>{d.name}</div>
+                <div className="queueMeta">{d.label || d.deviceId}</div>
+              </div>
+              <button type="button" className="queueBtn" disabled={approving === d.espoId} onClick={() => approveDevice(d)}>
+                {t("dashboard.approveDevice")}
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+
+      {rows.map((r) => (
+        <div key={r.name} className="queueItem">
+          <span className={`dashDot ${r.presence}`} />
+          <div className="queueMain">
+            <div>{r.name}</div>
+            <div className="queueMeta">
+              {presenceLabel(r.presence)}
+              {r.breakType && ` (${breakLabel(r.breakType)})`}
+              {r.since && ` · ${r.since} ${timeZoneLabel(timeZone)}`}
+              {r.presence !== "in" && r.checkIn && r.checkIn !== "--" && ` · ${t("dashboard.checkedInAt", { time: r.checkIn })}`}
+              {r.lateMinutes > 0 && ` · ${t("dashboard.late", { minutes: r.lateMinutes })}`}
+            </div>
+          </div>
+        </div>
+      ))}
+      {!rows.length && !loading && <div className="queueMeta">{t("dashboard.noEmployees")}</div>}
+
+      <div className="queueMeta dashUpdated">
+        {loading
+          ? t("dashboard.refreshing")
+          : updatedAt
+            ? t("dashboard.updated", {
+                time: updatedAt.toLocaleTimeString(currentLocale(), { hour12: false }),
+                seconds: REFRESH_SECONDS,
+              })
+            : ""}
+        <button type="button" className="queueBtn" disabled={loading} onClick={load}>
+          ⟳
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,18 @@
 import React, { useEffect, useRef, useState } from "react";
+import { detectLandmarks } from "../lib/face";
+import { t } from "../lib/i18n";
+import { createLivenessTracker, livenessPrompt, pickChallenge } from "../lib/liveness";
+
+const FRAME_INTERVAL_MS = 150;
+const IDLE_LIVENESS = { challenge: "", phase: "waiting", passed: false, error: "" };
 
 export default function SelfieCamera({
   open,
   onClose,
   onCapture,
-  title = "Take Selfie",
+  title = t("camera.title"),
   fileNamePrefix = "selfie",
+  liveness = false, // require a liveness challenge before capture
 }) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -31,7 +38,7 @@ export default function SelfieCamera({
       stopStream();
 
       if (!navigator.mediaDevices?.getUserMedia) {
-        throw new Error("Camera not supported in this browser");
+        throw new Error(t("camera.unsupported"));
       }
 
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -51,7 +58,7 @@ export default function SelfieCamera({
         await video.play();
       }
     } catch (e) {
-      setError(e?.message || "Unable to open camera");
+      setError(e?.message || t("camera.openFailed"));
     } finally {
       setLoading(false);
     }
@@ -68,6 +75,57 @@ export default function SelfieCamera({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [open]);
 
+  /* -------------------- liveness challenge -------------------- */
+  // onCapture(file, result) gets tracker.result(); with models unavailable capture
+  // is still allowed and the result carries `error` (the punch gets flagged)
+  const trackerRef = useRef(null);
+  const [live, setLive] = useState(IDLE_LIVENESS);
+
+  useEffect(() => {
+    if (!open || !liveness) return;
+
+    let stopped = false;
+    let timer = null;
+    const challenge = pickChallenge();
+    const tracker = createLivenessTracker(challenge);
+    trackerRef.current = tracker;
+
+    const tick = async () => {
+      if (stopped) return;
+      try {
+        const video = videoRef.current;
+        const points = video && video.readyState >= 2 ? await detectLandmarks(video) : null;
+        if (stopped) return;
+
+        const { phase, passed } = tracker.update(points);
+        setLive((s) => (s.challenge === challenge && s.phase === phase ? s : { challenge, phase, passed, error: "" }));
+        if (passed) return;
+      } catch (e) {
+        console.warn("[LIVENESS] check unavailable:", e?.message || e);
+        if (!stopped) setLive({ challenge, phase: "waiting", passed: false, error: e?.message || "Liveness check unavailable" });
+        return;
+      }
+      timer = setTimeout(tick, FRAME_INTERVAL_MS);
+    };
+    tick();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      setLive(IDLE_LIVENESS); // next opening starts a fresh challenge
+    };
+  }, [open, liveness]);
+
+  const livenessPending = liveness && !(live.challenge && (live.passed || live.error));
+
+  const livenessHint = !live.challenge
+    ? t("camera.livenessStarting")
+    : live.error
+      ? t("camera.livenessUnavailable")
+      : live.passed
+        ? t("camera.livenessPassed")
+        : livenessPrompt(live.challenge, live.phase);
+
   const handleFlip = async () => {
     const next = facingMode === "user" ? "environment" : "user";
     setFacingMode(next);
@@ -76,6 +134,7 @@ export default function SelfieCamera({
 
   const handleCapture = async () => {
     setError("");
+    if (livenessPending) return;
 
     const video = videoRef.current;
     const canvas = canvasRef.current;
@@ -93,7 +152,7 @@ export default function SelfieCamera({
     canvas.toBlob(
       (blob) => {
         if (!blob) {
-          setError("Capture failed");
+          setError(t("camera.captureFailed"));
           return;
         }
 
@@ -106,7 +165,7 @@ export default function SelfieCamera({
           type: "image/jpeg",
         });
 
-        onCapture(file);
+        onCapture(file, liveness ? trackerRef.current?.result(live.error ? { error: live.error } : {}) : null);
         onClose();
       },
       "image/jpeg",
@@ -138,17 +197,18 @@ export default function SelfieCamera({
             <canvas ref={canvasRef} style={{ display: "none" }} />
           </div>
 
-          {loading && <div className="camHint">Opening camera…</div>}
+          {loading && <div className="camHint">{t("camera.opening")}</div>}
+          {liveness && !loading && !error && <div className="camHint">{livenessHint}</div>}
           {error && <div className="camError">{error}</div>}
         </div>
 
         <div className="camFooter">
           <button className="btn" type="button" onClick={handleFlip}>
-            🔄 Flip
+            {t("camera.flip")}
           </button>
 
-          <button className="btn green" type="button" onClick={handleCapture}>
-            📸 Capture
+          <button className="btn green" type="button" onClick={handleCapture} disabled={livenessPending}>
+            {t("camera.capture")}
           </button>
         </div>
       </div>
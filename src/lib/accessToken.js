@@ -0,0 +1,47 @@
+import { withStore } from "./idb";
+
+/* -------------------- ESPO proxy access token (per device / per user) -------------------- */
+// With VITE_ESPO_PROXY=on the phone never holds the ESPO API key; it sends a bearer token to
+// the proxy (server/espo-proxy.js) instead:
+//   device token – handed out once per phone as https://<app>/#device-token=<token>
+//   user token   – signed by the proxy at ESPO user login, dropped at logout
+// Kept in IndexedDB so the service worker can replay queued punches with it.
+
+const STORE = "settings";
+
+async function readSetting(key) {
+  try {
+    return String((await withStore(STORE, "readonly", (s) => s.get(key))) || "");
+  } catch {
+    return "";
+  }
+}
+
+async function writeSetting(key, value) {
+  try {
+    await withStore(STORE, "readwrite", (s) => (value ? s.put(value, key) : s.delete(key)));
+  } catch (e) {
+    console.warn("[TOKEN] could not store", key, e?.message || e);
+  }
+}
+
+// the logged-in user's token wins (the proxy knows whose calls they are); queued punches carry
+// their own token, so the device token is enough to replay them after a logout
+export async function readAccessToken() {
+  return (await readSetting("userToken")) || (await readSetting("deviceToken"));
+}
+
+export const saveDeviceToken = (token) => writeSetting("deviceToken", String(token || "").trim());
+export const saveUserToken = (token) => writeSetting("userToken", String(token || "").trim());
+
+// #device-token=… in the address → stored, then removed from the address bar and history
+export async function takeDeviceTokenFromUrl() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const token = params.get("device-token");
+  if (!token) return;
+
+  await saveDeviceToken(token);
+  params.delete("device-token");
+  const hash = params.toString();
+  history.replaceState(null, "", `${location.pathname}${location.search}${hash ? `#${hash}` : ""}`);
+}
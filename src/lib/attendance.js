@@ -0,0 +1,115 @@
+import { t } from "./i18n";
+import { DEFAULT_TIME_ZONE } from "./timeZone";
+
+/* -------------------- type meta (matches your actual fields) -------------------- */
+// Checkin / checkout have their own fields; breaks live in the `breaks` list (see below)
+// and their selfies in the `breakSelfies` attachment-multiple field.
+export const TYPE_META = {
+  checkin: { timeField: "checkInAt", idField: "checkInSelfieId", nameField: "checkInSelfieName" },
+  checkout: { timeField: "checkOutAt", idField: "checkOutSelfieId", nameField: "checkOutSelfieName" },
+  breakStart: { breakSide: "start", attachmentField: "breakSelfies" },
+  breakEnd: { breakSide: "end", attachmentField: "breakSelfies" },
+};
+
+// punches queued (or actions cached) by builds that only knew a single lunch
+export const LEGACY_TYPES = { lunchStart: "breakStart", lunchEnd: "breakEnd" };
+
+/* -------------------- breaks (any number per day) -------------------- */
+// CAttendance.breaks is a JSON list, oldest first, times in UTC:
+//   [{ type: "tea", startAt, endAt, startSelfieId, endSelfieId, ...start/end evidence }]
+// Days recorded before breaks existed only have lunchOutAt / lunchInAt; they read as one lunch break.
+export const BREAK_TYPES = ["lunch", "tea", "prayer", "personal"];
+
+export const breakLabel = (type) => (BREAK_TYPES.includes(type) ? t(`break.${type}`) : t("break.other"));
+
+// "Tea Break Start", "Checkin" (in the current UI language)
+export function punchLabel(type, breakType) {
+  const action = LEGACY_TYPES[type] || type;
+  if (!TYPE_META[action]) return type;
+  if (!TYPE_META[action].breakSide) return t(`action.${action}`);
+  return t(`action.${action}`, { break: breakLabel(LEGACY_TYPES[type] ? "lunch" : breakType) });
+}
+
+export function parseBreaks(rec) {
+  let value = rec?.breaks;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      value = null;
+    }
+  }
+  if (Array.isArray(value) && value.length) return value.filter((b) => b?.startAt);
+
+  if (!rec?.lunchOutAt) return [];
+  return [
+    {
+      type: "lunch",
+      startAt: rec.lunchOutAt,
+      endAt: rec.lunchInAt || null,
+      startSelfieId: rec.lunchOutSelfieId || null,
+      endSelfieId: rec.lunchInSelfieId || null,
+    },
+  ];
+}
+
+// the break the employee is on right now, or null
+export function openBreak(rec) {
+  const last = parseBreaks(rec).at(-1);
+  return last && !last.endAt ? last : null;
+}
+
+export function computeLastActionFromRecord(rec) {
+  if (!rec) return null;
+  if (rec?.checkOutAt) return "checkout";
+  const last = parseBreaks(rec).at(-1);
+  if (last) return last.endAt ? "breakEnd" : "breakStart";
+  if (rec?.checkInAt) return "checkin";
+  return null;
+}
+
+/* -------------------- where an employee is right now (dashboard) -------------------- */
+// "absent" | "in" | "break" | "back" | "out"
+export const presenceLabel = (presence) => t(`presence.${presence}`);
+
+const PRESENCE_BY_ACTION = { checkin: "in", breakStart: "break", breakEnd: "back", checkout: "out" };
+
+// same precedence as computeLastActionFromRecord
+export function presenceFromRecord(rec) {
+  return PRESENCE_BY_ACTION[computeLastActionFromRecord(rec)] || "absent";
+}
+
+// UTC time of the punch that put the record in its current state
+export function lastActionAt(rec) {
+  const action = computeLastActionFromRecord(rec);
+  if (action === "breakStart" || action === "breakEnd") {
+    const last = parseBreaks(rec).at(-1);
+    return action === "breakStart" ? last.startAt : last.endAt;
+  }
+  return action ? rec[TYPE_META[action].timeField] : null;
+}
+
+/* -------------------- ✅ UTC datetime helpers for ESPO -------------------- */
+// Espo expects DateTime in UTC. We generate UTC SQL datetime from a Date object.
+export function toUtcSqlDatetime(d) {
+  return new Date(d).toISOString().slice(0, 19).replace("T", " ");
+}
+
+// "2026-10-19 03:30:00" (UTC) → Date, or null
+export function fromUtcSqlDatetime(s) {
+  if (!s) return null;
+  const d = new Date(`${String(s).trim().replace(" ", "T")}Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// UTC SQL datetime → "HH:MM" on the office clock ("--" when empty)
+export function formatZonedTime(utcSql, timeZone = DEFAULT_TIME_ZONE) {
+  const d = fromUtcSqlDatetime(utcSql);
+  if (!d) return "--";
+  return new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(d);
+}
+
+export function formatMinutes(m) {
+  if (!Number.isFinite(m)) return "--";
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m`;
+}
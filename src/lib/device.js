@@ -0,0 +1,103 @@
+import { withStore } from "./idb";
+import { AUTH_MODE } from "./session";
+import { deviceIdFromJwk, KEY_ALGORITHM, punchSigningString, SIGN_ALGORITHM, toBase64Url } from "./punchSignature";
+
+export { deviceIdFromJwk, punchSigningString, verifyPunchSignature } from "./punchSignature";
+
+/* -------------------- device binding (this phone ↔ one employee) -------------------- */
+// Each phone has a persistent ECDSA P-256 key pair; the private key is created non-extractable
+// and never leaves IndexedDB. The employee registers the phone once (public key on CEmployee,
+// status "Pending"), a manager approves it, and from then on every punch carries the phone's
+// deviceId and a signature over the punch, so HR can tell punches from the registered phone
+// apart from everything else.
+//
+// VITE_DEVICE_BINDING: "off" (default) | "flag" = save punches from other phones with a review
+// flag | "block" = refuse them. Needs VITE_AUTH_MODE=pin or user: without a login anyone could
+// register (or approve) a phone in anyone's name.
+
+export function deviceBindingMode(raw, authMode) {
+  const mode = String(raw || "").trim().toLowerCase();
+  if (!["flag", "block"].includes(mode)) return "off";
+  if (authMode === "none") {
+    console.warn("[DEVICE] VITE_DEVICE_BINDING needs VITE_AUTH_MODE=pin or user, device binding is off");
+    return "off";
+  }
+  return mode;
+}
+
+export const DEVICE_BINDING_MODE = deviceBindingMode(import.meta.env.VITE_DEVICE_BINDING, AUTH_MODE);
+
+export async function createDeviceKey() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ["sign", "verify"]);
+  const { kty, crv, x, y } = await crypto.subtle.exportKey("jwk", publicKey);
+  const publicJwk = { kty, crv, x, y };
+  return { privateKey, publicJwk, deviceId: await deviceIdFromJwk(publicJwk) };
+}
+
+// the phone's key, created on first use; CryptoKey objects are stored as they are
+let keyPromise = null;
+export function getDeviceKey() {
+  keyPromise ??= (async () => {
+    const stored = await withStore("settings", "readonly", (s) => s.get("deviceKey"));
+    if (stored?.privateKey && stored?.publicJwk) return stored;
+    const key = await createDeviceKey();
+    await withStore("settings", "readwrite", (s) => s.put(key, "deviceKey"));
+    return key;
+  })().catch((e) => {
+    keyPromise = null;
+    throw e;
+  });
+  return keyPromise;
+}
+
+/* -------------------- punch signatures -------------------- */
+// checked by the proxy against CEmployee.devicePublicKey (see lib/punchSignature.js)
+export async function signPunch(punch, key) {
+  const data = new TextEncoder().encode(punchSigningString(punch, key.deviceId));
+  return { deviceId: key.deviceId, signature: toBase64Url(await crypto.subtle.sign(SIGN_ALGORITHM, key.privateKey, data)) };
+}
+
+/* -------------------- is this the employee's phone? -------------------- */
+// binding = parseDeviceBinding(CEmployee) → { trusted, reason }
+//   reason: "approved" | "pending" (this phone, waiting for a manager) | "other device" | "not registered" | "unknown" (offline, no cache)
+export function checkDevice(binding, deviceId) {
+  if (binding === undefined) return { trusted: false, reason: "unknown" };
+  if (!binding) return { trusted: false, reason: "not registered" };
+  if (binding.deviceId !== deviceId) return { trusted: false, reason: "other device" };
+  return binding.status === "approved" ? { trusted: true, reason: "approved" } : { trusted: false, reason: "pending" };
+}
+
+// "Chrome on Android" — shown to the manager who approves the phone
+export function deviceLabel(ua = globalThis.navigator?.userAgent || "") {
+  const browser = /Edg\//.test(ua) ? "Edge" : /SamsungBrowser/.test(ua) ? "Samsung Internet" : /Firefox\//.test(ua) ? "Firefox" : /Chrome\//.test(ua) ? "Chrome" : /Safari\//.test(ua) ? "Safari" : "Browser";
+  const os = /Android/.test(ua) ? "Android" : /iPhone|iPad/.test(ua) ? "iOS" : /Windows/.test(ua) ? "Windows" : /Mac OS X/.test(ua) ? "macOS" : /Linux/.test(ua) ? "Linux" : "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/* -------------------- bindings cached on the phone (offline punches) -------------------- */
+const DEVICE_BINDING_CACHE_KEY = "DEVICE_BINDING_CACHE_V1";
+
+function readBindingCache() {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_BINDING_CACHE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+// undefined = never seen (unknown), null = not registered
+export function readCachedDeviceBinding(employeeEspoId) {
+  const all = readBindingCache();
+  return employeeEspoId in all ? all[employeeEspoId] : undefined;
+}
+
+export function writeCachedDeviceBinding(employeeEspoId, binding) {
+  if (!employeeEspoId) return;
+  try {
+    const all = readBindingCache();
+    all[employeeEspoId] = binding || null;
+    localStorage.setItem(DEVICE_BINDING_CACHE_KEY, JSON.stringify(all));
+  } catch {
+    // ignore (private mode / quota) — the check just needs the network then
+  }
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { checkDevice, createDeviceKey, deviceBindingMode, deviceLabel, signPunch, verifyPunchSignature } from "./device";
+
+const punch = {
+  employeeName: "Ravi Patel",
+  officeCode: "AMD01",
+  type: "checkin",
+  attendanceDate: "2026-10-19",
+  punchedAtUtc: "2026-10-19 04:00:00",
+};
+
+describe("device binding", () => {
+  it("signs punches with the phone's key and detects tampering", async () => {
+    const key = await createDeviceKey();
+    expect(key.deviceId).toMatch(/^[0-9a-f]{32}$/);
+
+    const signed = await signPunch(punch, key);
+    expect(signed.deviceId).toBe(key.deviceId);
+    expect(await verifyPunchSignature(key.publicJwk, punch, signed)).toBe(true);
+
+    expect(await verifyPunchSignature(key.publicJwk, { ...punch, punchedAtUtc: "2026-10-19 03:30:00" }, signed)).toBe(false);
+    const other = await createDeviceKey();
+    expect(await verifyPunchSignature(other.publicJwk, punch, signed)).toBe(false);
+  });
+
+  it("stays off without a login to tie the phone to", () => {
+    expect(deviceBindingMode("Block", "pin")).toBe("block");
+    expect(deviceBindingMode("flag", "none")).toBe("off");
+    expect(deviceBindingMode("sometimes", "user")).toBe("off");
+  });
+
+  it("trusts only the employee's approved phone", () => {
+    const binding = { deviceId: "abc", status: "approved" };
+    expect(checkDevice(binding, "abc")).toEqual({ trusted: true, reason: "approved" });
+    expect(checkDevice({ ...binding, status: "pending" }, "abc").reason).toBe("pending");
+    expect(checkDevice(binding, "xyz").reason).toBe("other device");
+    expect(checkDevice(null, "abc").reason).toBe("not registered");
+    expect(checkDevice(undefined, "abc").reason).toBe("unknown");
+  });
+
+  it("describes the phone for the approving manager", () => {
+    const android = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0 Mobile Safari/537.36";
+    const iphone = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+    expect(deviceLabel(android)).toBe("Chrome on Android");
+    expect(deviceLabel(iphone)).toBe("Safari on iOS");
+  });
+});
@@ -0,0 +1,98 @@
+import { blobToDataUrl } from "./client";
+import { where } from "./query";
+
+/* -------------------- ✅ ESPO: find today's record -------------------- */
+export async function findTodayRecord(client, { employeeName, attendanceDate }) {
+  return await client.findOne(client.attendanceEntity, {
+    orderBy: "createdAt",
+    order: "desc",
+    where: [where("equals", "employeeName", employeeName), where("equals", "attendanceDate", attendanceDate)],
+  });
+}
+
+/* -------------------- ✅ ESPO: the record a punch continues -------------------- */
+// Today's record, or — just after midnight — yesterday's record while it is still open
+// (carryOverDate comes from shiftDays()).
+export async function findShiftRecord(client, { employeeName, attendanceDate, carryOverDate }) {
+  const rec = await findTodayRecord(client, { employeeName, attendanceDate });
+  if (rec || !carryOverDate) return rec;
+
+  const prev = await findTodayRecord(client, { employeeName, attendanceDate: carryOverDate });
+  return prev?.checkInAt && !prev.checkOutAt ? prev : null;
+}
+
+/* -------------------- ✅ ESPO: records of one employee in a date range (history) -------------------- */
+// from/to are attendanceDate strings (YYYY-MM-DD), both inclusive
+export async function listAttendanceRange(client, { employeeName, from, to }) {
+  return await client.listAll(client.attendanceEntity, {
+    orderBy: "attendanceDate",
+    order: "asc",
+    where: [
+      where("equals", "employeeName", employeeName),
+      where("greaterThanOrEquals", "attendanceDate", from),
+      where("lessThanOrEquals", "attendanceDate", to),
+    ],
+  });
+}
+
+/* -------------------- ✅ ESPO: records of some offices in a date range (export) -------------------- */
+export async function listOfficesRange(client, { officeCodes, from, to }) {
+  return await client.listAll(client.attendanceEntity, {
+    orderBy: "attendanceDate",
+    order: "asc",
+    where: [
+      where("in", "officeCode", officeCodes),
+      where("greaterThanOrEquals", "attendanceDate", from),
+      where("lessThanOrEquals", "attendanceDate", to),
+    ],
+  });
+}
+
+/* -------------------- ✅ ESPO: one office's records of a day (dashboard) -------------------- */
+export async function listOfficeDay(client, { officeCode, attendanceDate }) {
+  return await client.listAll(client.attendanceEntity, {
+    orderBy: "createdAt",
+    order: "asc",
+    where: [where("equals", "officeCode", officeCode), where("equals", "attendanceDate", attendanceDate)],
+  });
+}
+
+/* -------------------- ✅ ESPO: upload selfie (hybrid approach) -------------------- */
+export async function uploadSelfie(client, file, fieldName) {
+  // Try the attachment endpoint first
+  try {
+    const res = await client.uploadAttachment(file, {
+      relatedType: client.attendanceEntity,
+      field: fieldName, // Use the specific field name for this attendance type
+    });
+
+    if (res.id) {
+      // Attachment upload succeeded
+      return { ...res, useAttachment: true };
+    }
+  } catch (e) {
+    console.warn("Attachment upload failed, using fallback:", e.message);
+  }
+
+  // Fallback: return base64 data only
+  return {
+    id: `selfie_${Date.now()}`,
+    name: file.name || "selfie.jpg",
+    dataUrl: await blobToDataUrl(file),
+    useAttachment: false,
+  };
+}
+
+/* -------------------- ✅ ESPO: create / update -------------------- */
+export async function createAttendance(client, payload) {
+  return await client.create(client.attendanceEntity, payload);
+}
+
+export async function updateAttendance(client, id, payload) {
+  try {
+    return await client.update(client.attendanceEntity, id, payload);
+  } catch (e) {
+    console.warn(`[ESPO] update of ${id} failed:`, e?.message || e);
+    throw e;
+  }
+}
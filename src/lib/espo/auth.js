@@ -0,0 +1,104 @@
+import { t } from "../i18n";
+import { EspoHttpError } from "./errors";
+import { where } from "./query";
+
+/* -------------------- employee identity -------------------- */
+// Two ways to prove who is punching:
+//   "pin"  – CEmployee.pinHash = hex SHA-256 of "<employee record id>:<pin>", checked by the
+//            ESPO proxy (App/pinLogin, with its own lockout); the phone never sees the hash,
+//            so PIN login needs VITE_ESPO_PROXY=on
+//   "user" – ESPO user login (App/user); CEmployee.userId links the user to the employee
+// Through the proxy both return a signed proxyToken; the session is only as good as that token.
+
+// code "wrong-credentials" = a wrong PIN / password (the server counts it towards its lockout)
+export class AuthError extends Error {
+  constructor(message, code = "") {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+export async function hashPin(employeeEspoId, pin) {
+  const bytes = new TextEncoder().encode(`${employeeEspoId}:${String(pin).trim()}`);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toSession(method, employee, extra = {}) {
+  return {
+    method,
+    employeeName: String(employee?.name || "").trim(),
+    employeeEspoId: employee?.id || "",
+    isManager: !!employee?.isManager, // CEmployee.isManager → office dashboard
+    loggedInAt: Date.now(),
+    ...extra,
+  };
+}
+
+export async function loginWithPin(client, { employeeEspoId, pin }) {
+  if (!client.proxy) throw new AuthError(t("auth.pinNeedsProxy"));
+  if (!employeeEspoId) throw new AuthError(t("auth.noPinLogin"));
+  if (!/^\d{4,8}$/.test(String(pin || "").trim())) throw new AuthError(t("auth.pinFormat"));
+
+  let res;
+  try {
+    res = await client.pinLogin(employeeEspoId, String(pin).trim());
+  } catch (e) {
+    if (!(e instanceof EspoHttpError)) throw e;
+    if (e.status === 401) throw new AuthError(t("auth.wrongPin"), "wrong-credentials");
+    if (e.status === 429) throw new AuthError(t("login.tooManyAttempts", { minutes: 5 }), "locked");
+    if (e.status === 403 && e.reason === "No PIN set") throw new AuthError(t("auth.noPinSet"));
+    if (e.status === 404) throw new AuthError(t("auth.noPinLogin"));
+    throw e;
+  }
+  if (!res?.employee?.id || !res.proxyToken) throw new AuthError(t("auth.failed"));
+
+  return toSession("pin", res.employee, { proxyToken: res.proxyToken });
+}
+
+async function employeeForUser(client, user) {
+  const employee = await client.findOne(client.employeeEntity, { where: [where("equals", "userId", user.id)] });
+  if (!employee) throw new AuthError(t("auth.userNotLinked", { user: user.userName || user.name }));
+  return employee;
+}
+
+export async function loginWithEspoUser(client, { username, password }) {
+  if (!username || !password) throw new AuthError(t("auth.enterCredentials"));
+
+  let res;
+  try {
+    res = await client.appUser(username.trim(), password);
+  } catch (e) {
+    if (e instanceof EspoHttpError && e.status === 401) throw new AuthError(t("auth.wrongPassword"), "wrong-credentials");
+    throw e;
+  }
+  if (!res.user?.id) throw new AuthError(t("auth.failed"));
+
+  const employee = await employeeForUser(res.proxyToken ? client.withAuthToken(res.proxyToken) : client, res.user);
+  // proxyToken: set when logging in through server/espo-proxy.js (the app stores it for later calls)
+  return toSession("user", employee, {
+    username: username.trim(),
+    token: res.token,
+    ...(res.proxyToken ? { proxyToken: res.proxyToken } : {}),
+  });
+}
+
+// sessions are re-checked against the server; false only when it says the token is dead.
+// Through the proxy a session is its signed proxyToken: one without a token (or with a token
+// for someone else) was not issued by the proxy.
+export async function isSessionStillValid(client, session) {
+  try {
+    if (client.proxy) {
+      if (!session?.proxyToken) return false;
+      const me = await client.withAuthToken(session.proxyToken).me();
+      return me?.employeeId === session.employeeEspoId;
+    }
+    if (session?.method !== "user") return true;
+    await client.appUser(session.username, session.token, { byToken: true });
+    return true;
+  } catch (e) {
+    if (e instanceof EspoHttpError && e.status === 401) return false;
+    return true; // offline etc. — keep the session
+  }
+}
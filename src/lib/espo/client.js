@@ -0,0 +1,242 @@
+import { EspoConfigError, EspoError, EspoHttpError, EspoNetworkError } from "./errors";
+import { buildEspoQueryUrl } from "./query";
+
+/* -------------------- ✅ ESPO env -------------------- */
+// VITE_ESPO_BASEURL points at the attendance entity (.../api/v1/CAttendance);
+// the API root and entity name are derived from it. Roster entities default to
+// COffice / CEmployee and can be renamed with VITE_ESPO_OFFICE_ENTITY / VITE_ESPO_EMPLOYEE_ENTITY.
+// VITE_ESPO_PROXY=on: VITE_ESPO_BASEURL points at server/espo-proxy.js and the app sends an access
+// token instead of VITE_X_API_KEY (which should then be left out of the build).
+export function getEspoConfig(env = import.meta.env) {
+  const baseUrl = (env.VITE_ESPO_BASEURL || "").trim();
+  const apiKey = (env.VITE_X_API_KEY || "").trim();
+
+  let apiRoot = "";
+  let attendanceEntity = "CAttendance";
+  try {
+    if (baseUrl) {
+      const u = new URL(baseUrl);
+      u.search = "";
+      u.hash = "";
+      const m = u.pathname.match(/\/([^/]+)\/?$/);
+      if (m) attendanceEntity = decodeURIComponent(m[1]);
+      u.pathname = u.pathname.replace(/\/[^/]+\/?$/, "");
+      apiRoot = u.toString().replace(/\/$/, "");
+    }
+  } catch {
+    apiRoot = "";
+  }
+
+  return {
+    baseUrl,
+    apiKey,
+    apiRoot,
+    attendanceEntity,
+    officeEntity: (env.VITE_ESPO_OFFICE_ENTITY || "").trim() || "COffice",
+    employeeEntity: (env.VITE_ESPO_EMPLOYEE_ENTITY || "").trim() || "CEmployee",
+    proxy: (env.VITE_ESPO_PROXY || "").trim().toLowerCase() === "on",
+  };
+}
+
+// a proxy build has no API key: the access token is what lets it in
+export const hasEspoAccess = (config) => !!config?.baseUrl && (!!config.proxy || !!config.apiKey);
+
+/* -------------------- file -> dataURL(base64) -------------------- */
+// arrayBuffer() works in the page, the service worker and node (tests) alike.
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || "application/octet-stream"};base64,${btoa(bin)}`;
+}
+
+// btoa() only takes latin-1; passwords may not be
+const base64Utf8 = (str) => btoa(String.fromCharCode(...new TextEncoder().encode(str)));
+
+/* -------------------- ESPO REST client -------------------- */
+// proxy: true → `Authorization: Bearer <authToken>` (a string or an async getter) instead of X-Api-Key
+export function createEspoClient(options = {}) {
+  const {
+    apiRoot,
+    apiKey,
+    proxy = false,
+    authToken,
+    attendanceEntity = "CAttendance",
+    officeEntity = "COffice",
+    employeeEntity = "CEmployee",
+    timeoutMs = 20000,
+    fetchImpl,
+  } = options;
+  const doFetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+
+  const assertConfigured = () => {
+    if (!apiRoot) throw new EspoConfigError("VITE_ESPO_BASEURL missing");
+    if (!proxy && !apiKey) throw new EspoConfigError("VITE_X_API_KEY missing");
+  };
+
+  const defaultHeaders = async () => {
+    if (!proxy) return { Accept: "application/json", "X-Api-Key": apiKey };
+    const token = typeof authToken === "function" ? await authToken() : authToken;
+    if (!token) throw new EspoConfigError("No access token on this device");
+    return { Accept: "application/json", Authorization: `Bearer ${token}` };
+  };
+
+  const entityUrl = (entity, id) => {
+    assertConfigured();
+    return `${apiRoot}/${encodeURIComponent(entity)}${id != null ? `/${encodeURIComponent(id)}` : ""}`;
+  };
+
+  // raw fetch with timeout → Response (throws typed errors)
+  const send = async (method, url, { body, timeout = timeoutMs, headers: authHeaders } = {}) => {
+    const baseHeaders = authHeaders ? { Accept: "application/json", ...authHeaders } : await defaultHeaders();
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeout);
+    try {
+      let res;
+      try {
+        res = await doFetch(url, {
+          method,
+          headers: body !== undefined ? { ...baseHeaders, "Content-Type": "application/json" } : baseHeaders,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          cache: "no-store",
+          signal: ctrl.signal,
+        });
+      } catch (e) {
+        const timedOut = e?.name === "AbortError";
+        throw new EspoNetworkError(timedOut ? `Timeout after ${timeout} ms @ ${url}` : `Network error @ ${url}`, {
+          url,
+          timeout: timedOut,
+          cause: e,
+        });
+      }
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw new EspoHttpError(res.status, { url, body: text, reason: res.headers.get("x-status-reason") || "" });
+      }
+
+      return res;
+    } finally {
+      clearTimeout(t);
+    }
+  };
+
+  const request = async (method, url, opts) => {
+    const res = await send(method, url, opts);
+    const txt = await res.text().catch(() => "");
+    if (!txt) return {};
+    try {
+      return JSON.parse(txt);
+    } catch (e) {
+      // a 200 that is not ESPO's JSON: a captive portal / proxy login page — try again later
+      throw new EspoNetworkError(`Unreadable response @ ${url}`, { url, cause: e });
+    }
+  };
+
+  const client = {
+    apiRoot,
+    proxy,
+    attendanceEntity,
+    officeEntity,
+    employeeEntity,
+
+    // { total, list }
+    async list(entity, query = {}) {
+      const data = await request("GET", buildEspoQueryUrl(entityUrl(entity), query));
+      return {
+        total: Number.isFinite(Number(data?.total)) ? Number(data.total) : -1,
+        list: Array.isArray(data?.list) ? data.list : [],
+      };
+    },
+
+    // walks every page; `limit` guards against a runaway loop
+    async listAll(entity, { pageSize = 200, limit = 10000, ...query } = {}) {
+      const out = [];
+      for (let offset = 0; out.length < limit; offset += pageSize) {
+        const { total, list } = await client.list(entity, { ...query, maxSize: pageSize, offset });
+        out.push(...list);
+        if (list.length < pageSize || (total >= 0 && out.length >= total)) break;
+      }
+      return out.slice(0, limit);
+    },
+
+    async findOne(entity, query = {}) {
+      const { list } = await client.list(entity, { ...query, maxSize: 1, offset: 0 });
+      return list[0] || null;
+    },
+
+    get: (entity, id) => request("GET", entityUrl(entity, id)),
+    create: (entity, payload) => request("POST", entityUrl(entity), { body: payload }),
+
+    update(entity, id, payload) {
+      if (!id) throw new EspoConfigError("Record ID is required for update");
+      return request("PUT", entityUrl(entity, id), { body: payload });
+    },
+
+    // { id, name } of the stored attachment
+    async uploadAttachment(file, { relatedType, field, role = "Attachment" } = {}) {
+      const payload = {
+        name: file.name || "file",
+        type: file.type || "application/octet-stream",
+        role,
+        relatedType,
+        field,
+        file: await blobToDataUrl(file),
+      };
+      const res = await request("POST", entityUrl("Attachment"), { body: payload });
+      return { id: String(res?.id || "").trim(), name: String(res?.name || payload.name).trim(), dataUrl: payload.file };
+    },
+
+    // ESPO user login → { user, token, proxyToken }; `password` may also be a previously issued token
+    async appUser(username, password, { byToken = false } = {}) {
+      if (!apiRoot) throw new EspoConfigError("VITE_ESPO_BASEURL missing");
+      const data = await request("GET", `${apiRoot}/App/user`, {
+        headers: {
+          "Espo-Authorization": base64Utf8(`${username}:${password}`),
+          "Espo-Authorization-By-Token": byToken ? "true" : "false",
+          "Espo-Authorization-Create-Token-Secret": "true",
+        },
+      });
+      return {
+        user: data?.user || null,
+        token: String(data?.token || (byToken ? password : "")),
+        proxyToken: String(data?.proxyToken || ""), // only when logging in through the proxy
+      };
+    },
+
+    /* ---------- proxy only (server/espo-proxy.js) ---------- */
+    // PIN checked by the proxy → { employee, proxyToken }
+    pinLogin: (employeeId, pin) => request("POST", `${apiRoot}/App/pinLogin`, { body: { employeeId, pin } }),
+
+    // who the token acts for, checked by the proxy → { employeeId, employeeName, isManager }
+    me: () => request("GET", `${apiRoot}/App/me`),
+
+    // same client with another proxy token (e.g. the one just issued at login)
+    withAuthToken: (token) => createEspoClient({ ...options, authToken: token }),
+
+    attachmentFileUrl: (id) => `${apiRoot}/Attachment/file/${encodeURIComponent(id)}`,
+
+    // raw file as a Blob (needs the API key / token header, so <img src> cannot point at ESPO)
+    async attachmentBlob(id) {
+      const res = await send("GET", client.attachmentFileUrl(id));
+      return res.blob();
+    },
+
+    // one clock sample for lib/timeSync: the "Date" header (whole seconds) and when the
+    // request left / the answer arrived on performance.now()
+    async serverTimeSample(timeout = 5000) {
+      const t0 = performance.now();
+      const res = await send("GET", buildEspoQueryUrl(entityUrl(attendanceEntity), { maxSize: 1, offset: 0 }), { timeout });
+      const t1 = performance.now();
+      const dateHeader = res.headers.get("date");
+      if (!dateHeader) throw new EspoError("Missing Date header");
+      const serverMs = new Date(dateHeader).getTime();
+      if (!Number.isFinite(serverMs)) throw new EspoError("Invalid Date header");
+      return { serverMs, t0, t1, resolutionMs: 1000 };
+    },
+  };
+
+  return client;
+}
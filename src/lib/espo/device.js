@@ -0,0 +1,76 @@
+import { where } from "./query";
+
+/* -------------------- registered phone on the employee record -------------------- */
+// CEmployee fields:
+//   deviceId          – id of the phone's public key (see lib/device.js)
+//   devicePublicKey   – the public key as JWK JSON (to verify punch signatures)
+//   deviceLabel       – "Chrome on Android", for the manager
+//   deviceStatus      – "Pending" until a manager approves, then "Approved"
+//   deviceRequestedAt, deviceApprovedAt, deviceApprovedBy
+// One phone per employee: registering another phone replaces the binding and needs approval again.
+// HR clears deviceId to unbind.
+
+export function parseDeviceBinding(employee) {
+  const deviceId = String(employee?.deviceId || "").trim();
+  if (!deviceId) return null;
+
+  let publicKey = employee.devicePublicKey;
+  if (typeof publicKey === "string") {
+    try {
+      publicKey = JSON.parse(publicKey);
+    } catch {
+      publicKey = null;
+    }
+  }
+
+  return {
+    deviceId,
+    publicKey: publicKey && typeof publicKey === "object" ? publicKey : null,
+    label: String(employee.deviceLabel || "").trim(),
+    status: String(employee.deviceStatus || "").trim().toLowerCase() === "approved" ? "approved" : "pending",
+    requestedAt: employee.deviceRequestedAt || "",
+  };
+}
+
+export async function loadDeviceBinding(client, employeeEspoId) {
+  const employee = await client.get(client.employeeEntity, employeeEspoId);
+  return parseDeviceBinding(employee);
+}
+
+export async function requestDeviceBinding(client, employeeEspoId, { deviceId, publicKey, label, requestedAtUtc }) {
+  if (!deviceId || !publicKey) throw new Error("Invalid device key.");
+  const employee = await client.update(client.employeeEntity, employeeEspoId, {
+    deviceId,
+    devicePublicKey: JSON.stringify(publicKey),
+    deviceLabel: label || "",
+    deviceStatus: "Pending",
+    deviceRequestedAt: requestedAtUtc,
+    deviceApprovedAt: null,
+    deviceApprovedBy: null,
+  });
+  return parseDeviceBinding(employee);
+}
+
+// deviceId + publicKey: the phone the manager was shown. If the employee registered another one
+// since, the proxy keeps the new one Pending instead (the returned binding is not "approved").
+export async function approveDeviceBinding(client, employeeEspoId, { deviceId, publicKey, approvedBy, approvedAtUtc }) {
+  if (!deviceId || !publicKey) throw new Error("Invalid device key.");
+  const employee = await client.update(client.employeeEntity, employeeEspoId, {
+    deviceId,
+    devicePublicKey: JSON.stringify(publicKey),
+    deviceStatus: "Approved",
+    deviceApprovedAt: approvedAtUtc,
+    deviceApprovedBy: approvedBy || "",
+  });
+  return parseDeviceBinding(employee);
+}
+
+// employees waiting for a manager (dashboard)
+export async function listPendingDevices(client) {
+  const rows = await client.listAll(client.employeeEntity, {
+    orderBy: "name",
+    order: "asc",
+    where: [where("equals", "deviceStatus", "Pending"), where("isNotNull", "deviceId")],
+  });
+  return rows.map((row) => ({ espoId: row.id, name: String(row.name || "").trim(), ...parseDeviceBinding(row) }));
+}
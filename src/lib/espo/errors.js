@@ -0,0 +1,48 @@
+/* -------------------- typed ESPO errors -------------------- */
+// EspoError
+//  ├─ EspoConfigError   – base URL / API key missing or malformed
+//  ├─ EspoNetworkError  – offline, DNS, CORS, timeout (request never got an answer), or an
+//  │                      answer that is not ESPO's JSON (captive portal page)
+//  └─ EspoHttpError     – ESPO answered with a non-2xx status
+
+export class EspoError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "EspoError";
+  }
+}
+
+export class EspoConfigError extends EspoError {
+  constructor(message) {
+    super(message);
+    this.name = "EspoConfigError";
+  }
+}
+
+export class EspoNetworkError extends EspoError {
+  constructor(message, { url, timeout = false, cause } = {}) {
+    super(message, { cause });
+    this.name = "EspoNetworkError";
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class EspoHttpError extends EspoError {
+  constructor(status, { url, body = "", reason = "" } = {}) {
+    super(`HTTP ${status} @ ${url}${reason ? ` — ${reason}` : body ? ` — ${body}` : ""}`);
+    this.name = "EspoHttpError";
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    this.reason = reason; // ESPO puts a short reason in the X-Status-Reason header
+  }
+
+  get retryable() {
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
@@ -0,0 +1,585 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { createMockEspoServer } from "../../../mock/espo-server.js";
+import { computeLastActionFromRecord, parseBreaks, presenceFromRecord, punchLabel } from "../attendance";
+import { computeWorkTime } from "../workTime";
+import { isRetryableError, PunchRejectedError, replayPunchQueue, submitPunch } from "../punchSync";
+import {
+  approveDeviceBinding,
+  AuthError,
+  buildSearchParams,
+  createEspoClient,
+  EspoConfigError,
+  EspoHttpError,
+  EspoNetworkError,
+  findTodayRecord,
+  getEspoConfig,
+  hashPin,
+  listAttendanceRange,
+  listOfficeDay,
+  listPendingDevices,
+  loadDeviceBinding,
+  isSessionStillValid,
+  loadFaceReference,
+  loadOrg,
+  loginWithEspoUser,
+  loginWithPin,
+  loadOrgFromAttendance,
+  requestDeviceBinding,
+  saveFaceReference,
+  where,
+} from "./index";
+
+const API_KEY = "test-key";
+
+let mock;
+let apiRoot;
+let client;
+
+beforeAll(async () => {
+  mock = createMockEspoServer({ apiKey: API_KEY });
+  apiRoot = await mock.listen();
+  client = createEspoClient({ apiRoot, apiKey: API_KEY });
+});
+
+afterAll(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  for (const table of Object.values(mock.store)) table.clear();
+});
+
+const selfie = (name = "selfie.jpg") => new File([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], name, { type: "image/jpeg" });
+
+const punch = (type, punchedAtUtc, extra = {}) => ({
+  employeeName: "Ravi Patel",
+  officeCode: "AMD01",
+  type,
+  attendanceDate: "2026-10-19",
+  punchedAtUtc,
+  lat: 23.0225,
+  lng: 72.5714,
+  notes: "Ahmedabad",
+  selfie: selfie(`selfie-${type}.jpg`),
+  ...extra,
+});
+
+describe("query builder", () => {
+  it("encodes where[n] filters, nested or/in and paging", () => {
+    const params = buildSearchParams({
+      maxSize: 5,
+      offset: 10,
+      orderBy: "createdAt",
+      order: "desc",
+      where: [
+        where("equals", "employeeName", "Ravi Patel"),
+        where("in", "officeCode", ["AMD01", "MUM01"]),
+        { type: "or", value: [where("isNotNull", "checkInAt"), where("isNotNull", "checkOutAt")] },
+      ],
+    });
+
+    expect(Object.fromEntries(params)).toEqual({
+      maxSize: "5",
+      offset: "10",
+      orderBy: "createdAt",
+      order: "desc",
+      "where[0][type]": "equals",
+      "where[0][attribute]": "employeeName",
+      "where[0][value]": "Ravi Patel",
+      "where[1][type]": "in",
+      "where[1][attribute]": "officeCode",
+      "where[1][value][0]": "AMD01",
+      "where[1][value][1]": "MUM01",
+      "where[2][type]": "or",
+      "where[2][value][0][type]": "isNotNull",
+      "where[2][value][0][attribute]": "checkInAt",
+      "where[2][value][1][type]": "isNotNull",
+      "where[2][value][1][attribute]": "checkOutAt",
+    });
+  });
+
+  it("derives API root and entity from VITE_ESPO_BASEURL", () => {
+    expect(getEspoConfig({ VITE_ESPO_BASEURL: "https://crm.example.com/api/v1/CAttendance/", VITE_X_API_KEY: "k" })).toEqual({
+      baseUrl: "https://crm.example.com/api/v1/CAttendance/",
+      apiKey: "k",
+      apiRoot: "https://crm.example.com/api/v1",
+      attendanceEntity: "CAttendance",
+      officeEntity: "COffice",
+      employeeEntity: "CEmployee",
+      proxy: false,
+    });
+  });
+});
+
+describe("client", () => {
+  it("paginates through every page with listAll", async () => {
+    mock.seed(
+      "CAttendance",
+      Array.from({ length: 7 }, (_, i) => ({ employeeName: `E${i}`, officeCode: "AMD01", attendanceDate: "2026-10-19" }))
+    );
+
+    const rows = await client.listAll("CAttendance", { pageSize: 3, where: [where("equals", "officeCode", "AMD01")] });
+    expect(rows).toHaveLength(7);
+    expect(new Set(rows.map((r) => r.employeeName)).size).toBe(7);
+  });
+
+  it("uploads attachments and serves them back", async () => {
+    const att = await client.uploadAttachment(selfie(), { relatedType: "CAttendance", field: "checkInSelfie" });
+    expect(att.id).toBeTruthy();
+    expect(att.name).toBe("selfie.jpg");
+
+    const res = await fetch(client.attachmentFileUrl(att.id), { headers: { "X-Api-Key": API_KEY } });
+    expect(res.headers.get("content-type")).toBe("image/jpeg");
+    expect(new Uint8Array(await res.arrayBuffer())).toEqual(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]));
+  });
+
+  it("reads a server time sample from the Date header", async () => {
+    const { serverMs, t0, t1, resolutionMs } = await client.serverTimeSample();
+    expect(Math.abs(serverMs - Date.now())).toBeLessThan(5000);
+    expect(serverMs % 1000).toBe(0);
+    expect(t1).toBeGreaterThanOrEqual(t0);
+    expect(resolutionMs).toBe(1000);
+  });
+
+  it("throws typed errors", async () => {
+    const badKey = createEspoClient({ apiRoot, apiKey: "wrong" });
+    const httpErr = await badKey.list("CAttendance").catch((e) => e);
+    expect(httpErr).toBeInstanceOf(EspoHttpError);
+    expect(httpErr.status).toBe(401);
+    expect(httpErr.reason).toBe("Bad API key");
+    expect(isRetryableError(httpErr)).toBe(false);
+
+    const down = createEspoClient({ apiRoot: "http://127.0.0.1:9/api/v1", apiKey: API_KEY });
+    const netErr = await down.list("CAttendance").catch((e) => e);
+    expect(netErr).toBeInstanceOf(EspoNetworkError);
+    expect(isRetryableError(netErr)).toBe(true);
+
+    const unconfigured = createEspoClient({ apiRoot: "", apiKey: "" });
+    await expect(unconfigured.list("CAttendance")).rejects.toBeInstanceOf(EspoConfigError);
+  });
+
+  it("retries when a captive portal answers instead of ESPO", async () => {
+    const portal = createEspoClient({
+      apiRoot,
+      apiKey: API_KEY,
+      fetchImpl: async () => new Response("<html><body>Log in to Guest Wi-Fi</body></html>", { status: 200, headers: { "Content-Type": "text/html" } }),
+    });
+    const err = await portal.list("CAttendance").catch((e) => e);
+    expect(err).toBeInstanceOf(EspoNetworkError);
+    expect(err.message).toMatch(/Unreadable response/);
+    expect(isRetryableError(err)).toBe(true);
+
+    expect(isRetryableError(new TypeError("Failed to fetch"))).toBe(true);
+    expect(isRetryableError(new DOMException("The operation was aborted.", "AbortError"))).toBe(true);
+    expect(isRetryableError(new PunchRejectedError("Already checked out"))).toBe(false);
+  });
+});
+
+describe("attendance flow against the mock", () => {
+  it("checkin → several breaks → checkout fills one record", async () => {
+    const steps = [
+      ["checkin", "2026-10-19 03:30:00", {}],
+      ["breakStart", "2026-10-19 05:30:00", { breakType: "tea" }],
+      ["breakEnd", "2026-10-19 05:40:00", {}],
+      ["breakStart", "2026-10-19 07:30:00", { breakType: "lunch", face: { score: 40, review: true } }],
+      ["breakEnd", "2026-10-19 08:00:00", {}],
+      ["checkout", "2026-10-19 12:45:00", {}],
+    ];
+
+    for (const [type, at, extra] of steps) {
+      const rec = await submitPunch(client, punch(type, at, extra));
+      expect(computeLastActionFromRecord(rec)).toBe(type);
+    }
+
+    expect(mock.store.CAttendance.size).toBe(1);
+    expect(mock.store.Attachment.size).toBe(6);
+
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: "2026-10-19" });
+    expect(rec).toMatchObject({
+      officeCode: "AMD01",
+      daykey: "2026-10-19__ravi patel",
+      checkInAt: "2026-10-19 03:30:00",
+      checkOutAt: "2026-10-19 12:45:00",
+      faceReviewRequired: true,
+    });
+    expect(parseBreaks(rec)).toMatchObject([
+      { type: "tea", startAt: "2026-10-19 05:30:00", endAt: "2026-10-19 05:40:00" },
+      { type: "lunch", startAt: "2026-10-19 07:30:00", endAt: "2026-10-19 08:00:00", startFaceScore: 40, startFaceReview: true },
+    ]);
+    expect(rec.breakSelfiesIds).toHaveLength(4);
+    expect(rec.checkInSelfieId).toBeTruthy();
+    expect(rec.checkOutSelfieId).toBeTruthy();
+    expect(computeWorkTime(rec)).toMatchObject({ breakMinutes: 40, netMinutes: 9 * 60 + 15 - 40 });
+  });
+
+  it("stores a missing location as such, with its quality, instead of made-up coordinates", async () => {
+    await submitPunch(client, punch("checkin", "2026-10-19 03:30:00", { lat: null, lng: null, notes: "", locationSource: "none", location: { quality: "none", accuracy: null } }));
+    await submitPunch(client, punch("checkout", "2026-10-19 12:30:00", { location: { quality: "good", accuracy: 12 } }));
+
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: "2026-10-19" });
+    expect(rec).toMatchObject({
+      officeLat: null,
+      officeLng: null,
+      locationSource: "none",
+      checkinLocationQuality: "none",
+      checkinLocationAccuracy: null,
+      checkoutLocationQuality: "good",
+      checkoutLocationAccuracy: 12,
+      locationReviewRequired: true,
+    });
+  });
+
+  it("stores where each punch's time came from and flags a skewed phone clock", async () => {
+    await submitPunch(client, punch("checkin", "2026-10-19 03:30:00", { time: { source: "espo", skewSeconds: 2, uncertaintyMs: 35, review: false } }));
+    await submitPunch(client, punch("breakStart", "2026-10-19 07:30:00", { time: { source: "timeapi", skewSeconds: 1, uncertaintyMs: 80, review: false } }));
+    await submitPunch(client, punch("checkout", "2026-10-19 12:30:00", { time: { source: "device", skewSeconds: null, review: true } }));
+
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: "2026-10-19" });
+    expect(rec).toMatchObject({
+      checkinTimeSource: "espo",
+      checkinClockSkewSeconds: 2,
+      checkinClockUncertaintyMs: 35,
+      checkoutTimeSource: "device",
+      checkoutClockSkewSeconds: null,
+      timeReviewRequired: true,
+    });
+    expect(JSON.parse(rec.breaks)[0]).toMatchObject({ startTimeSource: "timeapi", startClockSkewSeconds: 1, startClockUncertaintyMs: 80 });
+  });
+
+  it("rejects breaks before checkin, overlapping breaks and a second checkin", async () => {
+    await expect(submitPunch(client, punch("breakStart", "2026-10-19 07:30:00"))).rejects.toBeInstanceOf(PunchRejectedError);
+
+    await submitPunch(client, punch("checkin", "2026-10-19 03:30:00"));
+    const dup = await submitPunch(client, punch("checkin", "2026-10-19 03:35:00")).catch((e) => e);
+    expect(dup).toBeInstanceOf(PunchRejectedError);
+    expect(dup.message).toBe("Checkin already done for today.");
+
+    await expect(submitPunch(client, punch("breakEnd", "2026-10-19 05:00:00"))).rejects.toThrow("No break to end.");
+    await submitPunch(client, punch("breakStart", "2026-10-19 05:30:00", { breakType: "prayer" }));
+    await expect(submitPunch(client, punch("breakStart", "2026-10-19 05:35:00"))).rejects.toThrow(/Prayer break already started/);
+
+    // refused punches are checked before their selfie goes up
+    expect(mock.store.Attachment.size).toBe(2);
+  });
+
+  it("continues a day recorded with the old lunch fields and replays queued lunch punches", async () => {
+    mock.seed("CAttendance", [
+      {
+        name: "Ravi Patel",
+        employeeName: "Ravi Patel",
+        officeCode: "AMD01",
+        attendanceDate: "2026-10-19",
+        checkInAt: "2026-10-19 03:30:00",
+        lunchOutAt: "2026-10-19 07:30:00",
+      },
+    ]);
+
+    const rec = await submitPunch(client, punch("lunchEnd", "2026-10-19 08:00:00"));
+    expect(parseBreaks(rec)).toMatchObject([{ type: "lunch", startAt: "2026-10-19 07:30:00", endAt: "2026-10-19 08:00:00" }]);
+    expect(punchLabel("lunchEnd")).toBe("Lunch Break End");
+  });
+
+  it("closes the previous evening's record after midnight", async () => {
+    // night shift: the phone already files the 06:00 checkout under the shift day
+    await submitPunch(client, punch("checkin", "2026-10-19 15:30:00"));
+    const night = await submitPunch(client, punch("checkout", "2026-10-20 00:30:00"));
+    expect(night).toMatchObject({ attendanceDate: "2026-10-19", checkOutAt: "2026-10-20 00:30:00" });
+
+    // day shift worked past midnight: yesterday's open record is closed, a closed one is not reused
+    const late = { employeeName: "Meera Shah" };
+    await submitPunch(client, punch("checkin", "2026-10-19 04:00:00", late));
+    const closed = await submitPunch(
+      client,
+      punch("checkout", "2026-10-19 19:10:00", { ...late, attendanceDate: "2026-10-20", carryOverDate: "2026-10-19" })
+    );
+    expect(closed).toMatchObject({ attendanceDate: "2026-10-19", checkOutAt: "2026-10-19 19:10:00" });
+
+    const again = punch("breakStart", "2026-10-19 19:20:00", { ...late, attendanceDate: "2026-10-20", carryOverDate: "2026-10-19" });
+    await expect(submitPunch(client, again)).rejects.toThrow(/First do Checkin/);
+    expect(mock.store.CAttendance.size).toBe(2);
+  });
+
+  it("lists one employee's month for the history screen", async () => {
+    mock.seed("CAttendance", [
+      { employeeName: "Ravi Patel", attendanceDate: "2026-09-30", checkInAt: "2026-09-30 03:30:00" },
+      {
+        employeeName: "Ravi Patel",
+        attendanceDate: "2026-10-01",
+        checkInAt: "2026-10-01 03:30:00",
+        lunchOutAt: "2026-10-01 07:30:00",
+        lunchInAt: "2026-10-01 08:00:00",
+        checkOutAt: "2026-10-01 12:45:00",
+      },
+      { employeeName: "Meera Shah", attendanceDate: "2026-10-02", checkInAt: "2026-10-02 03:30:00" },
+      { employeeName: "Ravi Patel", attendanceDate: "2026-10-31", checkInAt: "2026-10-31 03:30:00" },
+    ]);
+
+    const rows = await listAttendanceRange(client, { employeeName: "Ravi Patel", from: "2026-10-01", to: "2026-10-31" });
+    expect(rows.map((r) => r.attendanceDate)).toEqual(["2026-10-01", "2026-10-31"]);
+    expect(computeWorkTime(rows[0]).netMinutes).toBe(8 * 60 + 45);
+    expect(computeWorkTime(rows[1]).netMinutes).toBeNull();
+
+    const att = await client.uploadAttachment(selfie());
+    expect((await client.attachmentBlob(att.id)).size).toBe(4);
+  });
+
+  it("lists an office's day for the dashboard with each employee's state", async () => {
+    await submitPunch(client, punch("checkin", "2026-10-19 03:30:00"));
+    await submitPunch(client, punch("breakStart", "2026-10-19 07:30:00", { breakType: "tea" }));
+    await submitPunch(client, punch("checkin", "2026-10-19 03:31:00", { employeeName: "Meera Shah" }));
+    await submitPunch(client, punch("checkin", "2026-10-19 03:32:00", { employeeName: "Elsewhere", officeCode: "MUM01" }));
+
+    const rows = await listOfficeDay(client, { officeCode: "AMD01", attendanceDate: "2026-10-19" });
+    expect(Object.fromEntries(rows.map((r) => [r.employeeName, presenceFromRecord(r)]))).toEqual({
+      "Ravi Patel": "break",
+      "Meera Shah": "in",
+    });
+    expect(presenceFromRecord(null)).toBe("absent");
+  });
+
+  it("builds the office/employee lists from recent attendance", async () => {
+    await submitPunch(client, punch("checkin", "2026-10-19 03:30:00"));
+    await submitPunch(client, punch("checkin", "2026-10-19 03:31:00", { employeeName: "Meera Shah", officeCode: "MUM01" }));
+
+    const org = await loadOrgFromAttendance(client);
+    expect(org.offices.map((o) => o.id).sort()).toEqual(["AMD01", "MUM01"]);
+    expect(org.employeesByOffice.MUM01).toEqual([{ id: "Meera Shah", name: "Meera Shah" }]);
+  });
+});
+
+describe("replaying the punch queue", () => {
+  // the IndexedDB queue's contract: listPunches() oldest first, rows keyed by id
+  const memoryQueue = (punches) => {
+    const rows = new Map(punches.map((p, i) => [i + 1, { id: i + 1, status: "pending", attempts: 0, ...p }]));
+    return {
+      rows,
+      listPunches: async () => [...rows.values()].map((p) => ({ ...p })),
+      removePunch: async (id) => void rows.delete(id),
+      updatePunch: async (id, patch) => void rows.set(id, { ...rows.get(id), ...patch }),
+    };
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("sends punches oldest first and sets aside the ones ESPO refuses", async () => {
+    const store = memoryQueue([
+      punch("checkin", "2026-10-19 03:30:00"),
+      punch("breakEnd", "2026-10-19 05:00:00"),
+      punch("checkout", "2026-10-19 12:30:00"),
+    ]);
+
+    expect(await replayPunchQueue(client, { store })).toEqual({ synced: 2, failed: 1, remaining: 0 });
+    expect([...store.rows.values()]).toEqual([expect.objectContaining({ id: 2, status: "failed", attempts: 1, lastError: "No break to end." })]);
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: "2026-10-19" });
+    expect(rec).toMatchObject({ checkInAt: "2026-10-19 03:30:00", checkOutAt: "2026-10-19 12:30:00" });
+  });
+
+  it("stops at the first punch that may go through later and keeps the rest in order", async () => {
+    let offline = false;
+    const flaky = createEspoClient({
+      apiRoot,
+      apiKey: API_KEY,
+      fetchImpl: (...args) => (offline ? Promise.reject(new TypeError("Failed to fetch")) : fetch(...args)),
+    });
+    const store = memoryQueue([
+      punch("checkin", "2026-10-19 03:30:00"),
+      punch("breakStart", "2026-10-19 05:30:00"),
+      punch("checkout", "2026-10-19 12:30:00"),
+    ]);
+    const removePunch = store.removePunch;
+    store.removePunch = async (id) => {
+      await removePunch(id);
+      if (id === 1) offline = true; // the connection drops right after the first punch
+    };
+
+    expect(await replayPunchQueue(flaky, { store })).toEqual({ synced: 1, failed: 0, remaining: 2 });
+    expect(store.rows.get(2)).toMatchObject({ status: "pending", attempts: 1, lastError: expect.stringMatching(/Network error/) });
+    expect(store.rows.get(3)).toMatchObject({ status: "pending", attempts: 0 });
+
+    offline = false;
+    expect(await replayPunchQueue(flaky, { store })).toEqual({ synced: 2, failed: 0, remaining: 0 });
+    expect(store.rows.size).toBe(0);
+  });
+
+  it("counts a punch ESPO saved before its answer was lost as synced", async () => {
+    // the first attempt went through, but the phone never heard back and kept the punches queued
+    const sent = [
+      punch("checkin", "2026-10-19 03:30:00"),
+      punch("breakStart", "2026-10-19 05:30:00"),
+      punch("breakEnd", "2026-10-19 06:00:00"),
+      punch("checkout", "2026-10-19 12:30:00"),
+    ];
+    for (const p of sent) await submitPunch(client, p);
+    const uploads = mock.store.Attachment.size;
+
+    const store = memoryQueue([...sent, punch("checkin", "2026-10-19 03:35:00")]);
+    expect(await replayPunchQueue(client, { store })).toEqual({ synced: 4, failed: 1, remaining: 0 });
+    expect([...store.rows.values()]).toEqual([expect.objectContaining({ id: 5, status: "failed", lastError: "Checkin already done for today." })]);
+    expect(mock.store.Attachment.size).toBe(uploads);
+
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: "2026-10-19" });
+    expect(JSON.parse(rec.breaks)).toHaveLength(1);
+  });
+
+  it("lets only one replay run at a time", async () => {
+    const held = [];
+    let chain = Promise.resolve();
+    vi.stubGlobal("navigator", {
+      locks: {
+        request: (name, fn) => {
+          held.push(name);
+          const run = chain.then(fn);
+          chain = run.catch(() => {});
+          return run;
+        },
+      },
+    });
+    const store = memoryQueue([punch("checkin", "2026-10-19 03:30:00")]);
+
+    // page and service worker at once: the second one finds the queue already empty
+    const results = await Promise.all([replayPunchQueue(client, { store }), replayPunchQueue(client, { store })]);
+    expect(results).toEqual([
+      { synced: 1, failed: 0, remaining: 0 },
+      { synced: 0, failed: 0, remaining: 0 },
+    ]);
+    expect(held).toEqual(["punch-queue-replay", "punch-queue-replay"]);
+  });
+});
+
+describe("roster from master entities", () => {
+  it("pages through offices/employees, drops inactive ones and follows office links", async () => {
+    const [amd, mum, old] = mock.seed("COffice", [
+      {
+        code: "AMD01",
+        name: "Ahmedabad HQ",
+        status: "Active",
+        latitude: 23.0225,
+        longitude: 72.5714,
+        geofenceRadius: 150,
+        shiftStart: "10:00",
+        shiftEnd: "19:00",
+        shiftGraceMinutes: 15,
+        lunchWindowStart: "13:30",
+        lunchWindowEnd: "15:00",
+      },
+      { code: "MUM01", name: "MUM01", status: "Active", timeZone: "Nowhere/Atlantis" },
+      { code: "OLD01", name: "Closed godown", status: "Inactive" },
+    ]);
+
+    mock.seed("CEmployee", [
+      ...Array.from({ length: 250 }, (_, i) => ({ name: `Worker ${String(i).padStart(3, "0")}`, status: "Active", officeId: amd.id })),
+      { name: "Meera Shah", status: "Active", officesIds: [amd.id, mum.id] },
+      { name: "New Joiner", status: "Active", officeCode: "mum01" },
+      { name: "Left Company", status: "Inactive", officeId: mum.id },
+      { name: "Godown Only", status: "Active", officeId: old.id },
+    ]);
+
+    const org = await loadOrg(client);
+
+    expect(org.offices.map((o) => o.id)).toEqual(["AMD01", "MUM01"]);
+    expect(org.offices[0]).toMatchObject({ name: "AMD01 — Ahmedabad HQ", geofence: { lat: 23.0225, lng: 72.5714, radius: 150 } });
+    expect(org.offices[1].geofence).toBeNull();
+    expect(org.offices[0].shift).toMatchObject({ start: "10:00", end: "19:00", graceMinutes: 15, lunchWindowStart: "13:30" });
+    expect(org.offices[1].shift).toBeNull();
+    expect(org.offices[1].timeZone).toBeNull();
+
+    expect(org.employeesByOffice.AMD01).toHaveLength(251);
+    expect(org.employeesByOffice.MUM01.map((e) => e.name)).toEqual(["Meera Shah", "New Joiner"]);
+  });
+
+  it("falls back to recent attendance when the roster entities do not exist", async () => {
+    const bare = createMockEspoServer({ apiKey: API_KEY, entities: ["CAttendance", "Attachment"] });
+    const root = await bare.listen();
+    try {
+      bare.seed("CAttendance", [{ officeCode: "AMD01", employeeName: "Ravi Patel", attendanceDate: "2026-10-18" }]);
+      const org = await loadOrg(createEspoClient({ apiRoot: root, apiKey: API_KEY }));
+      expect(org.offices).toEqual([{ id: "AMD01", name: "AMD01" }]);
+      expect(org.employeesByOffice.AMD01).toEqual([{ id: "Ravi Patel", name: "Ravi Patel" }]);
+    } finally {
+      await bare.close();
+    }
+  });
+});
+
+describe("employee login", () => {
+  it("leaves PIN checks to the proxy: a direct client never reads pinHash", async () => {
+    const [emp] = mock.seed("CEmployee", [{ name: "Ravi Patel", status: "Active" }]);
+    mock.store.CEmployee.set(emp.id, { ...emp, pinHash: await hashPin(emp.id, "4321") });
+
+    const err = await loginWithPin(client, { employeeEspoId: emp.id, pin: "4321" }).catch((e) => e);
+    expect(err).toBeInstanceOf(AuthError);
+    expect(err.message).toMatch(/needs the ESPO proxy/);
+  });
+
+  it("logs in through the ESPO user API and maps the user to an employee", async () => {
+    const user = mock.addUser({ userName: "ravi", password: "s3cret" });
+    mock.seed("CEmployee", [{ name: "Ravi Patel", status: "Active", userId: user.id }]);
+
+    const session = await loginWithEspoUser(client, { username: "ravi", password: "s3cret" });
+    expect(session).toMatchObject({ method: "user", employeeName: "Ravi Patel", username: "ravi" });
+    expect(session.token).toBeTruthy();
+    expect(await isSessionStillValid(client, session)).toBe(true);
+
+    mock.revokeTokens();
+    expect(await isSessionStillValid(client, session)).toBe(false);
+
+    await expect(loginWithEspoUser(client, { username: "ravi", password: "nope" })).rejects.toThrow("Wrong username or password.");
+  });
+});
+
+describe("face reference", () => {
+  it("stores the enrolment photo and descriptor on the employee and reads it back", async () => {
+    const [emp] = mock.seed("CEmployee", [{ name: "Ravi Patel", status: "Active" }]);
+    expect(await loadFaceReference(client, emp.id)).toBeNull();
+
+    const descriptor = Array.from({ length: 128 }, (_, i) => i / 1000 + 0.000049);
+    await saveFaceReference(client, emp.id, { descriptor, photo: selfie("face.jpg"), enrolledAtUtc: "2026-10-19 03:00:00" });
+
+    const saved = mock.store.CEmployee.get(emp.id);
+    expect(saved).toMatchObject({ faceReferenceName: "face.jpg", faceEnrolledAt: "2026-10-19 03:00:00" });
+    expect(mock.store.Attachment.get(saved.faceReferenceId)).toMatchObject({ relatedType: "CEmployee", field: "faceReference" });
+
+    const loaded = await loadFaceReference(client, emp.id);
+    expect(loaded).toHaveLength(128);
+    expect(loaded[5]).toBe(0.005);
+
+    await expect(saveFaceReference(client, emp.id, { descriptor: [1, 2, 3], photo: selfie() })).rejects.toThrow("Invalid face descriptor.");
+  });
+});
+
+describe("registered phone", () => {
+  it("registers a phone as pending, lets a manager approve it and flags punches from other phones", async () => {
+    const [emp, other] = mock.seed("CEmployee", [
+      { name: "Ravi Patel", status: "Active" },
+      { name: "Asha Shah", status: "Active" },
+    ]);
+    expect(await loadDeviceBinding(client, emp.id)).toBeNull();
+
+    const publicKey = { kty: "EC", crv: "P-256", x: "x", y: "y" };
+    const pending = await requestDeviceBinding(client, emp.id, {
+      deviceId: "dev1",
+      publicKey,
+      label: "Chrome on Android",
+      requestedAtUtc: "2026-10-19 03:00:00",
+    });
+    expect(pending).toMatchObject({ deviceId: "dev1", status: "pending", publicKey });
+    expect((await listPendingDevices(client)).map((d) => [d.espoId, d.name])).toEqual([[emp.id, "Ravi Patel"]]);
+    expect(other.deviceId).toBeUndefined();
+
+    const [listed] = await listPendingDevices(client);
+    await approveDeviceBinding(client, emp.id, { ...listed, approvedBy: "Manager", approvedAtUtc: "2026-10-19 03:10:00" });
+    expect(await loadDeviceBinding(client, emp.id)).toMatchObject({ status: "approved" });
+    expect(await listPendingDevices(client)).toEqual([]);
+
+    await submitPunch(client, punch("checkin", "2026-10-19 03:30:00", { device: { deviceId: "dev2", signature: "sig", trusted: false } }));
+    const rec = await findTodayRecord(client, { employeeName: "Ravi Patel", attendanceDate: "2026-10-19" });
+    expect(rec).toMatchObject({
+      checkinDeviceId: "dev2",
+      checkinDeviceSignature: "sig",
+      checkinDeviceTrusted: false,
+      deviceReviewRequired: true,
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { DESCRIPTOR_LENGTH } from "../face";
+
+/* -------------------- face reference on the employee record -------------------- */
+// CEmployee fields:
+//   faceDescriptor   – JSON array of 128 numbers (computed on the phone at enrolment)
+//   faceReference    – the enrolment photo (image field → faceReferenceId / faceReferenceName)
+//   faceEnrolledAt   – when it was taken
+// Enrolment is a one-time step; HR clears faceDescriptor to let someone enrol again.
+
+export function parseFaceDescriptor(raw) {
+  let value = raw;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(value) || value.length !== DESCRIPTOR_LENGTH) return null;
+  const nums = value.map(Number);
+  return nums.every(Number.isFinite) ? nums : null;
+}
+
+export async function loadFaceReference(client, employeeEspoId) {
+  const employee = await client.get(client.employeeEntity, employeeEspoId);
+  return parseFaceDescriptor(employee?.faceDescriptor);
+}
+
+export async function saveFaceReference(client, employeeEspoId, { descriptor, photo, enrolledAtUtc }) {
+  const values = parseFaceDescriptor(descriptor);
+  if (!values) throw new Error("Invalid face descriptor.");
+
+  const att = await client.uploadAttachment(photo, {
+    relatedType: client.employeeEntity,
+    field: "faceReference",
+    role: "Attachment",
+  });
+
+  return client.update(client.employeeEntity, employeeEspoId, {
+    // 4 decimals is plenty for matching and keeps the field small
+    faceDescriptor: JSON.stringify(values.map((n) => Math.round(n * 10000) / 10000)),
+    faceReferenceId: att.id,
+    faceReferenceName: att.name,
+    faceEnrolledAt: enrolledAtUtc,
+  });
+}
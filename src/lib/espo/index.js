@@ -0,0 +1,17 @@
+export { createEspoClient, getEspoConfig, blobToDataUrl, hasEspoAccess } from "./client";
+export { EspoError, EspoConfigError, EspoHttpError, EspoNetworkError } from "./errors";
+export { buildEspoQueryUrl, buildSearchParams, where } from "./query";
+export {
+  createAttendance,
+  findShiftRecord,
+  findTodayRecord,
+  listAttendanceRange,
+  listOfficeDay,
+  listOfficesRange,
+  updateAttendance,
+  uploadSelfie,
+} from "./attendance";
+export { isActiveRecord, loadOrg, loadOrgFromAttendance, loadOrgFromMasters } from "./org";
+export { AuthError, hashPin, isSessionStillValid, loginWithEspoUser, loginWithPin } from "./auth";
+export { loadFaceReference, parseFaceDescriptor, saveFaceReference } from "./face";
+export { approveDeviceBinding, listPendingDevices, loadDeviceBinding, parseDeviceBinding, requestDeviceBinding } from "./device";
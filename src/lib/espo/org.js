@@ -0,0 +1,140 @@
+import { normalizeFence } from "../geofence";
+import { normalizeShift } from "../shift";
+import { normalizeTimeZone } from "../timeZone";
+import { EspoHttpError } from "./errors";
+
+/* -------------------- roster (offices + employees) -------------------- */
+// Office master (COffice):   code, name, status ("Active" | "Inactive"),
+//                            latitude, longitude, geofenceRadius, geofencePolygon (JSON [[lat, lng], ...]),
+//                            shiftStart, shiftEnd ("HH:MM"), shiftGraceMinutes, shiftLunchMinutes,
+//                            lunchWindowStart, lunchWindowEnd, earliestCheckIn ("HH:MM")
+//                            timeZone (IANA, e.g. "Asia/Dubai")
+// Employee master (CEmployee): name, status, office (link → officeId) or offices (linkMultiple → officesIds),
+//                            or a plain officeCode text field
+// Dropdown ids stay office code / employee name, because that is what CAttendance stores.
+
+const normalizeKey = (s) => String(s || "").trim().toLowerCase();
+
+export function isActiveRecord(row) {
+  if (row?.isActive === false || row?.deleted === true) return false;
+  const status = normalizeKey(row?.status);
+  return !status || status === "active";
+}
+
+function parsePolygon(raw) {
+  if (!raw) return null;
+  try {
+    return Array.isArray(raw) ? raw : JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function toOffice(row) {
+  const code = String(row?.code || row?.officeCode || row?.name || "").trim();
+  const name = String(row?.name || "").trim();
+  return {
+    id: code,
+    name: name && normalizeKey(name) !== normalizeKey(code) ? `${code} — ${name}` : code,
+    espoId: row?.id || "",
+    geofence: normalizeFence({
+      lat: row?.latitude,
+      lng: row?.longitude,
+      radius: row?.geofenceRadius,
+      polygon: parsePolygon(row?.geofencePolygon),
+    }),
+    timeZone: normalizeTimeZone(row?.timeZone),
+    // null when the office has no shift fields → VITE_OFFICE_SHIFTS / VITE_DEFAULT_SHIFT apply
+    shift: normalizeShift({
+      start: row?.shiftStart,
+      end: row?.shiftEnd,
+      graceMinutes: row?.shiftGraceMinutes,
+      lunchMinutes: row?.shiftLunchMinutes,
+      lunchWindowStart: row?.lunchWindowStart,
+      lunchWindowEnd: row?.lunchWindowEnd,
+      earliestCheckIn: row?.earliestCheckIn,
+    }),
+  };
+}
+
+export async function loadOrgFromMasters(client) {
+  const [officeRows, employeeRows] = await Promise.all([
+    client.listAll(client.officeEntity, { orderBy: "name", order: "asc" }),
+    client.listAll(client.employeeEntity, { orderBy: "name", order: "asc" }),
+  ]);
+
+  const offices = officeRows.filter(isActiveRecord).map(toOffice).filter((o) => o.id);
+  const codeByEspoId = Object.fromEntries(offices.map((o) => [o.espoId, o.id]));
+  const codeByKey = Object.fromEntries(offices.map((o) => [normalizeKey(o.id), o.id]));
+
+  const employeesByOffice = Object.fromEntries(offices.map((o) => [o.id, []]));
+
+  for (const row of employeeRows) {
+    if (!isActiveRecord(row)) continue;
+
+    const name = String(row?.name || "").trim();
+    if (!name) continue;
+
+    const codes = new Set();
+    if (row.officeCode) codes.add(codeByKey[normalizeKey(row.officeCode)]);
+    if (row.officeId) codes.add(codeByEspoId[row.officeId]);
+    for (const id of Array.isArray(row.officesIds) ? row.officesIds : []) codes.add(codeByEspoId[id]);
+    codes.delete(undefined);
+
+    // unassigned (or assigned only to inactive offices) → not punchable anywhere
+    for (const code of codes) employeesByOffice[code].push({ id: name, name, espoId: row.id || "" });
+  }
+
+  return { offices, employeesByOffice };
+}
+
+/* -------------------- legacy: offices + employees from recent attendance -------------------- */
+export async function loadOrgFromAttendance(client) {
+  const { list } = await client.list(client.attendanceEntity, { maxSize: 200, offset: 0 });
+
+  const officeSeen = new Set();
+  const offices = [];
+
+  const empMap = {};
+  const getBucket = (officeCode) => {
+    if (!empMap[officeCode]) empMap[officeCode] = { seen: new Set(), arr: [] };
+    return empMap[officeCode];
+  };
+
+  for (const row of list) {
+    const officeCode = String(row?.officeCode || "").trim();
+    const employeeName = String(row?.employeeName || "").trim();
+
+    if (officeCode && !officeSeen.has(normalizeKey(officeCode))) {
+      officeSeen.add(normalizeKey(officeCode));
+      offices.push({ id: officeCode, name: officeCode });
+    }
+
+    if (officeCode && employeeName) {
+      const b = getBucket(officeCode);
+      const key = normalizeKey(employeeName);
+      if (!b.seen.has(key)) {
+        b.seen.add(key);
+        b.arr.push({ id: employeeName, name: employeeName });
+      }
+    }
+  }
+
+  const employeesByOffice = {};
+  for (const [officeCode, b] of Object.entries(empMap)) {
+    employeesByOffice[officeCode] = b.arr;
+  }
+
+  return { offices, employeesByOffice };
+}
+
+// master entities when the ESPO instance has them, recent attendance otherwise
+export async function loadOrg(client) {
+  try {
+    return await loadOrgFromMasters(client);
+  } catch (e) {
+    if (!(e instanceof EspoHttpError) || ![403, 404].includes(e.status)) throw e;
+    console.warn("[ESPO] roster entities unavailable, using recent attendance:", e.message);
+    return await loadOrgFromAttendance(client);
+  }
+}
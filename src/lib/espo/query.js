@@ -0,0 +1,45 @@
+/* -------------------- ESPO query string builder -------------------- */
+// ESPO list endpoints take PHP-style nested params:
+//   where[0][type]=equals&where[0][attribute]=employeeName&where[0][value]=Ravi
+// `where` is an array of { type, attribute, value } items; "or"/"and" items
+// carry a nested array in `value`, "in"/"notIn" carry a plain array.
+
+function appendNested(params, prefix, value) {
+  if (value === undefined || value === null) return;
+
+  if (Array.isArray(value)) {
+    value.forEach((v, i) => appendNested(params, `${prefix}[${i}]`, v));
+    return;
+  }
+
+  if (typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) appendNested(params, `${prefix}[${k}]`, v);
+    return;
+  }
+
+  params.append(prefix, String(value));
+}
+
+export function where(type, attribute, value) {
+  return value === undefined ? { type, attribute } : { type, attribute, value };
+}
+
+export function buildSearchParams({ where: filters, orderBy, order, maxSize, offset, select } = {}) {
+  const params = new URLSearchParams();
+
+  if (maxSize != null) params.set("maxSize", String(maxSize));
+  if (offset != null) params.set("offset", String(offset));
+  if (orderBy) params.set("orderBy", orderBy);
+  if (order) params.set("order", order);
+  if (select?.length) params.set("select", select.join(","));
+
+  (filters || []).forEach((item, i) => appendNested(params, `where[${i}]`, item));
+
+  return params;
+}
+
+export function buildEspoQueryUrl(base, query) {
+  const u = new URL(base);
+  for (const [k, v] of buildSearchParams(query)) u.searchParams.append(k, v);
+  return u.toString();
+}
@@ -0,0 +1,243 @@
+import { strToU8, zipSync } from "fflate";
+import { breakLabel, formatZonedTime, openBreak, parseBreaks, TYPE_META } from "./attendance";
+import { t } from "./i18n";
+import { getOfficeShift } from "./shift";
+import { getOfficeTimeZone } from "./timeZone";
+import { computeWorkTime } from "./workTime";
+
+/* -------------------- monthly sheet: one row per employee per day -------------------- */
+// Everything is built in the browser from CAttendance records; nothing is sent anywhere.
+// Headers, flags and break names are written in the UI language of whoever exports.
+
+export const EXPORT_COLUMNS = [
+  { key: "date" },
+  { key: "officeCode" },
+  { key: "employeeName" },
+  { key: "timeZone" },
+  { key: "checkIn" },
+  { key: "breaks" },
+  { key: "checkOut" },
+  { key: "grossHours", numeric: true },
+  { key: "breakMinutes", numeric: true },
+  { key: "netHours", numeric: true },
+  { key: "lateMinutes", numeric: true },
+  { key: "earlyLeaveMinutes", numeric: true },
+  { key: "overtimeHours", numeric: true },
+  { key: "timeSource" },
+  { key: "clockSkewSeconds", numeric: true },
+  { key: "flags" },
+];
+
+// a column may bring its own label; the standard ones are looked up in the catalog
+const columnLabel = (c) => c.label ?? t(`export.column.${c.key}`);
+
+// inclusive list of YYYY-MM-DD between from and to
+export function datesBetween(from, to) {
+  const out = [];
+  const d = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (d <= end && out.length < 400) {
+    out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+export function recordFlags(rec) {
+  if (!rec) return [t("export.flag.absent")];
+  const flags = [];
+  if (rec.checkInAt && !rec.checkOutAt) flags.push(t("export.flag.noCheckout"));
+  if (openBreak(rec)) flags.push(t("export.flag.noBreakEnd"));
+  if (rec.outsideGeofence) flags.push(t("export.flag.outsideGeofence"));
+  if (rec.faceReviewRequired) flags.push(t("export.flag.faceReview"));
+  if (rec.deviceReviewRequired) flags.push(t("export.flag.deviceReview"));
+  if (rec.locationReviewRequired) flags.push(t("export.flag.locationReview"));
+  if (rec.timeReviewRequired) flags.push(t("export.flag.timeReview"));
+  return flags;
+}
+
+// where each punch of the day got its time (see timeSync) → { timeSource: "ESPO server, Phone clock", clockSkewSeconds }
+// the skew shown is the largest one of the day, signed (+ = phone ahead)
+export function recordTimeSources(rec) {
+  if (!rec) return { timeSource: "", clockSkewSeconds: null };
+  const punches = [
+    [rec.checkinTimeSource, rec.checkinClockSkewSeconds],
+    ...parseBreaks(rec).flatMap((b) => [
+      [b.startTimeSource, b.startClockSkewSeconds],
+      [b.endTimeSource, b.endClockSkewSeconds],
+    ]),
+    [rec.checkoutTimeSource, rec.checkoutClockSkewSeconds],
+  ];
+
+  const sources = [...new Set(punches.map(([source]) => source).filter(Boolean))];
+  const skews = punches.map(([, skew]) => skew).filter((v) => v != null && Number.isFinite(Number(v))).map(Number);
+  return {
+    timeSource: sources.map((s) => t(`export.timeSource.${s}`)).join(", "),
+    clockSkewSeconds: skews.length ? skews.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a)) : null,
+  };
+}
+
+// times are written on the office clock named in the Time Zone column
+const hhmm = (v, tz) => (v ? formatZonedTime(v, tz) : "");
+const hours = (m) => (m == null ? null : Math.round((m / 60) * 100) / 100);
+
+// "Lunch 13:00–13:45; Tea 16:30–16:40"
+const breaksText = (rec, tz) =>
+  parseBreaks(rec)
+    .map((b) => `${breakLabel(b.type)} ${hhmm(b.startAt, tz)}–${hhmm(b.endAt, tz)}`)
+    .join("; ");
+
+// roster: { officeCode: [{ id: employeeName }] } — roster employees without a record show up as Absent;
+// records of people not on the roster are kept too; late/early/overtime use each office's shift
+export function buildExportRows(
+  records,
+  { officeCodes, from, to, employeesByOffice = {}, shiftFor = getOfficeShift, timeZoneFor = getOfficeTimeZone }
+) {
+  const byKey = new Map();
+  for (const rec of records) byKey.set(`${rec.attendanceDate}__${rec.officeCode}__${rec.employeeName}`, rec);
+
+  const people = new Map(); // "office__name" → { officeCode, employeeName }
+  for (const code of officeCodes) {
+    for (const e of employeesByOffice[code] || []) people.set(`${code}__${e.id}`, { officeCode: code, employeeName: e.id });
+  }
+  for (const rec of records) {
+    people.set(`${rec.officeCode}__${rec.employeeName}`, { officeCode: rec.officeCode, employeeName: rec.employeeName });
+  }
+
+  const sortedPeople = [...people.values()].sort(
+    (a, b) => a.officeCode.localeCompare(b.officeCode) || a.employeeName.localeCompare(b.employeeName)
+  );
+
+  const rows = [];
+  for (const date of datesBetween(from, to)) {
+    for (const p of sortedPeople) {
+      const rec = byKey.get(`${date}__${p.officeCode}__${p.employeeName}`) || null;
+      const t = rec ? computeWorkTime(rec, shiftFor(p.officeCode)) : null;
+      // the zone the punch was recorded in, in case the office has moved zones since
+      const tz = rec?.timeZone || timeZoneFor(p.officeCode);
+      rows.push({
+        date,
+        officeCode: p.officeCode,
+        employeeName: p.employeeName,
+        timeZone: tz,
+        checkIn: hhmm(rec?.[TYPE_META.checkin.timeField], tz),
+        breaks: breaksText(rec, tz),
+        checkOut: hhmm(rec?.[TYPE_META.checkout.timeField], tz),
+        grossHours: hours(t?.grossMinutes),
+        breakMinutes: rec ? t.breakMinutes : null,
+        netHours: hours(t?.netMinutes),
+        lateMinutes: t?.lateMinutes ?? null,
+        earlyLeaveMinutes: t?.earlyLeaveMinutes ?? null,
+        overtimeHours: hours(t?.overtimeMinutes),
+        ...recordTimeSources(rec),
+        flags: recordFlags(rec).join("; "),
+      });
+    }
+  }
+  return rows;
+}
+
+/* -------------------- CSV -------------------- */
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  // text that a spreadsheet would run as a formula ("=HYPERLINK(...)" typed as a name, also
+  // behind a leading tab / CR) is kept as text; numbers (a negative skew) stay numbers
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [columns.map((c) => csvCell(columnLabel(c))).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => csvCell(r[c.key])).join(","));
+  // BOM so Excel reads the names as UTF-8
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* -------------------- XLSX (minimal SpreadsheetML zipped with fflate) -------------------- */
+const xmlEscape = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // control chars are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+// 0 → A, 25 → Z, 26 → AA
+export function columnName(i) {
+  let n = i + 1;
+  let name = "";
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    name = String.fromCharCode(65 + r) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+function sheetXml(rows, columns) {
+  const cell = (col, rowNum, value, numeric) => {
+    const ref = `${columnName(col)}${rowNum}`;
+    if (value == null || value === "") return "";
+    if (numeric && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+  };
+
+  const header = `<row r="1">${columns.map((c, i) => cell(i, 1, columnLabel(c))).join("")}</row>`;
+  const body = rows
+    .map((r, ri) => `<row r="${ri + 2}">${columns.map((c, ci) => cell(ci, ri + 2, r[c.key], c.numeric)).join("")}</row>`)
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${header}${body}</sheetData>` +
+    "</worksheet>"
+  );
+}
+
+export function toXlsx(rows, { columns = EXPORT_COLUMNS, sheetName = "Attendance" } = {}) {
+  const files = {
+    "[Content_Types].xml":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      "</Types>",
+    "_rels/.rels":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>",
+    "xl/workbook.xml":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+      "</workbook>",
+    "xl/_rels/workbook.xml.rels":
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      "</Relationships>",
+    "xl/worksheets/sheet1.xml": sheetXml(rows, columns),
+  };
+
+  const zipped = zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)])));
+  return new Blob([zipped], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+}
+
+/* -------------------- download helper (browser) -------------------- */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
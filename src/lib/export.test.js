@@ -0,0 +1,83 @@
+import { unzipSync, strFromU8 } from "fflate";
+import { describe, expect, it } from "vitest";
+import { buildExportRows, columnName, datesBetween, toCsv, toXlsx } from "./export";
+
+const records = [
+  {
+    attendanceDate: "2026-10-01",
+    officeCode: "AMD01",
+    employeeName: "Ravi Patel",
+    checkInAt: "2026-10-01 03:30:00",
+    lunchOutAt: "2026-10-01 07:30:00",
+    lunchInAt: "2026-10-01 08:00:00",
+    checkOutAt: "2026-10-01 12:45:00",
+    checkinTimeSource: "espo",
+    checkinClockSkewSeconds: 3,
+    checkoutTimeSource: "cache",
+    checkoutClockSkewSeconds: -400,
+    timeReviewRequired: true,
+  },
+  {
+    attendanceDate: "2026-10-02",
+    officeCode: "AMD01",
+    employeeName: "Visitor, \"Temp\"",
+    checkInAt: "2026-10-02 04:00:00",
+    outsideGeofence: true,
+    timeZone: "Asia/Dubai",
+  },
+];
+
+const roster = { AMD01: [{ id: "Ravi Patel", name: "Ravi Patel" }] };
+
+describe("attendance export", () => {
+  it("makes one row per employee per day with office-clock times, hours and flags", () => {
+    expect(datesBetween("2026-09-30", "2026-10-02")).toEqual(["2026-09-30", "2026-10-01", "2026-10-02"]);
+
+    const rows = buildExportRows(records, { officeCodes: ["AMD01"], from: "2026-10-01", to: "2026-10-02", employeesByOffice: roster });
+    expect(rows).toHaveLength(4);
+    expect(rows[0]).toMatchObject({ date: "2026-10-01", employeeName: "Ravi Patel", checkIn: "09:00", checkOut: "18:15", netHours: 8.75, flags: "Clock check" });
+    expect(rows[0]).toMatchObject({ timeSource: "ESPO server, Cached sync", clockSkewSeconds: -400 });
+    expect(rows[0]).toMatchObject({ breaks: "Lunch 13:00–13:30", breakMinutes: 30 });
+    expect(rows[1]).toMatchObject({ date: "2026-10-01", employeeName: "Visitor, \"Temp\"", flags: "Absent", netHours: null, timeSource: "", clockSkewSeconds: null });
+    expect(rows[0]).toMatchObject({ timeZone: "Asia/Kolkata" });
+    // recorded while the visitor's office ran on Gulf time
+    expect(rows[3]).toMatchObject({ date: "2026-10-02", timeZone: "Asia/Dubai", checkIn: "08:00", flags: "No checkout; Outside geofence" });
+  });
+
+  it("writes CSV and a readable xlsx package", () => {
+    const rows = buildExportRows(records, { officeCodes: ["AMD01"], from: "2026-10-02", to: "2026-10-02", employeesByOffice: roster });
+
+    const csv = toCsv(rows);
+    expect(csv.startsWith("\uFEFFDate,Office,Employee,Time Zone")).toBe(true);
+    expect(csv).toContain('"Visitor, ""Temp"""');
+
+    expect(columnName(0)).toBe("A");
+    expect(columnName(27)).toBe("AB");
+
+    return toXlsx(rows)
+      .arrayBuffer()
+      .then((buf) => {
+        const files = unzipSync(new Uint8Array(buf));
+        expect(Object.keys(files)).toContain("xl/workbook.xml");
+        const sheet = strFromU8(files["xl/worksheets/sheet1.xml"]);
+        expect(sheet).toContain("Visitor, &quot;Temp&quot;");
+        expect(sheet).toContain('<c r="E3" t="inlineStr"><is><t xml:space="preserve">08:00</t></is></c>');
+      });
+  });
+
+  it("keeps CSV text that starts like a formula from being run by a spreadsheet", () => {
+    const columns = [{ key: "employee", label: "Employee" }, { key: "skew", label: "Skew" }];
+    const rows = ["=HYPERLINK(\"http://x\")", "+1", "-1", "@SUM(A1)", "\t=1+1", "\r=1+1", "Ravi Patel"].map((employee) => ({ employee, skew: -400 }));
+
+    const lines = toCsv(rows, columns).trim().split("\r\n").slice(1);
+    expect(lines).toEqual([
+      "\"'=HYPERLINK(\"\"http://x\"\")\",-400",
+      "'+1,-400",
+      "'-1,-400",
+      "'@SUM(A1),-400",
+      "'\t=1+1,-400",
+      "\"'\r=1+1\",-400",
+      "Ravi Patel,-400",
+    ]);
+  });
+});
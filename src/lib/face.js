@@ -0,0 +1,132 @@
+import detectorManifest from "@vladmandic/face-api/model/tiny_face_detector_model-weights_manifest.json";
+import detectorWeightsUrl from "@vladmandic/face-api/model/tiny_face_detector_model.bin?url";
+import landmarksManifest from "@vladmandic/face-api/model/face_landmark_68_tiny_model-weights_manifest.json";
+import landmarksWeightsUrl from "@vladmandic/face-api/model/face_landmark_68_tiny_model.bin?url";
+import recognitionManifest from "@vladmandic/face-api/model/face_recognition_model-weights_manifest.json";
+import recognitionWeightsUrl from "@vladmandic/face-api/model/face_recognition_model.bin?url";
+
+/* -------------------- on-device face verification -------------------- */
+// Everything runs in the browser: the models are bundled with the app (and
+// cached by the service worker on first use), no photo leaves the phone for matching.
+// A face is reduced to a 128-number descriptor; two descriptors of the same
+// person are usually < 0.5 apart (euclidean).
+
+export const DESCRIPTOR_LENGTH = 128;
+
+// above this distance the punch is flagged for HR review (not blocked)
+export const FACE_MAX_DISTANCE = Number(import.meta.env.VITE_FACE_MAX_DISTANCE) || 0.55;
+
+const DETECTOR_INPUT_SIZE = 320;
+const DETECTOR_MIN_SCORE = 0.5;
+
+export function faceDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return NaN;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+// 0–100, only meant for humans (HR filters on the review flag)
+export const scoreFromDistance = (d) => (Number.isFinite(d) ? Math.round(Math.max(0, Math.min(1, 1 - d)) * 100) : null);
+
+// result stored with the punch: { score, distance, faces, review, reason }
+export function compareFaces(reference, described) {
+  if (!reference) return { score: null, distance: null, faces: described?.faces ?? 0, review: true, reason: "not enrolled" };
+  if (!described?.descriptor) return { score: null, distance: null, faces: described?.faces ?? 0, review: true, reason: "no face" };
+
+  const distance = Math.round(faceDistance(reference, described.descriptor) * 1000) / 1000;
+  const review = !(distance <= FACE_MAX_DISTANCE) || described.faces > 1;
+  return {
+    score: scoreFromDistance(distance),
+    distance,
+    faces: described.faces,
+    review,
+    reason: !review ? "" : described.faces > 1 ? "several faces" : "low match",
+  };
+}
+
+/* -------------------- models (lazy: ~1.3 MB of JS + 6.7 MB of weights) -------------------- */
+let modelsPromise = null;
+
+async function loadNet(faceapi, net, manifest, weightsUrl) {
+  const res = await fetch(weightsUrl);
+  if (!res.ok) throw new Error(`Face model download failed (HTTP ${res.status})`);
+  const specs = manifest.flatMap((group) => group.weights);
+  net.loadFromWeightMap(faceapi.tf.io.decodeWeights(await res.arrayBuffer(), specs));
+}
+
+export function loadFaceModels() {
+  modelsPromise ??= (async () => {
+    const faceapi = await import("@vladmandic/face-api");
+
+    // GPU when the phone has it, plain JS otherwise
+    const gpu = await faceapi.tf.setBackend("webgl").catch(() => false);
+    if (!gpu) await faceapi.tf.setBackend("cpu");
+    await faceapi.tf.ready();
+
+    await Promise.all([
+      loadNet(faceapi, faceapi.nets.tinyFaceDetector, detectorManifest, detectorWeightsUrl),
+      loadNet(faceapi, faceapi.nets.faceLandmark68TinyNet, landmarksManifest, landmarksWeightsUrl),
+      loadNet(faceapi, faceapi.nets.faceRecognitionNet, recognitionManifest, recognitionWeightsUrl),
+    ]);
+    return faceapi;
+  })().catch((e) => {
+    modelsPromise = null; // allow a retry (e.g. first load while offline)
+    throw e;
+  });
+  return modelsPromise;
+}
+
+// → { faces, descriptor } where descriptor belongs to the largest face (or null)
+export async function describeFace(imageBlob) {
+  const faceapi = await loadFaceModels();
+  const img = await faceapi.bufferToImage(imageBlob);
+
+  const results = await faceapi
+    .detectAllFaces(img, new faceapi.TinyFaceDetectorOptions({ inputSize: DETECTOR_INPUT_SIZE, scoreThreshold: DETECTOR_MIN_SCORE }))
+    .withFaceLandmarks(true)
+    .withFaceDescriptors();
+
+  if (!results.length) return { faces: 0, descriptor: null };
+
+  const area = (r) => r.detection.box.width * r.detection.box.height;
+  const largest = results.reduce((best, r) => (area(r) > area(best) ? r : best));
+  return { faces: results.length, descriptor: Array.from(largest.descriptor) };
+}
+
+// cheap per-frame pass for the liveness challenge → 68 {x, y} points or null
+export async function detectLandmarks(input) {
+  const faceapi = await loadFaceModels();
+  const res = await faceapi
+    .detectSingleFace(input, new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: DETECTOR_MIN_SCORE }))
+    .withFaceLandmarks(true);
+  return res ? res.landmarks.positions.map(({ x, y }) => ({ x, y })) : null;
+}
+
+/* -------------------- reference descriptors cached on the phone (offline punches) -------------------- */
+const FACE_REF_CACHE_KEY = "FACE_REF_CACHE_V1";
+
+function readFaceCache() {
+  try {
+    return JSON.parse(localStorage.getItem(FACE_REF_CACHE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+export function readCachedFaceReference(employeeEspoId) {
+  const d = readFaceCache()[employeeEspoId];
+  return Array.isArray(d) && d.length === DESCRIPTOR_LENGTH ? d : null;
+}
+
+export function writeCachedFaceReference(employeeEspoId, descriptor) {
+  if (!employeeEspoId) return;
+  try {
+    const all = readFaceCache();
+    if (descriptor) all[employeeEspoId] = descriptor;
+    else delete all[employeeEspoId];
+    localStorage.setItem(FACE_REF_CACHE_KEY, JSON.stringify(all));
+  } catch {
+    // ignore (private mode / quota) — verification just needs the network then
+  }
+}
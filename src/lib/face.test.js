@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { compareFaces, FACE_MAX_DISTANCE, faceDistance, scoreFromDistance } from "./face";
+
+const descriptor = (fill) => Array.from({ length: 128 }, () => fill);
+
+describe("face match", () => {
+  it("measures euclidean distance and maps it to a 0–100 score", () => {
+    expect(faceDistance(descriptor(0), descriptor(0.05))).toBeCloseTo(Math.sqrt(128 * 0.0025));
+    expect(faceDistance(descriptor(0), [0, 0])).toBeNaN();
+    expect(scoreFromDistance(0.25)).toBe(75);
+    expect(scoreFromDistance(1.4)).toBe(0);
+  });
+
+  it("flags missing enrolment, missing faces, crowds and weak matches for review", () => {
+    const ref = descriptor(0);
+
+    expect(compareFaces(ref, { faces: 1, descriptor: descriptor(0.01) })).toMatchObject({ review: false, score: 89 });
+    expect(compareFaces(null, { faces: 1, descriptor: ref })).toMatchObject({ review: true, reason: "not enrolled" });
+    expect(compareFaces(ref, { faces: 0, descriptor: null })).toMatchObject({ review: true, reason: "no face" });
+    expect(compareFaces(ref, { faces: 2, descriptor: ref })).toMatchObject({ review: true, reason: "several faces" });
+
+    const far = compareFaces(ref, { faces: 1, descriptor: descriptor((FACE_MAX_DISTANCE + 0.1) / Math.sqrt(128)) });
+    expect(far).toMatchObject({ review: true, reason: "low match" });
+  });
+});
@@ -0,0 +1,162 @@
+import { distanceMeters, formatDistance, geofenceCenter, getOfficeGeofence } from "./geofence";
+import { t } from "./i18n";
+
+/* -------------------- reverse geocoding (address shown and saved with a punch) -------------------- */
+// VITE_GEOCODER:
+//   "nominatim"    (default) – public nominatim.openstreetmap.org, at most 1 request per second
+//   "self-hosted"  – a Nominatim instance at VITE_GEOCODER_URL (e.g. https://geo.example.com),
+//                    VITE_GEOCODER_MIN_INTERVAL_MS apart (default 250)
+//   "none"         – never geocode
+// Addresses are cached per ~100 m square across sessions, so a phone in the office does not ask
+// again every day. Positions that arrive faster than the provider may be asked are coalesced:
+// only the newest one is looked up. Without an address the nearest office names the place: the
+// punch stores its code and distance (locationSource "nearestOffice"), the screen a localized label.
+
+const env = import.meta.env;
+
+const PUBLIC_NOMINATIM = "https://nominatim.openstreetmap.org";
+const FAILURE_BACKOFF_MS = 30 * 1000;
+
+// provider = { name, minIntervalMs, reverse(lat, lng) → Promise<address string> }
+export function createNominatimProvider({ name = "nominatim", baseUrl = PUBLIC_NOMINATIM, minIntervalMs = 1100, fetchImpl = globalThis.fetch } = {}) {
+  const root = String(baseUrl).replace(/\/+$/, "");
+  return {
+    name,
+    minIntervalMs,
+    async reverse(lat, lng) {
+      const res = await fetchImpl(`${root}/reverse?format=jsonv2&lat=${lat}&lon=${lng}`, { headers: { Accept: "application/json" } });
+      if (!res.ok) throw new Error(`Reverse geocode failed (HTTP ${res.status})`);
+      const data = await res.json();
+      return data?.display_name || "";
+    },
+  };
+}
+
+export const NO_GEOCODER = { name: "none", minIntervalMs: 0, reverse: async () => "" };
+
+export function geocoderFromEnv(vars = env) {
+  const kind = String(vars.VITE_GEOCODER || "nominatim").trim().toLowerCase();
+  if (kind === "none") return NO_GEOCODER;
+  if (kind === "self-hosted") {
+    const baseUrl = String(vars.VITE_GEOCODER_URL || "").trim();
+    if (!baseUrl) {
+      console.warn("[GEOCODE] VITE_GEOCODER=self-hosted needs VITE_GEOCODER_URL, geocoding is off");
+      return NO_GEOCODER;
+    }
+    const interval = Number(vars.VITE_GEOCODER_MIN_INTERVAL_MS);
+    return createNominatimProvider({ name: "self-hosted", baseUrl, minIntervalMs: Number.isFinite(interval) && interval >= 0 ? interval : 250 });
+  }
+  return createNominatimProvider();
+}
+
+/* -------------------- address cache (persisted) -------------------- */
+const GEOCODE_CACHE_KEY = "GEOCODE_CACHE_V1";
+const CACHE_MAX_ENTRIES = 200;
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 3 decimals ≈ 110 m of latitude: close enough for a street address
+export const bucketKey = (lat, lng) => `${Number(lat).toFixed(3)},${Number(lng).toFixed(3)}`;
+
+// localStorage-backed { get, put }; storage is injectable for tests
+export function createAddressCache({ storage = globalThis.localStorage, now = () => Date.now() } = {}) {
+  const read = () => {
+    try {
+      return JSON.parse(storage?.getItem(GEOCODE_CACHE_KEY) || "{}") || {};
+    } catch {
+      return {};
+    }
+  };
+
+  return {
+    get(key) {
+      const hit = read()[key];
+      return hit && now() - hit.at < CACHE_MAX_AGE_MS ? hit.address : null;
+    },
+
+    put(key, address) {
+      try {
+        const all = { ...read(), [key]: { address, at: now() } };
+        // keep the newest entries only
+        const kept = Object.entries(all)
+          .sort((a, b) => b[1].at - a[1].at)
+          .slice(0, CACHE_MAX_ENTRIES);
+        storage?.setItem(GEOCODE_CACHE_KEY, JSON.stringify(Object.fromEntries(kept)));
+      } catch {
+        // ignore (private mode / quota) — the address is just looked up again
+      }
+    },
+  };
+}
+
+/* -------------------- throttled lookups -------------------- */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// reverse(lat, lng) → address, "" when the provider has none, or null when a newer position
+// was asked for before this one's turn came (the caller keeps its previous address)
+export function createGeocoder({ provider = geocoderFromEnv(), cache = createAddressCache(), now = () => Date.now(), wait = sleep } = {}) {
+  let chain = Promise.resolve();
+  let nextAt = 0;
+  let latest = 0;
+
+  return {
+    provider,
+
+    reverse(lat, lng) {
+      const key = bucketKey(lat, lng);
+      const cached = cache.get(key);
+      if (cached) return Promise.resolve(cached);
+      if (provider === NO_GEOCODER) return Promise.resolve("");
+
+      const ticket = ++latest;
+      const run = chain.then(async () => {
+        if (ticket !== latest) return null;
+        const delay = nextAt - now();
+        if (delay > 0) await wait(delay);
+        if (ticket !== latest) return null;
+
+        const again = cache.get(key);
+        if (again) return again;
+
+        nextAt = now() + provider.minIntervalMs;
+        try {
+          const address = await provider.reverse(lat, lng);
+          if (address) cache.put(key, address);
+          return address;
+        } catch (e) {
+          // offline or refused (e.g. 429): leave the provider alone for a while
+          nextAt = now() + FAILURE_BACKOFF_MS;
+          throw e;
+        }
+      });
+      chain = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+let shared = null;
+export function reverseGeocode(lat, lng) {
+  shared ??= createGeocoder();
+  return shared.reverse(lat, lng);
+}
+
+/* -------------------- fallback: nearest known office -------------------- */
+// { office, distance } of the closest office with coordinates, or null
+export function nearestOffice(offices, point) {
+  if (point?.lat == null || point?.lng == null) return null;
+  let best = null;
+  for (const office of offices || []) {
+    const center = geofenceCenter(getOfficeGeofence(office.id, office));
+    if (!center) continue;
+    const distance = distanceMeters(point, center);
+    if (!best || distance < best.distance) best = { office, distance };
+  }
+  return best;
+}
+
+// saved with the punch: "AMD01 (334 m)", the same whatever language the phone runs in
+export const nearestOfficeNote = (nearest) => (nearest ? `${nearest.office.id} (${formatDistance(nearest.distance)})` : "");
+
+// shown on screen: "Near AMD01 — Ahmedabad (334 m)", or "" without a nearest office
+export const nearestOfficeLabel = (nearest) =>
+  nearest ? t("location.nearOffice", { office: nearest.office.name || nearest.office.id, distance: formatDistance(nearest.distance) }) : "";
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { bucketKey, createAddressCache, createGeocoder, createNominatimProvider, geocoderFromEnv, nearestOffice, nearestOfficeLabel, nearestOfficeNote, NO_GEOCODER } from "./geocode";
+
+const memoryStorage = () => {
+  const data = new Map();
+  return { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)) };
+};
+
+// fake clock: wait() moves time forward instead of sleeping
+function fakeTime() {
+  let at = 0;
+  return { now: () => at, wait: async (ms) => void (at += ms) };
+}
+
+function countingProvider(minIntervalMs = 1000) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      name: "test",
+      minIntervalMs,
+      reverse: async (lat, lng) => {
+        calls.push([lat, lng]);
+        return `Street at ${lat},${lng}`;
+      },
+    },
+  };
+}
+
+describe("reverse geocoding", () => {
+  it("picks the provider from the environment", () => {
+    expect(geocoderFromEnv({}).name).toBe("nominatim");
+    expect(geocoderFromEnv({ VITE_GEOCODER: "none" })).toBe(NO_GEOCODER);
+    expect(geocoderFromEnv({ VITE_GEOCODER: "self-hosted", VITE_GEOCODER_URL: "https://geo.example.com/" })).toMatchObject({ name: "self-hosted", minIntervalMs: 250 });
+  });
+
+  it("asks a self-hosted Nominatim", async () => {
+    let url = "";
+    const provider = createNominatimProvider({
+      baseUrl: "https://geo.example.com/",
+      fetchImpl: async (u) => {
+        url = u;
+        return { ok: true, json: async () => ({ display_name: "CG Road, Ahmedabad" }) };
+      },
+    });
+    expect(await provider.reverse(23.0225, 72.5714)).toBe("CG Road, Ahmedabad");
+    expect(url).toBe("https://geo.example.com/reverse?format=jsonv2&lat=23.0225&lon=72.5714");
+  });
+
+  it("caches addresses per ~100 m square across sessions", async () => {
+    const storage = memoryStorage();
+    const { provider, calls } = countingProvider();
+    const first = createGeocoder({ provider, cache: createAddressCache({ storage }), ...fakeTime() });
+    await first.reverse(23.0221, 72.5711);
+    await first.reverse(23.0218, 72.5713);
+    expect(bucketKey(23.0221, 72.5711)).toBe(bucketKey(23.0218, 72.5713));
+
+    const nextSession = createGeocoder({ provider, cache: createAddressCache({ storage }), ...fakeTime() });
+    expect(await nextSession.reverse(23.0222, 72.5709)).toBe("Street at 23.0221,72.5711");
+    expect(calls).toHaveLength(1);
+  });
+
+  it("keeps to the provider's rate and only looks up the newest of a burst", async () => {
+    const time = fakeTime();
+    const { provider, calls } = countingProvider(1000);
+    const geocoder = createGeocoder({ provider, cache: createAddressCache({ storage: memoryStorage() }), ...time });
+
+    const burst = [geocoder.reverse(23.01, 72.5), geocoder.reverse(23.02, 72.5), geocoder.reverse(23.03, 72.5)];
+    expect(await Promise.all(burst)).toEqual([null, null, "Street at 23.03,72.5"]);
+
+    await geocoder.reverse(23.04, 72.5);
+    expect(calls).toEqual([
+      [23.03, 72.5],
+      [23.04, 72.5],
+    ]);
+    expect(time.now()).toBe(1000);
+  });
+
+  it("labels the position with the nearest office when there is no address", () => {
+    const offices = [
+      { id: "AMD01", name: "AMD01 — Ahmedabad", geofence: { lat: 23.0225, lng: 72.5714, radius: 200 } },
+      { id: "MUM01", name: "MUM01 — Mumbai", geofence: { lat: 19.076, lng: 72.8777, radius: 200 } },
+      { id: "X", name: "X" },
+    ];
+    const nearest = nearestOffice(offices, { lat: 23.0255, lng: 72.5714 });
+    expect(nearest.office.id).toBe("AMD01");
+    expect(nearestOfficeLabel(nearest)).toBe("Near AMD01 — Ahmedabad (334 m)");
+    // what is saved does not depend on the app language
+    expect(nearestOfficeNote(nearest)).toBe("AMD01 (334 m)");
+
+    expect(nearestOffice(offices, { lat: null, lng: null })).toBeNull();
+    expect(nearestOffice([{ id: "X", name: "X" }], { lat: 23, lng: 72 })).toBeNull();
+    expect(nearestOfficeLabel(null)).toBe("");
+    expect(nearestOfficeNote(null)).toBe("");
+  });
+});
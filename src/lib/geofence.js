@@ -0,0 +1,131 @@
+/* -------------------- office geofences -------------------- */
+// Come from the office master record (latitude / longitude / geofenceRadius),
+// or per office code through VITE_OFFICE_GEOFENCES (JSON), e.g.
+//   {"MUM01":{"lat":19.0760,"lng":72.8777,"radius":200},
+//    "AMD01":{"polygon":[[23.02,72.57],[23.03,72.57],[23.03,72.58]]}}
+// Radius is in meters; polygon points are [lat, lng].
+
+// distance in meters between 2 coords
+export function distanceMeters(a, b) {
+  if (!a || !b) return Infinity;
+
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+
+  const s =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * R * Math.asin(Math.sqrt(s));
+}
+
+// { lat, lng, radius } or { polygon: [[lat, lng], ...] } → normalized fence (or null)
+export function normalizeFence(f) {
+  const polygon = Array.isArray(f?.polygon)
+    ? f.polygon.map(([la, ln]) => ({ lat: Number(la), lng: Number(ln) })).filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng))
+    : null;
+
+  if (polygon && polygon.length >= 3) return { polygon };
+
+  if (f?.lat != null && f?.lng != null && Number.isFinite(Number(f.lat)) && Number.isFinite(Number(f.lng))) {
+    return {
+      lat: Number(f.lat),
+      lng: Number(f.lng),
+      radius: Number(f.radius) > 0 ? Number(f.radius) : 200,
+    };
+  }
+
+  return null;
+}
+
+function parseFences(raw) {
+  try {
+    const obj = JSON.parse(raw || "{}");
+    const out = {};
+    for (const [code, f] of Object.entries(obj || {})) {
+      const fence = normalizeFence(f);
+      if (fence) out[code.trim().toLowerCase()] = fence;
+    }
+    return out;
+  } catch (e) {
+    console.warn("[GEOFENCE] invalid VITE_OFFICE_GEOFENCES:", e?.message || e);
+    return {};
+  }
+}
+
+const FENCES = parseFences(import.meta.env.VITE_OFFICE_GEOFENCES);
+
+// "block" = refuse punches outside the fence, "flag" = save them with a flag
+export const GEOFENCE_MODE = (import.meta.env.VITE_GEOFENCE_MODE || "flag").trim().toLowerCase() === "block" ? "block" : "flag";
+
+// the office master record wins; VITE_OFFICE_GEOFENCES covers offices without coordinates
+export function getOfficeGeofence(officeCode, office) {
+  return office?.geofence || FENCES[String(officeCode || "").trim().toLowerCase()] || null;
+}
+
+/* -------------------- polygon helpers (local flat projection, fine for office-sized areas) -------------------- */
+function project(origin, p) {
+  const k = (Math.PI / 180) * 6371000;
+  return { x: (p.lng - origin.lng) * k * Math.cos((origin.lat * Math.PI) / 180), y: (p.lat - origin.lat) * k };
+}
+
+function pointInPolygon(pt, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = a.lat > pt.lat !== b.lat > pt.lat && pt.lng < ((b.lng - a.lng) * (pt.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function distanceToPolygonEdge(pt, polygon) {
+  let best = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = project(pt, polygon[j]);
+    const b = project(pt, polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return best;
+}
+
+export function geofenceCenter(fence) {
+  if (!fence) return null;
+  if (!fence.polygon) return { lat: fence.lat, lng: fence.lng };
+  const n = fence.polygon.length;
+  return {
+    lat: fence.polygon.reduce((s, p) => s + p.lat, 0) / n,
+    lng: fence.polygon.reduce((s, p) => s + p.lng, 0) / n,
+  };
+}
+
+/* -------------------- evaluate a position against a fence -------------------- */
+// distance = meters from the office centre (circle) or from the nearest edge (polygon, 0 inside).
+export function checkGeofence(fence, point) {
+  if (!fence || !point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return null;
+
+  if (fence.polygon) {
+    const inside = pointInPolygon(point, fence.polygon);
+    return { inside, distance: inside ? 0 : Math.round(distanceToPolygonEdge(point, fence.polygon)) };
+  }
+
+  const distance = Math.round(distanceMeters({ lat: fence.lat, lng: fence.lng }, point));
+  return { inside: distance <= fence.radius, distance };
+}
+
+export function formatDistance(m) {
+  if (!Number.isFinite(m)) return "--";
+  if (m < 1000) return `${Math.round(m)} m`;
+  return `${(m / 1000).toFixed(1)} km`;
+}
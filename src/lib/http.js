@@ -0,0 +1,28 @@
+/* -------------------- fetch json with timeout -------------------- */
+export async function fetchJsonWithTimeout(url, ms = 8000, headers = {}, init = {}) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), ms);
+  try {
+    const res = await fetch(url, {
+      ...init,
+      headers: { Accept: "application/json", ...headers, ...(init.headers || {}) },
+      cache: "no-store",
+      signal: ctrl.signal,
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      const err = new Error(`HTTP ${res.status} @ ${url}${text ? ` — ${text}` : ""}`);
+      err.status = res.status;
+      throw err;
+    }
+
+    const ct = res.headers.get("content-type") || "";
+    if (ct.includes("application/json")) return await res.json();
+
+    const txt = await res.text().catch(() => "");
+    return txt ? JSON.parse(txt) : {};
+  } finally {
+    clearTimeout(t);
+  }
+}
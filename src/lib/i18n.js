@@ -0,0 +1,80 @@
+import en from "../locales/en.json";
+import gu from "../locales/gu.json";
+import hi from "../locales/hi.json";
+
+/* -------------------- UI language -------------------- */
+// Message catalogs live in src/locales/<code>.json as flat "area.name" keys. English is
+// complete and is the fallback for any key a translation is missing.
+// The choice is per device (localStorage); the service worker has no storage and
+// uses VITE_DEFAULT_LANGUAGE for the messages it produces.
+
+export const LANGUAGES = [
+  { code: "en", name: "English", locale: "en-IN" },
+  { code: "hi", name: "हिन्दी", locale: "hi-IN" },
+  { code: "gu", name: "ગુજરાતી", locale: "gu-IN" },
+];
+
+const CATALOGS = { en, hi, gu };
+const STORAGE_KEY = "LANGUAGE_V1";
+
+const supported = (code) => (LANGUAGES.some((l) => l.code === code) ? code : null);
+
+export const DEFAULT_LANGUAGE = supported(String(import.meta.env.VITE_DEFAULT_LANGUAGE || "").trim().toLowerCase()) || "en";
+
+function readStoredLanguage() {
+  try {
+    return supported(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+let language = readStoredLanguage() || DEFAULT_LANGUAGE;
+const listeners = new Set();
+
+export const getLanguage = () => language;
+
+// BCP 47 tag for Intl formatting of the current language ("hi-IN")
+export const currentLocale = () => LANGUAGES.find((l) => l.code === language).locale;
+
+export function setLanguage(code) {
+  const next = supported(code);
+  if (!next || next === language) return;
+  language = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, next);
+  } catch {
+    // private mode — the choice lasts until reload
+  }
+  if (typeof document !== "undefined") document.documentElement.lang = next;
+  listeners.forEach((fn) => fn());
+}
+
+// for useSyncExternalStore(subscribeLanguage, getLanguage)
+export function subscribeLanguage(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/* -------------------- lookup -------------------- */
+// t("queue.saved", { action: "Checkin" }) — {name} placeholders are filled from params;
+// an unknown key comes back as-is so a missing entry shows up instead of a blank
+export function t(key, params) {
+  const text = CATALOGS[language][key] ?? CATALOGS.en[key] ?? key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] == null ? m : String(params[name])));
+}
+
+/* -------------------- locale-aware dates -------------------- */
+// "2026-10-19" → "19 Oct 2026" / "19 अक्तू॰ 2026"; anything else is returned unchanged
+export function formatDate(dateStr, options = { day: "numeric", month: "short", year: "numeric" }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(dateStr))) return dateStr;
+  return new Intl.DateTimeFormat(currentLocale(), { ...options, timeZone: "UTC" }).format(new Date(`${dateStr}T00:00:00Z`));
+}
+
+// ["Sun", "Mon", …] in the current language, Sunday first
+export function weekdayNames() {
+  const fmt = new Intl.DateTimeFormat(currentLocale(), { weekday: "short", timeZone: "UTC" });
+  // 2026-10-18 is a Sunday
+  return Array.from({ length: 7 }, (_, i) => fmt.format(new Date(Date.UTC(2026, 9, 18 + i))));
+}
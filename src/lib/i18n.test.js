@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it } from "vitest";
+import en from "../locales/en.json";
+import gu from "../locales/gu.json";
+import hi from "../locales/hi.json";
+import { breakLabel, presenceLabel, punchLabel } from "./attendance";
+import { formatDate, getLanguage, setLanguage, subscribeLanguage, t, weekdayNames } from "./i18n";
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+describe("i18n", () => {
+  afterEach(() => setLanguage("en"));
+
+  it("looks up English by default and fills placeholders", () => {
+    expect(getLanguage()).toBe("en");
+    expect(t("fence.inside", { office: "AMD01" })).toBe("✅ You are at AMD01");
+    expect(t("fence.inside")).toBe("✅ You are at {office}");
+    expect(t("no.such.key")).toBe("no.such.key");
+    expect(punchLabel("breakStart", "tea")).toBe("Tea Break Start");
+    expect(punchLabel("checkout")).toBe("Checkout");
+    expect(breakLabel("unknown")).toBe("Break");
+  });
+
+  it("switches language for every label and tells subscribers", () => {
+    const seen = [];
+    const unsubscribe = subscribeLanguage(() => seen.push(getLanguage()));
+
+    setLanguage("hi");
+    expect(punchLabel("breakStart", "tea")).toBe("चाय ब्रेक शुरू");
+    expect(presenceLabel("break")).toBe("ब्रेक पर");
+    setLanguage("gu");
+    expect(punchLabel("checkin")).toBe("ચેક-ઇન");
+    setLanguage("fr");
+    expect(getLanguage()).toBe("gu");
+
+    unsubscribe();
+    expect(seen).toEqual(["hi", "gu"]);
+  });
+
+  it("formats dates for the current locale", () => {
+    expect(formatDate("2026-10-19")).toBe("19 Oct 2026");
+    expect(formatDate("--")).toBe("--");
+    expect(weekdayNames()[1]).toBe("Mon");
+    setLanguage("hi");
+    expect(weekdayNames()).toHaveLength(7);
+    expect(formatDate("2026-10-19")).not.toBe("19 Oct 2026");
+  });
+
+  it("has every English key, with the same placeholders, in each translation", () => {
+    for (const catalog of [hi, gu]) {
+      expect(Object.keys(catalog).sort()).toEqual(Object.keys(en).sort());
+      for (const [key, text] of Object.entries(en)) expect([key, placeholders(catalog[key])]).toEqual([key, placeholders(text)]);
+    }
+  });
+});
@@ -0,0 +1,38 @@
+/* -------------------- tiny IndexedDB wrapper (page + service worker) -------------------- */
+const DB_NAME = "attendance-pwa";
+const DB_VERSION = 2;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("punches")) {
+        db.createObjectStore("punches", { keyPath: "id", autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains("settings")) {
+        db.createObjectStore("settings"); // small key → value pairs the service worker needs too
+      }
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error("IndexedDB open failed"));
+  });
+}
+
+// Runs `fn(store)` in one transaction and resolves with the result of the request it returns.
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error || new Error("IndexedDB transaction failed"));
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,99 @@
+import { t } from "./i18n";
+
+/* -------------------- liveness challenge (anti photo-of-a-photo) -------------------- */
+// Fed with the 68 face landmarks of consecutive video frames. A printed photo
+// or a phone screen held up to the camera cannot follow a random instruction:
+//   turnLeft / turnRight – look straight, turn the head, look straight again
+//   blink                – eyes open, closed, open again
+// Landmark indices: jaw 0–16, nose tip 30, eyes 36–41 and 42–47 (image left/right).
+
+// "on" = capture only after the challenge, "off" = plain camera
+export const LIVENESS_MODE = String(import.meta.env.VITE_LIVENESS_MODE || "off").trim().toLowerCase() === "on" ? "on" : "off";
+
+export const LIVENESS_CHALLENGES = ["turnLeft", "turnRight", "blink"];
+
+// on-screen hint per challenge and phase ("liveness.<challenge>.<phase>" in the catalogs)
+export const livenessPrompt = (challenge, phase) => t(`liveness.${challenge}.${phase}`);
+
+const FRONTAL_YAW = 0.06;
+const TURNED_YAW = 0.14;
+const BLINK_CLOSED = 0.7; // of the open-eye ratio
+const BLINK_REOPEN = 0.88;
+
+export const pickChallenge = (rand = Math.random) => LIVENESS_CHALLENGES[Math.floor(rand() * LIVENESS_CHALLENGES.length)];
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// head yaw as a fraction of face width: 0 = frontal, > 0 = turned to the person's left
+// (their left is the image's right for both front and back cameras)
+export function headYaw(points) {
+  const left = points[0];
+  const right = points[16];
+  const nose = points[30];
+  const width = right.x - left.x;
+  if (!(width > 0)) return NaN;
+  return (nose.x - (left.x + right.x) / 2) / width;
+}
+
+function eyeRatio(p) {
+  return (dist(p[1], p[5]) + dist(p[2], p[4])) / (2 * dist(p[0], p[3]));
+}
+
+// eye aspect ratio, averaged over both eyes (~0.3 open, ~0.1 closed)
+export function eyeAspectRatio(points) {
+  return (eyeRatio(points.slice(36, 42)) + eyeRatio(points.slice(42, 48))) / 2;
+}
+
+/* -------------------- per-challenge state machine -------------------- */
+// phases: "waiting" (look straight / eyes open) → "acting" (turn / close eyes)
+//         → "returning" (look back / open eyes) → "done"
+// tracker.update(points | null) → { passed, phase }
+export function createLivenessTracker(challenge, { now = () => Date.now() } = {}) {
+  const startedAt = now();
+  let frames = 0;
+  let phase = "waiting";
+  let openEar = 0;
+
+  const next = {
+    waiting: "acting",
+    acting: "returning",
+    returning: "done",
+  };
+
+  const blinkStep = (points) => {
+    const ear = eyeAspectRatio(points);
+    if (!Number.isFinite(ear)) return false;
+    if (phase === "waiting") {
+      openEar = Math.max(openEar * 0.9, ear); // follow the open-eye level, forget old peaks
+      return frames >= 3;
+    }
+    if (phase === "acting") return ear < openEar * BLINK_CLOSED;
+    return ear > openEar * BLINK_REOPEN;
+  };
+
+  const turnStep = (points) => {
+    const yaw = headYaw(points);
+    if (!Number.isFinite(yaw)) return false;
+    if (phase === "acting") return challenge === "turnLeft" ? yaw > TURNED_YAW : yaw < -TURNED_YAW;
+    return Math.abs(yaw) < FRONTAL_YAW;
+  };
+
+  const update = (points) => {
+    if (phase !== "done" && points) {
+      frames += 1;
+      if ((challenge === "blink" ? blinkStep : turnStep)(points)) phase = next[phase];
+    }
+    return { passed: phase === "done", phase };
+  };
+
+  // stored next to the selfie
+  const result = (extra = {}) => ({
+    challenge,
+    passed: phase === "done",
+    frames,
+    durationMs: now() - startedAt,
+    ...extra,
+  });
+
+  return { update, result };
+}
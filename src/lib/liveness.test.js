@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { createLivenessTracker, eyeAspectRatio, headYaw } from "./liveness";
+
+// 68 landmarks: jaw 0..16 from x=0 to x=100, nose tip at `noseX`, eyes with the given openness
+function face({ noseX = 50, eyeOpen = 10 } = {}) {
+  const pts = Array.from({ length: 68 }, (_, i) => ({ x: i <= 16 ? (i * 100) / 16 : 50, y: 50 }));
+  pts[30] = { x: noseX, y: 60 };
+  for (const [start, cx] of [[36, 30], [42, 70]]) {
+    const w = 16;
+    pts[start] = { x: cx - w, y: 40 };
+    pts[start + 1] = { x: cx - 5, y: 40 - eyeOpen / 2 };
+    pts[start + 2] = { x: cx + 5, y: 40 - eyeOpen / 2 };
+    pts[start + 3] = { x: cx + w, y: 40 };
+    pts[start + 4] = { x: cx + 5, y: 40 + eyeOpen / 2 };
+    pts[start + 5] = { x: cx - 5, y: 40 + eyeOpen / 2 };
+  }
+  return pts;
+}
+
+const run = (tracker, frames) => frames.map((f) => tracker.update(f)).at(-1);
+
+describe("liveness", () => {
+  it("measures yaw and eye openness from landmarks", () => {
+    expect(headYaw(face())).toBe(0);
+    expect(headYaw(face({ noseX: 70 }))).toBeCloseTo(0.2);
+    expect(eyeAspectRatio(face({ eyeOpen: 10 }))).toBeCloseTo(10 / 32);
+  });
+
+  it("passes a head turn only after straight → turned → straight", () => {
+    const t = createLivenessTracker("turnLeft");
+    expect(run(t, [face(), face({ noseX: 30 })])).toEqual({ passed: false, phase: "acting" }); // wrong way
+    expect(run(t, [face({ noseX: 70 }), face()])).toEqual({ passed: true, phase: "done" });
+    expect(t.result()).toMatchObject({ challenge: "turnLeft", passed: true, frames: 4 });
+  });
+
+  it("does not pass a still photo", () => {
+    const t = createLivenessTracker("blink");
+    expect(run(t, Array.from({ length: 30 }, () => face()))).toMatchObject({ passed: false });
+    expect(run(t, [null, null])).toMatchObject({ passed: false });
+  });
+
+  it("passes a blink: open → closed → open", () => {
+    const t = createLivenessTracker("blink");
+    expect(run(t, [face(), face(), face(), face(), face({ eyeOpen: 3 }), face()])).toEqual({ passed: true, phase: "done" });
+  });
+});
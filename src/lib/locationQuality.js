@@ -0,0 +1,87 @@
+import { distanceMeters } from "./geofence";
+
+/* -------------------- how far a GPS fix can be trusted -------------------- */
+// Every fix from watchPosition / getCurrentPosition gets a verdict that is stored with the punch:
+//   "good"  – fresh and accurate enough
+//   "poor"  – accuracy worse than VITE_LOCATION_MAX_ACCURACY meters (default 100)
+//   "stale" – older than VITE_LOCATION_MAX_AGE_SECONDS (default 60); never shown or punched with
+//   "jump"  – reached from the previous fix faster than VITE_LOCATION_MAX_SPEED_KMH (default 250),
+//             or the phone itself reports such a speed (typical of mock-location apps); sticks for
+//             JUMP_MEMORY_MS so a spoofer cannot just wait for the next fix
+//   "none"  – no location at all
+// VITE_LOCATION_MODE: "flag" (default) = save the punch with the verdict, "block" = refuse anything but "good"
+
+const env = import.meta.env;
+
+export const LOCATION_MAX_ACCURACY = Number(env.VITE_LOCATION_MAX_ACCURACY) || 100;
+export const LOCATION_MAX_AGE_SECONDS = Number(env.VITE_LOCATION_MAX_AGE_SECONDS) || 60;
+export const LOCATION_MAX_SPEED_KMH = Number(env.VITE_LOCATION_MAX_SPEED_KMH) || 250;
+export const LOCATION_MODE = (env.VITE_LOCATION_MODE || "flag").trim().toLowerCase() === "block" ? "block" : "flag";
+
+const JUMP_MEMORY_MS = 10 * 60 * 1000;
+
+// GeolocationPosition → plain fix (the browser object cannot be stored or spread)
+export function toFix(pos) {
+  const c = pos?.coords;
+  const lat = Number(c?.latitude);
+  const lng = Number(c?.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  const num = (v) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  return { lat, lng, accuracy: num(c.accuracy), speed: num(c.speed), timestamp: num(pos.timestamp) ?? Date.now() };
+}
+
+// km/h needed to get from `prev` to `fix`; movement inside both accuracy circles is GPS jitter
+export function jumpSpeedKmh(prev, fix) {
+  if (!prev || !fix) return 0;
+  const meters = distanceMeters(prev, fix) - (prev.accuracy || 0) - (fix.accuracy || 0);
+  if (meters <= 0) return 0;
+  const seconds = Math.max(1, (fix.timestamp - prev.timestamp) / 1000);
+  return Math.round((meters / seconds) * 3.6);
+}
+
+// → { quality, accuracy, ageSeconds, jumpKmh }
+export function assessFix(fix, { now = Date.now(), previous = null, recentJumpKmh = 0 } = {}) {
+  if (!fix) return { quality: "none", accuracy: null, ageSeconds: null, jumpKmh: 0 };
+
+  const accuracy = fix.accuracy == null ? null : Math.round(fix.accuracy);
+  const ageSeconds = Math.max(0, Math.round((now - fix.timestamp) / 1000));
+  const reportedKmh = fix.speed != null ? Math.round(fix.speed * 3.6) : 0;
+  const jumpKmh = Math.max(jumpSpeedKmh(previous, fix), reportedKmh, recentJumpKmh);
+
+  const quality =
+    ageSeconds > LOCATION_MAX_AGE_SECONDS
+      ? "stale"
+      : jumpKmh > LOCATION_MAX_SPEED_KMH
+        ? "jump"
+        : accuracy == null || accuracy > LOCATION_MAX_ACCURACY
+          ? "poor"
+          : "good";
+  return { quality, accuracy, ageSeconds, jumpKmh };
+}
+
+// successive fixes of one phone: remembers the last usable fix and any recent jump
+export function createFixTracker({ now = () => Date.now() } = {}) {
+  let previous = null;
+  let jump = null; // { at, kmh }
+
+  return {
+    // → fix + its assessment; stale fixes are assessed but not remembered
+    push(fix) {
+      const at = now();
+      const recentJumpKmh = jump && at - jump.at < JUMP_MEMORY_MS ? jump.kmh : 0;
+      const assessment = assessFix(fix, { now: at, previous, recentJumpKmh });
+      if (!fix || assessment.quality === "stale") return { ...fix, ...assessment };
+
+      if (assessment.jumpKmh > LOCATION_MAX_SPEED_KMH && assessment.jumpKmh !== recentJumpKmh) {
+        jump = { at, kmh: assessment.jumpKmh };
+      }
+      previous = fix;
+      return { ...fix, ...assessment };
+    },
+
+    reset() {
+      previous = null;
+      jump = null;
+    },
+  };
+}
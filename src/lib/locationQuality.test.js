@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { assessFix, createFixTracker, jumpSpeedKmh, toFix } from "./locationQuality";
+
+const NOW = Date.parse("2026-10-19T04:00:00Z");
+const fixAt = (lat, lng, secondsAgo = 0, accuracy = 15, speed = null) => ({ lat, lng, accuracy, speed, timestamp: NOW - secondsAgo * 1000 });
+
+describe("location quality", () => {
+  it("reads the browser position without dropping accuracy, speed and time", () => {
+    const pos = { coords: { latitude: 23.0225, longitude: 72.5714, accuracy: 12.4, speed: null }, timestamp: NOW };
+    expect(toFix(pos)).toEqual({ lat: 23.0225, lng: 72.5714, accuracy: 12.4, speed: null, timestamp: NOW });
+    expect(toFix({ coords: { latitude: 123, longitude: 0 } })).toBeNull();
+  });
+
+  it("grades accuracy and age", () => {
+    expect(assessFix(fixAt(23.0225, 72.5714), { now: NOW })).toMatchObject({ quality: "good", accuracy: 15 });
+    expect(assessFix(fixAt(23.0225, 72.5714, 0, 850), { now: NOW }).quality).toBe("poor");
+    expect(assessFix(fixAt(23.0225, 72.5714, 0, null), { now: NOW }).quality).toBe("poor");
+    expect(assessFix(fixAt(23.0225, 72.5714, 600), { now: NOW })).toMatchObject({ quality: "stale", ageSeconds: 600 });
+    expect(assessFix(null)).toMatchObject({ quality: "none", accuracy: null });
+  });
+
+  it("ignores jitter but catches impossible jumps", () => {
+    const office = fixAt(23.0225, 72.5714, 10);
+    expect(jumpSpeedKmh(office, fixAt(23.0226, 72.5715))).toBe(0);
+
+    // Ahmedabad → Mumbai in 10 s
+    const mumbai = fixAt(19.076, 72.8777);
+    expect(jumpSpeedKmh(office, mumbai)).toBeGreaterThan(100000);
+    expect(assessFix(mumbai, { now: NOW, previous: office }).quality).toBe("jump");
+
+    // a mock-location app reporting its own impossible speed
+    expect(assessFix(fixAt(23.0225, 72.5714, 0, 15, 120), { now: NOW }).quality).toBe("jump");
+  });
+
+  it("remembers a jump for a while and skips stale fixes", () => {
+    let now = NOW;
+    const tracker = createFixTracker({ now: () => now });
+    expect(tracker.push(fixAt(19.076, 72.8777)).quality).toBe("good");
+    expect(tracker.push({ ...fixAt(23.0225, 72.5714), timestamp: NOW + 5000 }).quality).toBe("jump");
+
+    now = NOW + 60 * 1000;
+    expect(tracker.push({ ...fixAt(23.0225, 72.5714), timestamp: now }).quality).toBe("jump");
+
+    now = NOW + 11 * 60 * 1000;
+    expect(tracker.push({ ...fixAt(23.0225, 72.5714), timestamp: now }).quality).toBe("good");
+    expect(tracker.push({ ...fixAt(19.076, 72.8777), timestamp: now - 120 * 1000 }).quality).toBe("stale");
+    expect(tracker.push({ ...fixAt(23.0226, 72.5714), timestamp: now + 1000 }).quality).toBe("good");
+  });
+});
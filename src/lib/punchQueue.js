@@ -0,0 +1,34 @@
+import { withStore } from "./idb";
+
+/* -------------------- offline punch queue (IndexedDB) -------------------- */
+// A queued punch keeps everything needed to replay it later:
+// { employeeName, officeCode, type, attendanceDate, punchedAtUtc, lat, lng, notes, selfie (File) }
+// plus queue bookkeeping: { id, status: "pending" | "failed", attempts, lastError, queuedAt }.
+
+const STORE = "punches";
+
+export async function enqueuePunch(punch) {
+  return await withStore(STORE, "readwrite", (s) =>
+    s.add({ ...punch, status: "pending", attempts: 0, lastError: "", queuedAt: Date.now() })
+  );
+}
+
+// oldest first — replay order must match punch order
+export async function listPunches() {
+  const all = await withStore(STORE, "readonly", (s) => s.getAll());
+  return (Array.isArray(all) ? all : []).sort((a, b) => a.id - b.id);
+}
+
+export async function updatePunch(id, patch) {
+  await withStore(STORE, "readwrite", (s) => {
+    const req = s.get(id);
+    req.onsuccess = () => {
+      if (req.result) s.put({ ...req.result, ...patch });
+    };
+    return req;
+  });
+}
+
+export async function removePunch(id) {
+  await withStore(STORE, "readwrite", (s) => s.delete(id));
+}
@@ -0,0 +1,36 @@
+/* -------------------- punch signatures (phone and proxy) -------------------- */
+// Shared by lib/device.js, which signs, and server/espo-proxy.js, which checks: no imports and
+// no import.meta.env, so plain node can load it. ECDSA P-256 / SHA-256, signature base64url.
+
+export const KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+export const SIGN_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+const toHex = (buf) => [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+export const toBase64Url = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+function fromBase64Url(str) {
+  const b64 = String(str || "").replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+// short, stable id of a public key (what CEmployee.deviceId and the punches store)
+export async function deviceIdFromJwk(jwk) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${jwk.crv}:${jwk.x}:${jwk.y}`));
+  return toHex(digest).slice(0, 32);
+}
+
+// only values the proxy can read back from the write that stores the punch: an update carries
+// the record's office and shift day, not the ones the phone had (v1 also signed those)
+export const punchSigningString = (punch, deviceId) => ["v2", punch.employeeName, punch.type, punch.punchedAtUtc, deviceId].join("|");
+
+export async function verifyPunchSignature(publicJwk, punch, { deviceId, signature }) {
+  try {
+    if ((await deviceIdFromJwk(publicJwk)) !== deviceId) return false;
+    const key = await crypto.subtle.importKey("jwk", publicJwk, KEY_ALGORITHM, false, ["verify"]);
+    const data = new TextEncoder().encode(punchSigningString(punch, deviceId));
+    return await crypto.subtle.verify(SIGN_ALGORITHM, key, fromBase64Url(signature), data);
+  } catch {
+    return false;
+  }
+}
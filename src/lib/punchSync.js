@@ -0,0 +1,295 @@
+import { breakLabel, computeLastActionFromRecord, LEGACY_TYPES, parseBreaks, punchLabel, TYPE_META } from "./attendance";
+import {
+  createAttendance,
+  EspoError,
+  findShiftRecord,
+  findTodayRecord,
+  updateAttendance,
+  uploadSelfie,
+} from "./espo";
+import { t } from "./i18n";
+import { listPunches, removePunch, updatePunch } from "./punchQueue";
+import { computeWorkTime, WORKTIME_WRITEBACK, workTimeFields } from "./workTime";
+
+export const PUNCH_SYNC_TAG = "punch-queue";
+
+// Business-rule refusal from the attendance flow — retrying will not help.
+export class PunchRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PunchRejectedError";
+  }
+}
+
+// Network down, timeout or server hiccup: keep the punch and try again later.
+// (a bare fetch failure is a TypeError, an aborted one an AbortError)
+export function isRetryableError(e) {
+  if (e instanceof EspoError) return !!e.retryable;
+  return e?.name === "AbortError" || e instanceof TypeError;
+}
+
+// per-action evidence stored next to the time field:
+//   geofence result + a day-level flag HR can filter on (never reset to false),
+//   how the employee proved who they are (pin / user),
+//   on-device face match (0–100) and liveness challenge + a day-level review flag,
+//   the phone's deviceId + signature and whether it is the employee's approved phone (a proxy decides that itself),
+//   GPS accuracy (m) + quality verdict ("good" | "poor" | "jump" | "none") + a day-level review flag,
+//   where the time came from (see timeSync) + the phone clock's skew in seconds + the time's ± ms + a day-level review flag
+function punchEvidence(punch) {
+  const { geofence, authMethod, face, liveness, late, device, location, time } = punch;
+  return {
+    ...(geofence ? { outsideGeofence: !!geofence.outside, geofenceDistance: geofence.distance } : {}),
+    ...(authMethod && authMethod !== "none" ? { authMethod } : {}),
+    ...(face ? { faceScore: face.score, faceReview: !!face.review } : {}),
+    ...(liveness ? { livenessChallenge: liveness.challenge, livenessPassed: !!liveness.passed } : {}),
+    ...(late ? { lateMinutes: late.minutes, lateReason: late.reason } : {}),
+    ...(device ? { deviceId: device.deviceId, deviceSignature: device.signature, deviceTrusted: !!device.trusted } : {}),
+    ...(location ? { locationAccuracy: location.accuracy, locationQuality: location.quality } : {}),
+    ...(time ? { timeSource: time.source, clockSkewSeconds: time.skewSeconds, clockUncertaintyMs: time.uncertaintyMs ?? null } : {}),
+  };
+}
+
+function dayFlags(punch) {
+  const { geofence, face, liveness, device, location, time } = punch;
+  const review = !!face?.review || (liveness ? !liveness.passed : false);
+  return {
+    ...(geofence?.outside ? { outsideGeofence: true } : {}),
+    ...(review ? { faceReviewRequired: true } : {}),
+    ...(device && !device.trusted ? { deviceReviewRequired: true } : {}),
+    ...(location && location.quality !== "good" ? { locationReviewRequired: true } : {}),
+    ...(time?.review ? { timeReviewRequired: true } : {}),
+  };
+}
+
+// { faceScore } + "checkin" → { checkinFaceScore }
+const prefixed = (prefix, fields) =>
+  Object.fromEntries(Object.entries(fields).map(([k, v]) => [`${prefix}${k[0].toUpperCase()}${k.slice(1)}`, v]));
+
+function punchEvidenceFields(type, punch) {
+  return { ...prefixed(type, punchEvidence(punch)), ...dayFlags(punch) };
+}
+
+// a stored time is this punch's own when it is the very same UTC second: ESPO saved it, but the
+// answer was lost (timeout, dropped connection) and the punch was queued again
+const samePunchTime = (stored, punchedAtUtc) =>
+  !!stored && String(stored).replace("T", " ").slice(0, 19) === String(punchedAtUtc).replace("T", " ").slice(0, 19);
+
+/* -------------------- breaks: append to / close the list on the record -------------------- */
+async function submitBreakPunch(client, punch, existing, upload) {
+  const { type, employeeName, punchedAtUtc } = punch;
+  const side = TYPE_META[type].breakSide;
+
+  if (parseBreaks(existing).some((b) => samePunchTime(b[`${side}At`], punchedAtUtc))) return existing;
+  if (existing.checkOutAt) throw new PunchRejectedError(t("punch.alreadyCheckedOut"));
+
+  const breaks = parseBreaks(existing).map((b) => ({ ...b }));
+  const open = breaks.at(-1)?.endAt ? null : breaks.at(-1) || null;
+  if (side === "start" && open) throw new PunchRejectedError(t("punch.breakAlreadyStarted", { break: breakLabel(open.type) }));
+  if (side === "end" && !open) throw new PunchRejectedError(t("punch.noOpenBreak"));
+
+  const uploaded = await upload();
+  const selfie = {
+    [`${side}SelfieId`]: uploaded.useAttachment ? uploaded.id : null,
+    ...(uploaded.useAttachment ? {} : { [`${side}SelfieData`]: uploaded.dataUrl }),
+  };
+  const evidence = prefixed(side, punchEvidence(punch));
+
+  if (side === "start") {
+    breaks.push({ type: punch.breakType || "personal", startAt: punchedAtUtc, endAt: null, ...selfie, ...evidence });
+  } else {
+    Object.assign(open, { endAt: punchedAtUtc, ...selfie, ...evidence });
+  }
+
+  await updateAttendance(client, existing.id, {
+    name: existing.name,
+    officeCode: existing.officeCode,
+    employeeName: existing.employeeName,
+    attendanceDate: existing.attendanceDate,
+    daykey: existing.daykey,
+
+    breaks: JSON.stringify(breaks),
+    ...dayFlags(punch),
+    ...(uploaded.useAttachment ? { breakSelfiesIds: [...(existing.breakSelfiesIds || []), uploaded.id] } : {}),
+  });
+
+  const fresh = await findTodayRecord(client, { employeeName, attendanceDate: existing.attendanceDate });
+  if (computeLastActionFromRecord(fresh) !== type) {
+    throw new Error("Update failed: breaks were not saved. This may be a backend permission or field configuration issue in ESPO.");
+  }
+  return fresh;
+}
+
+/* -------------------- ✅ submit one punch to ESPO -------------------- */
+// `punch.punchedAtUtc` is captured on the phone at punch time, so a replay
+// hours later still stores the original time.
+// `punch.attendanceDate` is the shift day (see shiftDays), so a night shift's
+// morning checkout closes the record opened the evening before.
+// `punch.authToken` (proxy builds) is the login of the employee who punched: the proxy only
+// takes a punch with that employee's own token, also when it is replayed after a logout.
+export async function submitPunch(espo, queuedPunch) {
+  const client = queuedPunch.authToken ? espo.withAuthToken(queuedPunch.authToken) : espo;
+  // lunchStart / lunchEnd from older builds replay as a lunch break
+  const punch = LEGACY_TYPES[queuedPunch.type]
+    ? { ...queuedPunch, type: LEGACY_TYPES[queuedPunch.type], breakType: "lunch" }
+    : queuedPunch;
+  const { employeeName, officeCode, type, attendanceDate, punchedAtUtc } = punch;
+
+  const meta = TYPE_META[type];
+  if (!meta) throw new PunchRejectedError(t("punch.invalidType"));
+
+  // selfie (hybrid approach: attachment, else data URL) - field name without 'Id' suffix;
+  // uploaded only once the punch is known to fit the record, so a refused punch leaves no file behind
+  const fieldName = meta.attachmentField || meta.idField.replace("Id", "");
+  const upload = () => uploadSelfie(client, punch.selfie, fieldName);
+
+  // 1) Find existing record (a checkin always starts its own day)
+  const existing =
+    type === "checkin"
+      ? await findTodayRecord(client, { employeeName, attendanceDate })
+      : await findShiftRecord(client, { employeeName, attendanceDate, carryOverDate: punch.carryOverDate });
+
+  if (!existing) {
+    if (type !== "checkin") {
+      throw new PunchRejectedError(t("punch.checkinFirst"));
+    }
+
+    const uploaded = await upload();
+    const createPayload = {
+      name: employeeName,
+      officeCode,
+      employeeName,
+      attendanceDate,
+      // null when the phone had no location (older queued punches always have numbers)
+      officeLat: punch.lat == null ? null : Number(punch.lat),
+      officeLng: punch.lng == null ? null : Number(punch.lng),
+      daykey: `${attendanceDate}__${employeeName}`.toLowerCase(),
+      notes: punch.notes || "",
+      // "geocoder" | "nearestOffice" | "none": what notes holds (older queued punches have none)
+      ...(punch.locationSource ? { locationSource: punch.locationSource } : {}),
+      // office zone attendanceDate was taken in (reports show the times on that clock)
+      ...(punch.timeZone ? { timeZone: punch.timeZone } : {}),
+
+      ...(uploaded.useAttachment
+        ? {
+            [meta.idField]: uploaded.id,
+            [meta.nameField]: uploaded.name,
+          }
+        : {}),
+
+      [`${type}SelfieData`]: uploaded.dataUrl,
+      [`${type}SelfieName`]: uploaded.name,
+      ...punchEvidenceFields(type, punch),
+
+      [meta.timeField]: punchedAtUtc, // ✅ UTC value stored
+      recordType: "Attendance",
+    };
+
+    return await createAttendance(client, createPayload);
+  }
+
+  if (meta.breakSide) return await submitBreakPunch(client, punch, existing, upload);
+
+  if (existing?.[meta.timeField]) {
+    if (samePunchTime(existing[meta.timeField], punchedAtUtc)) return existing;
+    throw new PunchRejectedError(t("punch.alreadyDone", { action: punchLabel(type) }));
+  }
+
+  const uploaded = await upload();
+
+  // Build update payload with existing data + new fields
+  const updatePayload = {
+    // Keep existing core fields
+    name: existing.name,
+    officeCode: existing.officeCode,
+    employeeName: existing.employeeName,
+    attendanceDate: existing.attendanceDate,
+    daykey: existing.daykey,
+
+    // Update the specific time field
+    [meta.timeField]: punchedAtUtc,
+    ...punchEvidenceFields(type, punch),
+
+    // computed minutes for HR reports (shift captured with the punch)
+    ...(type === "checkout" && WORKTIME_WRITEBACK
+      ? workTimeFields(computeWorkTime({ ...existing, [meta.timeField]: punchedAtUtc }, punch.shift || null))
+      : {}),
+  };
+
+  // Add selfie attachment if available
+  if (uploaded.useAttachment) {
+    updatePayload[meta.idField] = uploaded.id;
+    updatePayload[meta.nameField] = uploaded.name;
+  }
+
+  await updateAttendance(client, existing.id, updatePayload);
+
+  const fresh = await findTodayRecord(client, { employeeName, attendanceDate: existing.attendanceDate });
+
+  // ✅ Verify the update actually worked
+  if (!fresh?.[meta.timeField]) {
+    throw new Error(`Update failed: ${meta.timeField} is still null in database. This may be a backend permission or field configuration issue in ESPO.`);
+  }
+
+  return fresh;
+}
+
+/* -------------------- replay queued punches (oldest first) -------------------- */
+async function withReplayLock(fn) {
+  // page and service worker may both try to replay — only one at a time
+  const locks = globalThis.navigator?.locks;
+  if (!locks?.request) return await fn();
+  return await locks.request("punch-queue-replay", fn);
+}
+
+const PUNCH_STORE = { listPunches, removePunch, updatePunch };
+
+// Resolves with { synced, failed, remaining }. Stops at the first retryable
+// error so later punches never overtake an earlier one.
+// `store` is the IndexedDB queue (lib/punchQueue); tests pass an in-memory one.
+export async function replayPunchQueue(client, { store = PUNCH_STORE } = {}) {
+  const { listPunches, removePunch, updatePunch } = store;
+  return await withReplayLock(async () => {
+    const result = { synced: 0, failed: 0, remaining: 0 };
+    const queue = (await listPunches()).filter((p) => p.status === "pending");
+
+    for (let i = 0; i < queue.length; i++) {
+      const p = queue[i];
+      try {
+        await submitPunch(client, p);
+        await removePunch(p.id);
+        result.synced++;
+      } catch (e) {
+        const lastError = e?.message || "Unknown error";
+
+        if (isRetryableError(e)) {
+          await updatePunch(p.id, { attempts: (p.attempts || 0) + 1, lastError });
+          result.remaining = queue.length - i;
+          return result;
+        }
+
+        await updatePunch(p.id, { status: "failed", attempts: (p.attempts || 0) + 1, lastError });
+        result.failed++;
+      }
+    }
+
+    return result;
+  });
+}
+
+/* -------------------- ask for a replay (page side) -------------------- */
+// Background Sync where the browser has it; otherwise replay from the page.
+export async function requestPunchSync(client) {
+  const sw = globalThis.navigator?.serviceWorker;
+  const reg = sw ? await Promise.race([sw.ready, new Promise((r) => setTimeout(r, 3000))]) : null;
+
+  if (reg?.sync?.register) {
+    try {
+      await reg.sync.register(PUNCH_SYNC_TAG);
+      return null;
+    } catch (e) {
+      console.warn("[SYNC] register failed, replaying in page:", e?.message || e);
+    }
+  }
+
+  return await replayPunchQueue(client);
+}
@@ -0,0 +1,108 @@
+/* -------------------- selfie pipeline: downscale → watermark → JPEG within a byte budget -------------------- */
+// Runs on the phone right before the punch is submitted / queued, so the
+// watermark carries the real punch time and a 3G upload stays small.
+
+const envNumber = (v, fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const SELFIE_MAX_DIMENSION = envNumber(import.meta.env.VITE_SELFIE_MAX_DIMENSION, 960);
+export const SELFIE_MAX_BYTES = envNumber(import.meta.env.VITE_SELFIE_MAX_BYTES, 150 * 1024);
+export const SELFIE_WATERMARK = String(import.meta.env.VITE_SELFIE_WATERMARK || "on").trim().toLowerCase() !== "off";
+
+const QUALITIES = [0.85, 0.75, 0.65, 0.55, 0.45];
+const SHRINK_STEP = 0.8;
+const MIN_DIMENSION = 320;
+
+// longest side capped at `max`, never upscaled
+export function fitWithin(width, height, max) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+export function watermarkLines({ employeeName, officeCode, action, dateTime, lat, lng }) {
+  const where = Number.isFinite(lat) && Number.isFinite(lng) ? `${lat.toFixed(6)}, ${lng.toFixed(6)}` : "Location not available";
+  return [`${employeeName} · ${officeCode}`, `${action} · ${dateTime}`, `📍 ${where}`];
+}
+
+// encode(quality, scale) → Blob; walks quality down, then size, until the blob fits
+export async function encodeWithinBudget(encode, { maxBytes, maxDimension }) {
+  let scale = 1;
+  let blob = null;
+
+  while (maxDimension * scale >= MIN_DIMENSION) {
+    for (const q of QUALITIES) {
+      blob = await encode(q, scale);
+      if (blob.size <= maxBytes) return blob;
+    }
+    scale *= SHRINK_STEP;
+  }
+  return blob; // best effort: smallest we could make
+}
+
+/* -------------------- canvas side (browser only) -------------------- */
+async function loadBitmap(file) {
+  if (typeof createImageBitmap === "function") return createImageBitmap(file);
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function drawWatermark(ctx, width, height, lines) {
+  const fontSize = Math.max(12, Math.round(width / 34));
+  const lineHeight = Math.round(fontSize * 1.35);
+  const pad = Math.round(fontSize * 0.6);
+  const bandHeight = lines.length * lineHeight + pad * 2;
+
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.fillRect(0, height - bandHeight, width, bandHeight);
+
+  ctx.fillStyle = "#fff";
+  ctx.font = `600 ${fontSize}px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif`;
+  ctx.textBaseline = "top";
+  lines.forEach((line, i) => {
+    ctx.fillText(line, pad, height - bandHeight + pad + i * lineHeight, width - pad * 2);
+  });
+}
+
+const canvasToBlob = (canvas, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Image encoding failed"))), "image/jpeg", quality)
+  );
+
+// → a new JPEG File (same name); `lines` = watermarkLines(...) or [] for none
+export async function processSelfie(
+  file,
+  { lines = [], maxDimension = SELFIE_MAX_DIMENSION, maxBytes = SELFIE_MAX_BYTES } = {}
+) {
+  const bitmap = await loadBitmap(file);
+  const srcW = bitmap.width;
+  const srcH = bitmap.height;
+  const canvas = document.createElement("canvas");
+
+  const encode = (quality, scale) => {
+    const { width, height } = fitWithin(srcW, srcH, maxDimension * scale);
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    if (lines.length) drawWatermark(ctx, width, height, lines);
+    return canvasToBlob(canvas, quality);
+  };
+
+  try {
+    const blob = await encodeWithinBudget(encode, { maxBytes, maxDimension });
+    return new File([blob], file.name || `selfie-${Date.now()}.jpg`, { type: "image/jpeg" });
+  } finally {
+    bitmap.close?.();
+  }
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { encodeWithinBudget, fitWithin, watermarkLines } from "./selfieImage";
+
+describe("selfie pipeline", () => {
+  it("caps the longest side without upscaling", () => {
+    expect(fitWithin(1920, 1080, 960)).toEqual({ width: 960, height: 540 });
+    expect(fitWithin(720, 1280, 960)).toEqual({ width: 540, height: 960 });
+    expect(fitWithin(400, 300, 960)).toEqual({ width: 400, height: 300 });
+  });
+
+  it("lowers quality first, then size, until the JPEG fits the budget", async () => {
+    const calls = [];
+    // fake encoder: bytes grow with quality and pixel count
+    const encode = async (q, scale) => {
+      calls.push([q, Math.round(scale * 100) / 100]);
+      return new Blob([new Uint8Array(Math.round(200_000 * q * scale * scale))]);
+    };
+
+    const blob = await encodeWithinBudget(encode, { maxBytes: 60_000, maxDimension: 960 });
+    expect(blob.size).toBeLessThanOrEqual(60_000);
+    expect(calls.slice(0, 5).map(([, s]) => s)).toEqual([1, 1, 1, 1, 1]);
+    expect(calls.at(-1)[1]).toBeLessThan(1);
+  });
+
+  it("describes who, where, when and what in the watermark", () => {
+    expect(
+      watermarkLines({
+        employeeName: "Ravi Patel",
+        officeCode: "AMD01",
+        action: "Checkin",
+        dateTime: "2026-10-19 09:00:00 IST",
+        lat: 23.0225,
+        lng: 72.5714,
+      })
+    ).toEqual(["Ravi Patel · AMD01", "Checkin · 2026-10-19 09:00:00 IST", "📍 23.022500, 72.571400"]);
+    expect(watermarkLines({ employeeName: "A", officeCode: "B", action: "C", dateTime: "D", lat: NaN, lng: NaN })[2]).toBe(
+      "📍 Location not available"
+    );
+  });
+});
@@ -0,0 +1,29 @@
+/* -------------------- logged-in employee (per device) -------------------- */
+// Only what the UI needs between reloads. Wrong-PIN lockout and who may do what are decided
+// by the server (ESPO / the proxy), never by this entry.
+// VITE_AUTH_MODE: "none" (pick any name, old behaviour) | "pin" | "user"
+export const AUTH_MODE = ["pin", "user"].includes((import.meta.env.VITE_AUTH_MODE || "").trim().toLowerCase())
+  ? import.meta.env.VITE_AUTH_MODE.trim().toLowerCase()
+  : "none";
+
+const SESSION_MINUTES = Number(import.meta.env.VITE_AUTH_SESSION_MINUTES) || 12 * 60;
+
+export function readSession() {
+  try {
+    const obj = JSON.parse(localStorage.getItem("AUTH_SESSION_V1") || "null");
+    if (!obj?.employeeName || !Number.isFinite(obj.loggedInAt)) return null;
+    if (Date.now() - obj.loggedInAt > SESSION_MINUTES * 60 * 1000) return null;
+    return obj;
+  } catch {
+    return null;
+  }
+}
+
+export function writeSession(session) {
+  try {
+    if (session) localStorage.setItem("AUTH_SESSION_V1", JSON.stringify(session));
+    else localStorage.removeItem("AUTH_SESSION_V1");
+  } catch {
+    // private mode — session lasts until reload
+  }
+}
@@ -0,0 +1,150 @@
+import { t } from "./i18n";
+import { DEFAULT_TIME_ZONE, getOfficeTimeZone, zonedTime } from "./timeZone";
+
+/* -------------------- office shifts -------------------- */
+// Come from the office master record (shiftStart, shiftEnd, graceMinutes, lunchMinutes,
+// lunchWindowStart, lunchWindowEnd, earliestCheckIn), or per office code through
+// VITE_OFFICE_SHIFTS (JSON), falling back to VITE_DEFAULT_SHIFT, e.g.
+//   {"AMD01":{"start":"09:30","end":"18:30","graceMinutes":10,"lunchMinutes":30,
+//             "lunchWindowStart":"13:00","lunchWindowEnd":"14:30","earliestCheckIn":"08:30"}}
+//
+// shift = {
+//   start, end            local wall-clock time on attendanceDate (end <= start = ends next day)
+//   graceMinutes          late only counts after start + grace
+//   lunchMinutes          planned lunch, used for the scheduled net time
+//   lunchWindowStart/End  a lunch break can only start inside this window (optional)
+//   earliestCheckIn       Checkin is refused before this time (optional)
+//   timeZone              always the office's zone (see ./timeZone)
+// }
+
+const HHMM = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const pad = (t) => String(t).trim().padStart(5, "0"); // "9:30" → "09:30" so times compare as strings
+const optionalTime = (t) => (HHMM.test(String(t || "").trim()) ? pad(t) : null);
+
+export function normalizeShift(raw) {
+  const start = optionalTime(raw?.start);
+  const end = optionalTime(raw?.end);
+  if (!start || !end) return null;
+
+  const n = (v, d) => (v !== "" && v != null && Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : d);
+  const lunchWindowStart = optionalTime(raw.lunchWindowStart);
+  const lunchWindowEnd = optionalTime(raw.lunchWindowEnd);
+
+  return {
+    start,
+    end,
+    graceMinutes: n(raw.graceMinutes, 0),
+    lunchMinutes: n(raw.lunchMinutes, 0),
+    lunchWindowStart: lunchWindowStart && lunchWindowEnd ? lunchWindowStart : null,
+    lunchWindowEnd: lunchWindowStart && lunchWindowEnd ? lunchWindowEnd : null,
+    earliestCheckIn: optionalTime(raw.earliestCheckIn),
+    timeZone: DEFAULT_TIME_ZONE,
+  };
+}
+
+function parseJsonEnv(name, raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    console.warn(`[SHIFT] ${name} is not valid JSON`);
+    return null;
+  }
+}
+
+// used when the office has no shift of its own
+export const DEFAULT_SHIFT = normalizeShift(parseJsonEnv("VITE_DEFAULT_SHIFT", (import.meta.env.VITE_DEFAULT_SHIFT || "").trim()));
+
+const SHIFTS = Object.fromEntries(
+  Object.entries(parseJsonEnv("VITE_OFFICE_SHIFTS", (import.meta.env.VITE_OFFICE_SHIFTS || "").trim()) || {})
+    .map(([code, s]) => [code.trim().toLowerCase(), normalizeShift(s)])
+    .filter(([, s]) => s)
+);
+
+// the office master record wins, then VITE_OFFICE_SHIFTS, then VITE_DEFAULT_SHIFT;
+// times are read on the office's own clock
+export function getOfficeShift(officeCode, office) {
+  const shift = office?.shift || SHIFTS[String(officeCode || "").trim().toLowerCase()] || DEFAULT_SHIFT;
+  return shift && { ...shift, timeZone: getOfficeTimeZone(officeCode, office) };
+}
+
+export function formatShift(shift) {
+  if (!shift) return "";
+  const lunch = shift.lunchWindowStart ? ` · ${t("shift.lunchWindow", { from: shift.lunchWindowStart, to: shift.lunchWindowEnd })}` : "";
+  return `${shift.start}–${shift.end}${lunch}`;
+}
+
+export const minutesBetween = (a, b) => Math.round((b - a) / 60000);
+
+// a shift-local "HH:MM" as an instant; times before the start belong to the next day (night shifts)
+const shiftInstant = (shift, attendanceDate, hhmm) =>
+  zonedTime(attendanceDate, hhmm, shift.timeZone, hhmm < shift.start ? 1 : 0);
+
+export function shiftWindow(shift, attendanceDate) {
+  if (!shift || !attendanceDate) return null;
+  const start = zonedTime(attendanceDate, shift.start, shift.timeZone);
+  const end = zonedTime(attendanceDate, shift.end, shift.timeZone, shift.end <= shift.start ? 1 : 0);
+  return { start, end, scheduledNetMinutes: minutesBetween(start, end) - shift.lunchMinutes };
+}
+
+/* -------------------- which shift day a punch belongs to -------------------- */
+// "2026-10-19", -1 → "2026-10-18"
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+// halfway through the off-duty gap: 21:00–06:00 → "13:30", 09:30–18:30 → "02:00"
+export function shiftCutover(shift) {
+  const end = toMinutes(shift.end);
+  const gap = (toMinutes(shift.start) - end + 1440) % 1440;
+  const m = (end + Math.floor(gap / 2)) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+// Local date/time of a punch → the attendanceDate it is recorded under.
+//   overnight shift, before the cut-over → the previous evening's shift day
+//   day shift, before the cut-over       → today, but carryOverDate lets a still-open
+//                                          record of yesterday be closed (worked past midnight)
+export function shiftDays(shift, localDate, localTime) {
+  const plain = { attendanceDate: localDate, carryOverDate: null };
+  if (!shift || !/^\d{4}-\d{2}-\d{2}$/.test(localDate)) return plain;
+
+  const early = String(localTime).slice(0, 5) < shiftCutover(shift);
+  if (!early) return plain;
+  if (shift.end <= shift.start) return { attendanceDate: addDays(localDate, -1), carryOverDate: null };
+  return { attendanceDate: localDate, carryOverDate: addDays(localDate, -1) };
+}
+
+/* -------------------- what the clock allows right now -------------------- */
+// → { blocked: { [type]: reason }, blockedBreaks: { [breakType]: reason }, lateMinutes }
+// Sequence (checkin → breaks → checkout) is handled elsewhere; this only adds time-of-day rules.
+export function evaluateShiftRules(shift, attendanceDate, now) {
+  const out = { blocked: {}, blockedBreaks: {}, lateMinutes: 0 };
+  const win = shiftWindow(shift, attendanceDate);
+  if (!win || !now) return out;
+
+  const nowMs = new Date(now).getTime();
+
+  // earliest check-in is before the start, possibly on the previous evening
+  if (shift.earliestCheckIn) {
+    const earliest = zonedTime(attendanceDate, shift.earliestCheckIn, shift.timeZone, shift.earliestCheckIn > shift.start ? -1 : 0);
+    if (nowMs < earliest.getTime()) out.blocked.checkin = t("shift.checkinOpensAt", { time: shift.earliestCheckIn });
+  }
+  if (nowMs > win.end.getTime()) out.blocked.checkin = t("shift.checkinClosed", { time: shift.end });
+
+  const lateBy = minutesBetween(win.start, nowMs);
+  if (lateBy > shift.graceMinutes) out.lateMinutes = lateBy;
+
+  if (shift.lunchWindowStart) {
+    const from = shiftInstant(shift, attendanceDate, shift.lunchWindowStart);
+    const to = shiftInstant(shift, attendanceDate, shift.lunchWindowEnd);
+    if (nowMs < from.getTime() || nowMs > to.getTime()) {
+      out.blockedBreaks.lunch = t("shift.lunchOnlyInWindow", { from: shift.lunchWindowStart, to: shift.lunchWindowEnd });
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { evaluateShiftRules, getOfficeShift, normalizeShift, shiftCutover, shiftDays } from "./shift";
+
+const shift = normalizeShift({
+  start: "09:30",
+  end: "18:30",
+  graceMinutes: 10,
+  lunchMinutes: 30,
+  lunchWindowStart: "13:00",
+  lunchWindowEnd: "14:30",
+  earliestCheckIn: "8:30",
+});
+
+// IST = UTC + 5:30
+const at = (utc) => new Date(`2026-10-19T${utc}Z`);
+
+describe("shift rules", () => {
+  it("prefers the office record over env shifts", () => {
+    const office = { id: "AMD01", shift };
+    expect(getOfficeShift("AMD01", office)).toEqual(shift);
+    expect(getOfficeShift("DXB01", { ...office, timeZone: "Asia/Dubai" }).timeZone).toBe("Asia/Dubai");
+    expect(normalizeShift({ start: "9:00", end: "17:00", lunchWindowStart: "13:00" }).lunchWindowStart).toBeNull();
+  });
+
+  it("opens checkin at the earliest time and closes it at shift end", () => {
+    expect(evaluateShiftRules(shift, "2026-10-19", at("02:59:00")).blocked.checkin).toMatch(/opens at 08:30/);
+    expect(evaluateShiftRules(shift, "2026-10-19", at("03:00:00")).blocked.checkin).toBeUndefined();
+    expect(evaluateShiftRules(shift, "2026-10-19", at("13:01:00")).blocked.checkin).toMatch(/Shift ended/);
+  });
+
+  it("reports late only past the grace period", () => {
+    expect(evaluateShiftRules(shift, "2026-10-19", at("04:10:00")).lateMinutes).toBe(0); // 09:40
+    expect(evaluateShiftRules(shift, "2026-10-19", at("04:11:00")).lateMinutes).toBe(11); // 09:41
+  });
+
+  it("allows a lunch break to start only inside the lunch window", () => {
+    expect(evaluateShiftRules(shift, "2026-10-19", at("07:00:00")).blockedBreaks.lunch).toMatch(/13:00–14:30/); // 12:30
+    expect(evaluateShiftRules(shift, "2026-10-19", at("07:45:00")).blockedBreaks.lunch).toBeUndefined(); // 13:15
+    expect(evaluateShiftRules(shift, "2026-10-19", at("09:01:00")).blockedBreaks.lunch).toBeDefined(); // 14:31
+  });
+
+  it("places night-shift windows after midnight", () => {
+    const night = normalizeShift({ start: "22:00", end: "06:00", lunchWindowStart: "01:00", lunchWindowEnd: "02:00", earliestCheckIn: "21:30" });
+    // 2026-10-20 01:30 IST
+    expect(evaluateShiftRules(night, "2026-10-19", new Date("2026-10-19T20:00:00Z"))).toMatchObject({ blocked: {}, blockedBreaks: {} });
+    // 21:00 IST on the 19th is before the earliest checkin
+    expect(evaluateShiftRules(night, "2026-10-19", new Date("2026-10-19T15:30:00Z")).blocked.checkin).toBeDefined();
+  });
+
+  it("keeps a night shift on the date it started", () => {
+    const night = normalizeShift({ start: "21:00", end: "06:00" });
+    expect(shiftCutover(night)).toBe("13:30");
+    expect(shiftDays(night, "2026-10-20", "06:05:00")).toEqual({ attendanceDate: "2026-10-19", carryOverDate: null });
+    expect(shiftDays(night, "2026-10-20", "21:00:00")).toEqual({ attendanceDate: "2026-10-20", carryOverDate: null });
+    expect(shiftDays(night, "2026-03-01", "02:00:00").attendanceDate).toBe("2026-02-28");
+
+    // a day shift worked past midnight may still close yesterday's record
+    expect(shiftCutover(shift)).toBe("02:00");
+    expect(shiftDays(shift, "2026-10-20", "00:40:00")).toEqual({ attendanceDate: "2026-10-20", carryOverDate: "2026-10-19" });
+    expect(shiftDays(shift, "2026-10-20", "08:40:00")).toEqual({ attendanceDate: "2026-10-20", carryOverDate: null });
+    expect(shiftDays(null, "2026-10-20", "00:40:00")).toEqual({ attendanceDate: "2026-10-20", carryOverDate: null });
+  });
+
+  it("has no rules without a shift", () => {
+    expect(evaluateShiftRules(null, "2026-10-19", at("12:00:00"))).toEqual({ blocked: {}, blockedBreaks: {}, lateMinutes: 0 });
+  });
+});
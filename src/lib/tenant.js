@@ -0,0 +1,222 @@
+import { getEspoConfig } from "./espo";
+import { fetchJsonWithTimeout } from "./http";
+import { withStore } from "./idb";
+
+/* -------------------- tenant (company) configuration -------------------- */
+// One build serves every group company. At startup the page fetches VITE_TENANT_CONFIG_URL
+// (default /tenants.json) and picks the company by hostname (the service worker replays
+// against the ESPO endpoint the page saved, see readSavedEspoConfig):
+//   {
+//     "default": "amrita",
+//     "hosts": { "attendance.amrita.example": "amrita", "hr.sister.example": "sister" },
+//     "tenants": {
+//       "amrita": {
+//         "companyName": "Amrita Global Enterprises", "shortName": "Attendance",
+//         "logoUrl": "/logo.jpeg", "icons": [{ "src": "/pwa-192x192.jpeg", "sizes": "192x192", "type": "image/jpeg" }],
+//         "colors": { "primary": "#0ea5e9", "background": "#f2f5ff" },
+//         "espo": { "baseUrl": "https://proxy.amrita.example/api/v1/CAttendance", "proxy": true },
+//         "mapCenter": { "lat": 23.0225, "lng": 72.5714 }
+//       }
+//     }
+//   }
+// A file without "tenants" is read as a single company. Anything left out falls back to the
+// build (VITE_ESPO_* and the defaults below). The file is public, like the bundle itself, so an
+// "apiKey" here is readable by anyone — point "baseUrl" at the ESPO proxy with "proxy": true instead.
+
+export const TENANT_CONFIG_URL = (import.meta.env.VITE_TENANT_CONFIG_URL || "").trim() || "/tenants.json";
+
+const DEFAULT_ESPO = getEspoConfig();
+
+export const DEFAULT_TENANT = {
+  id: "default",
+  companyName: "Amrita Global Enterprises",
+  shortName: "Attendance",
+  logoUrl: "/logo.jpeg",
+  icons: null, // null = the icons of the built manifest
+  colors: { primary: "#0ea5e9", background: "#f2f5ff" },
+  espo: {
+    baseUrl: DEFAULT_ESPO.baseUrl,
+    apiKey: DEFAULT_ESPO.apiKey,
+    proxy: DEFAULT_ESPO.proxy,
+    officeEntity: DEFAULT_ESPO.officeEntity,
+    employeeEntity: DEFAULT_ESPO.employeeEntity,
+  },
+  mapCenter: { lat: 23.0225, lng: 72.5714 },
+};
+
+const text = (v, d) => (typeof v === "string" && v.trim() ? v.trim() : d);
+const color = (v, d) => (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(v || "").trim()) ? String(v).trim() : d);
+
+function center(raw, d) {
+  const lat = Number(raw?.lat);
+  const lng = Number(raw?.lng);
+  return raw && Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : d;
+}
+
+// raw company entry → full tenant, field by field over `base`
+export function normalizeTenant(raw, id = "default", base = DEFAULT_TENANT) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const icons = Array.isArray(r.icons) ? r.icons.filter((i) => i && typeof i.src === "string" && i.src) : [];
+  return {
+    id,
+    companyName: text(r.companyName, base.companyName),
+    shortName: text(r.shortName, base.shortName),
+    logoUrl: text(r.logoUrl, base.logoUrl),
+    icons: icons.length ? icons : base.icons,
+    colors: {
+      primary: color(r.colors?.primary, base.colors.primary),
+      background: color(r.colors?.background, base.colors.background),
+    },
+    espo: {
+      baseUrl: text(r.espo?.baseUrl, base.espo.baseUrl),
+      apiKey: text(r.espo?.apiKey, base.espo.apiKey),
+      proxy: typeof r.espo?.proxy === "boolean" ? r.espo.proxy : base.espo.proxy,
+      officeEntity: text(r.espo?.officeEntity, base.espo.officeEntity),
+      employeeEntity: text(r.espo?.employeeEntity, base.espo.employeeEntity),
+    },
+    mapCenter: center(r.mapCenter, base.mapCenter),
+  };
+}
+
+// the company for this hostname: hosts[hostname], else "default", else the only one listed
+export function selectTenant(file, hostname) {
+  if (!file || typeof file !== "object") return DEFAULT_TENANT;
+  if (!file.tenants || typeof file.tenants !== "object") return normalizeTenant(file);
+
+  const host = String(hostname || "").trim().toLowerCase();
+  const hosts = Object.fromEntries(Object.entries(file.hosts || {}).map(([h, id]) => [h.trim().toLowerCase(), id]));
+  const ids = Object.keys(file.tenants);
+  const id = [hosts[host], file.default, ids.length === 1 ? ids[0] : null].find((k) => k && file.tenants[k]);
+
+  if (!id) {
+    console.warn(`[TENANT] no company configured for ${host || "this host"}, using the build defaults`);
+    return DEFAULT_TENANT;
+  }
+  return normalizeTenant(file.tenants[id], id);
+}
+
+// ESPO settings of the tenant in the shape of getEspoConfig()
+export function tenantEspoConfig(tenant) {
+  return getEspoConfig({
+    VITE_ESPO_BASEURL: tenant.espo.baseUrl,
+    VITE_X_API_KEY: tenant.espo.apiKey,
+    VITE_ESPO_PROXY: tenant.espo.proxy ? "on" : "off",
+    VITE_ESPO_OFFICE_ENTITY: tenant.espo.officeEntity,
+    VITE_ESPO_EMPLOYEE_ENTITY: tenant.espo.employeeEntity,
+  });
+}
+
+/* -------------------- loading (once, before the first render) -------------------- */
+function readCachedTenant() {
+  try {
+    const obj = JSON.parse(localStorage.getItem("TENANT_CACHE_V1") || "null");
+    return obj?.companyName ? normalizeTenant(obj, obj.id) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCachedTenant(tenant) {
+  try {
+    localStorage.setItem("TENANT_CACHE_V1", JSON.stringify(tenant));
+  } catch {
+    // best effort — offline starts fall back to the build defaults
+  }
+}
+
+/* -------------------- ESPO endpoint for the service worker -------------------- */
+// The worker has no localStorage, and the build defaults may be another company's ESPO: it
+// replays queued punches against the endpoint the page last ran with, kept in IndexedDB next
+// to the access token. `settings` is injectable for tests.
+const ESPO_SETTING = "tenantEspo";
+
+const IDB_SETTINGS = {
+  get: (key) => withStore("settings", "readonly", (s) => s.get(key)),
+  put: (key, value) => withStore("settings", "readwrite", (s) => s.put(value, key)),
+};
+
+async function saveTenantEspo(tenant, settings) {
+  try {
+    await settings.put(ESPO_SETTING, tenantEspoConfig(tenant));
+  } catch (e) {
+    console.warn("[TENANT] could not store the ESPO endpoint:", e?.message || e);
+  }
+}
+
+// getEspoConfig() shape, or null until the page has loaded a company on this device
+export async function readSavedEspoConfig(settings = IDB_SETTINGS) {
+  try {
+    const config = await settings.get(ESPO_SETTING);
+    return config?.baseUrl ? config : null;
+  } catch {
+    return null;
+  }
+}
+
+let current = DEFAULT_TENANT;
+
+export const getTenant = () => current;
+
+// offline (or no config file deployed): the last company this device loaded, else the build defaults
+export async function loadTenant({ url = TENANT_CONFIG_URL, hostname = globalThis.location?.hostname, settings = IDB_SETTINGS } = {}) {
+  let unreachable = false;
+  try {
+    current = selectTenant(await fetchJsonWithTimeout(url, 4000), hostname);
+    writeCachedTenant(current);
+  } catch (e) {
+    console.warn("[TENANT] config unavailable:", e?.message || e);
+    // no answer (offline, timeout, server down) — unlike a site that has no config file
+    unreachable = e?.name === "AbortError" || e instanceof TypeError || e?.status >= 500;
+    current = readCachedTenant() || DEFAULT_TENANT;
+  }
+  // build defaults standing in for an unreachable config are never handed to the worker
+  if (!(unreachable && current === DEFAULT_TENANT)) await saveTenantEspo(current, settings);
+  return current;
+}
+
+/* -------------------- branding of the page -------------------- */
+function setHeadLink(rel, href) {
+  let link = document.head.querySelector(`link[rel="${rel}"]`);
+  if (!link) {
+    link = document.createElement("link");
+    link.rel = rel;
+    document.head.appendChild(link);
+  }
+  link.href = href;
+}
+
+export function applyTenantBranding(tenant) {
+  const root = document.documentElement;
+  root.style.setProperty("--brand", tenant.colors.primary);
+  root.style.setProperty("--page-bg", tenant.colors.background);
+  document.title = tenant.companyName;
+
+  let meta = document.head.querySelector('meta[name="theme-color"]');
+  if (!meta) {
+    meta = document.createElement("meta");
+    meta.name = "theme-color";
+    document.head.appendChild(meta);
+  }
+  meta.content = tenant.colors.primary;
+
+  setHeadLink("icon", tenant.logoUrl);
+  setHeadLink("apple-touch-icon", tenant.logoUrl);
+
+  // "Add to home screen" uses the company's name and colours; a blob manifest needs absolute URLs
+  const abs = (u) => new URL(u, location.origin).href;
+  const icons = tenant.icons || [
+    { src: "/pwa-192x192.jpeg", sizes: "192x192", type: "image/jpeg" },
+    { src: "/pwa-512x512.jpeg", sizes: "512x512", type: "image/jpeg" },
+  ];
+  const manifest = {
+    name: tenant.companyName,
+    short_name: tenant.shortName,
+    start_url: abs("/"),
+    scope: abs("/"),
+    display: "standalone",
+    background_color: "#ffffff",
+    theme_color: tenant.colors.primary,
+    icons: icons.map((i) => ({ ...i, src: abs(i.src) })),
+  };
+  setHeadLink("manifest", URL.createObjectURL(new Blob([JSON.stringify(manifest)], { type: "application/manifest+json" })));
+}
@@ -0,0 +1,94 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_TENANT, getTenant, loadTenant, normalizeTenant, readSavedEspoConfig, selectTenant, tenantEspoConfig } from "./tenant";
+
+const file = {
+  default: "amrita",
+  hosts: { "Attendance.Sister.example": "sister" },
+  tenants: {
+    amrita: { companyName: "Amrita Global Enterprises" },
+    sister: {
+      companyName: "Sister Textiles",
+      logoUrl: "/brands/sister.png",
+      colors: { primary: "#7c3aed", background: "not-a-colour" },
+      espo: { baseUrl: "https://crm.sister.example/api/v1/CAttendance", apiKey: "k-sister" },
+      mapCenter: { lat: 21.17, lng: 72.83 },
+    },
+  },
+};
+
+describe("tenant configuration", () => {
+  it("picks the company by hostname and falls back to the default entry", () => {
+    const sister = selectTenant(file, "attendance.sister.example");
+    expect(sister).toMatchObject({ id: "sister", companyName: "Sister Textiles", logoUrl: "/brands/sister.png" });
+    expect(sister.colors).toEqual({ primary: "#7c3aed", background: DEFAULT_TENANT.colors.background });
+    expect(sister.mapCenter).toEqual({ lat: 21.17, lng: 72.83 });
+
+    expect(selectTenant(file, "localhost").id).toBe("amrita");
+    expect(selectTenant({ tenants: { only: { companyName: "Only Co" } } }, "x").companyName).toBe("Only Co");
+    expect(selectTenant({ companyName: "Single File Co" }, "x").companyName).toBe("Single File Co");
+    expect(selectTenant({ hosts: {}, tenants: { a: {}, b: {} } }, "x")).toBe(DEFAULT_TENANT);
+  });
+
+  it("keeps build values for anything missing or invalid", () => {
+    const t = normalizeTenant({ companyName: "  ", mapCenter: { lat: 123, lng: 0 }, icons: [{ sizes: "1x1" }] });
+    expect(t.companyName).toBe(DEFAULT_TENANT.companyName);
+    expect(t.mapCenter).toEqual(DEFAULT_TENANT.mapCenter);
+    expect(t.icons).toBe(DEFAULT_TENANT.icons);
+    expect(t.espo).toEqual(DEFAULT_TENANT.espo);
+  });
+
+  it("derives the ESPO client settings from the company's endpoint", () => {
+    const cfg = tenantEspoConfig(selectTenant(file, "attendance.sister.example"));
+    expect(cfg).toMatchObject({
+      apiRoot: "https://crm.sister.example/api/v1",
+      attendanceEntity: "CAttendance",
+      apiKey: "k-sister",
+      officeEntity: "COffice",
+    });
+  });
+
+  it("starts with the build defaults when no config can be fetched", async () => {
+    expect(await loadTenant({ url: "http://127.0.0.1:1/tenants.json", hostname: "x" })).toBe(DEFAULT_TENANT);
+    expect(getTenant()).toBe(DEFAULT_TENANT);
+  });
+
+  describe("endpoint for the service worker", () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    const memorySettings = () => {
+      const values = new Map();
+      return { get: async (key) => values.get(key), put: async (key, value) => values.set(key, value) };
+    };
+    const serve = (body) => vi.stubGlobal("fetch", async () => new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } }));
+    const offline = () =>
+      vi.stubGlobal("fetch", async () => {
+        throw new TypeError("Failed to fetch");
+      });
+
+    it("keeps the company's endpoint when the config cannot be fetched later", async () => {
+      const settings = memorySettings();
+      serve(file);
+      await loadTenant({ hostname: "attendance.sister.example", settings });
+
+      // the worker's turn: no config file reachable, and no localStorage to fall back on
+      offline();
+      await loadTenant({ hostname: "attendance.sister.example", settings });
+      expect((await readSavedEspoConfig(settings)).baseUrl).toBe("https://crm.sister.example/api/v1/CAttendance");
+    });
+
+    it("never hands the build defaults to the worker when nothing was loaded yet", async () => {
+      const settings = memorySettings();
+      offline();
+      expect(await loadTenant({ hostname: "attendance.sister.example", settings })).toBe(DEFAULT_TENANT);
+      expect(await readSavedEspoConfig(settings)).toBeNull();
+      expect(await settings.get("tenantEspo")).toBeUndefined();
+    });
+
+    it("saves the build endpoint of a site without a config file", async () => {
+      const settings = memorySettings();
+      vi.stubGlobal("fetch", async () => new Response("not found", { status: 404 }));
+      await loadTenant({ hostname: "x", settings });
+      expect(await settings.get("tenantEspo")).toEqual(tenantEspoConfig(DEFAULT_TENANT));
+    });
+  });
+});
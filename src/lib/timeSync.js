@@ -0,0 +1,218 @@
+import { fetchJsonWithTimeout } from "./http";
+
+/* -------------------- trusted clock (NTP-style sync) -------------------- */
+// Punch times never come from the phone clock. Every sync takes several samples from the
+// time providers, each with the performance.now() values around the request, drops slow
+// (high round-trip) and inconsistent samples and combines the rest into one offset
+// performance.now() → UTC with an uncertainty (±ms). Syncs over time also estimate how fast
+// the phone's timer drifts. The clock never runs backwards: a small backwards correction
+// holds the time until it catches up.
+//
+// Where the time came from is stored with every punch ("source"):
+//   "espo"          – Date header of the ESPO server
+//   "timeapi"       – timeapi.io
+//   "worldtimeapi"  – worldtimeapi.org
+//   "cache"         – last sync saved on this phone (app started offline)
+//   "device"        – no sync at all: the phone's own clock, cannot be checked
+// together with the phone clock's skew against it (seconds, + = phone ahead) and how far off
+// the time itself may be (± ms); skew beyond VITE_CLOCK_SKEW_MAX_SECONDS (default 120) is flagged
+// for HR, and so is every "cache" or "device" time: both come from the phone's own clock, so
+// there is no skew to measure (null).
+
+export const TIME_SOURCES = ["espo", "timeapi", "worldtimeapi", "cache", "device"];
+
+export const CLOCK_SKEW_MAX_SECONDS = Number(import.meta.env.VITE_CLOCK_SKEW_MAX_SECONDS) || 120;
+
+const RTT_SLACK_MS = 150; // samples slower than 2× the fastest one (+ this) are dropped
+const FALSETICKER_MS = 1000; // samples further than this (beyond their own error) from the median are dropped
+const HISTORY_SIZE = 12; // syncs kept for the drift estimate (1 h at one sync per 5 min)
+const DRIFT_MIN_SPAN_MS = 10 * 60 * 1000;
+const DRIFT_MAX_PPM = 500; // anything faster is a sleeping / suspended timer, not drift
+const DRIFT_ALLOWANCE_PPM = 100; // uncertainty added per elapsed ms after a sync
+const HOLD_MAX_MS = 5000; // backwards corrections up to this are absorbed by holding the clock
+
+/* -------------------- samples -------------------- */
+// sample = { source, serverMs, t0, t1, resolutionMs }: the server read serverMs (truncated to
+// resolutionMs) somewhere between t0 and t1 on performance.now(), so the offset lies in
+// [serverMs - t1, serverMs + resolutionMs - t0]
+export function sampleOffset({ serverMs, t0, t1, resolutionMs = 1 }) {
+  const lo = serverMs - t1;
+  const hi = serverMs + resolutionMs - t0;
+  return { offsetMs: (lo + hi) / 2, errorMs: (hi - lo) / 2, lo, hi, rtt: t1 - t0 };
+}
+
+const WEB_TIME_APIS = {
+  timeapi: {
+    url: "https://timeapi.io/api/Time/current/zone?timeZone=UTC",
+    // zone-local dateTime without an offset → read it as UTC
+    read: (data) => new Date(`${String(data.dateTime).replace(/Z$/, "")}Z`).getTime(),
+  },
+  worldtimeapi: {
+    url: "https://worldtimeapi.org/api/timezone/Etc/UTC",
+    read: (data) => new Date(data.datetime).getTime(),
+  },
+};
+
+export async function webTimeSample(source, timeout = 5000) {
+  const api = WEB_TIME_APIS[source];
+  const t0 = performance.now();
+  const data = await fetchJsonWithTimeout(api.url, timeout);
+  const t1 = performance.now();
+  const serverMs = api.read(data);
+  if (!Number.isFinite(serverMs)) throw new Error(`Invalid server time from ${source}`);
+  return { serverMs, t0, t1, resolutionMs: 1 };
+}
+
+// samplers: [{ source, count, sample: () => Promise<sample> }] — providers are asked side by
+// side, each one's samples one after another; a provider that fails is not asked again
+export async function collectSamples(samplers) {
+  const runs = await Promise.all(
+    samplers.map(async ({ source, count = 1, sample }) => {
+      const out = [];
+      for (let i = 0; i < count; i++) {
+        try {
+          out.push({ ...(await sample()), source });
+        } catch (e) {
+          console.warn(`[TIME] ${source} sample failed:`, e?.message || e);
+          break;
+        }
+      }
+      return out;
+    })
+  );
+  return runs.flat();
+}
+
+/* -------------------- combine samples -------------------- */
+// → { offsetMs, uncertaintyMs, source, used } or null when no sample is usable;
+// source = provider of the most precise sample that was kept
+export function estimateOffset(samples) {
+  const all = (samples || [])
+    .filter((s) => Number.isFinite(s?.serverMs) && Number.isFinite(s?.t0) && Number.isFinite(s?.t1) && s.t1 >= s.t0)
+    .map((s) => ({ source: s.source, ...sampleOffset(s) }));
+  if (!all.length) return null;
+
+  const minRtt = Math.min(...all.map((s) => s.rtt));
+  const fast = all.filter((s) => s.rtt <= Math.max(2 * minRtt, minRtt + RTT_SLACK_MS));
+
+  const mids = fast.map((s) => s.offsetMs).sort((a, b) => a - b);
+  const median = mids[Math.floor(mids.length / 2)];
+  const kept = fast.filter((s) => Math.abs(s.offsetMs - median) <= s.errorMs + FALSETICKER_MS);
+
+  // every sample's interval holds the true offset: their overlap is the best answer
+  const lo = Math.max(...kept.map((s) => s.lo));
+  const hi = Math.min(...kept.map((s) => s.hi));
+  let offsetMs;
+  let uncertaintyMs;
+  if (lo <= hi) {
+    offsetMs = (lo + hi) / 2;
+    uncertaintyMs = (hi - lo) / 2;
+  } else {
+    // no common overlap (a provider is a little off): precision-weighted mean
+    const weights = kept.map((s) => 1 / Math.max(1, s.errorMs) ** 2);
+    const total = weights.reduce((a, b) => a + b, 0);
+    offsetMs = kept.reduce((sum, s, i) => sum + s.offsetMs * weights[i], 0) / total;
+    uncertaintyMs = Math.max(Math.min(...kept.map((s) => s.errorMs)), (Math.max(...kept.map((s) => s.offsetMs)) - Math.min(...kept.map((s) => s.offsetMs))) / 2);
+  }
+
+  const best = kept.reduce((a, b) => (b.errorMs < a.errorMs ? b : a));
+  return { offsetMs, uncertaintyMs: Math.round(uncertaintyMs), source: best.source, used: kept.length };
+}
+
+// least-squares slope of the offset over the sync history, in ppm; null until the syncs span long enough
+export function estimateDriftPpm(history) {
+  if (history.length < 2 || history.at(-1).perfAt - history[0].perfAt < DRIFT_MIN_SPAN_MS) return null;
+  const n = history.length;
+  const mx = history.reduce((a, h) => a + h.perfAt, 0) / n;
+  const my = history.reduce((a, h) => a + h.offsetMs, 0) / n;
+  const cov = history.reduce((a, h) => a + (h.perfAt - mx) * (h.offsetMs - my), 0);
+  const varx = history.reduce((a, h) => a + (h.perfAt - mx) ** 2, 0);
+  return (cov / varx) * 1e6;
+}
+
+/* -------------------- the clock -------------------- */
+export function createTrustedClock({ perfNow = () => performance.now() } = {}) {
+  let sync = null; // { offsetMs, perfAtSync, uncertaintyMs, driftPpm, source }
+  let history = []; // [{ perfAt, offsetMs }] of provider syncs
+  let last = null;
+
+  const estimateAt = (p) => p + sync.offsetMs + (sync.driftPpm * (p - sync.perfAtSync)) / 1e6;
+
+  return {
+    // trusted epoch ms (null before any sync); never lower than the last reading unless the
+    // correction is too big to wait out
+    nowMs() {
+      if (!sync) return null;
+      const ms = estimateAt(perfNow());
+      if (last != null && ms < last && last - ms <= HOLD_MAX_MS) return last;
+      last = ms;
+      return ms;
+    },
+
+    // ± ms around nowMs(): the sync's own error plus what the timer may have drifted since
+    // (null before a sync and for a cached time, whose error is unknown)
+    uncertaintyMs() {
+      if (sync?.uncertaintyMs == null) return null;
+      return Math.round(sync.uncertaintyMs + (Math.abs(perfNow() - sync.perfAtSync) * DRIFT_ALLOWANCE_PPM) / 1e6);
+    },
+
+    get state() {
+      return sync && { ...sync };
+    },
+
+    // estimate from estimateOffset(); every provider sync also feeds the drift estimate
+    apply({ offsetMs, uncertaintyMs, source }) {
+      const p = perfNow();
+      history = [...history, { perfAt: p, offsetMs }].slice(-HISTORY_SIZE);
+      let driftPpm = estimateDriftPpm(history);
+      if (driftPpm != null && Math.abs(driftPpm) > DRIFT_MAX_PPM) {
+        history = history.slice(-1);
+        driftPpm = null;
+      }
+      sync = { offsetMs, perfAtSync: p, uncertaintyMs, driftPpm: driftPpm ?? 0, source };
+    },
+
+    // last saved time while no provider has answered yet
+    seed(epochMs, source = "cache") {
+      const p = perfNow();
+      sync = { offsetMs: epochMs - p, perfAtSync: p, uncertaintyMs: null, driftPpm: 0, source };
+    },
+  };
+}
+
+/* -------------------- where a punch's time came from -------------------- */
+// sync = clock.state, trustedNowMs = clock.nowMs(), uncertaintyMs = clock.uncertaintyMs()
+// → { source, skewSeconds, uncertaintyMs, review } stored with the punch
+export function timeProvenance(sync, trustedNowMs, deviceNowMs = Date.now(), uncertaintyMs = null) {
+  if (!sync || trustedNowMs == null) return { source: "device", skewSeconds: null, uncertaintyMs: null, review: true };
+
+  const source = TIME_SOURCES.includes(sync.source) ? sync.source : "cache";
+  // a cached sync was carried forward on the phone clock: the skew against it is always ~0
+  if (source === "cache") return { source, skewSeconds: null, uncertaintyMs: null, review: true };
+
+  const skewSeconds = Math.round((deviceNowMs - trustedNowMs) / 1000);
+  return { source, skewSeconds, uncertaintyMs, review: Math.abs(skewSeconds) > CLOCK_SKEW_MAX_SECONDS };
+}
+
+/* -------------------- last sync saved on the phone -------------------- */
+const TIME_SYNC_CACHE_KEY = "TIME_SYNC_CACHE_V1";
+
+export function readCachedTimeSync() {
+  try {
+    const raw = localStorage.getItem(TIME_SYNC_CACHE_KEY);
+    if (!raw) return null;
+    const obj = JSON.parse(raw);
+    if (!obj || !Number.isFinite(obj.serverEpochMs) || !Number.isFinite(obj.savedAtMs)) return null;
+    return obj;
+  } catch {
+    return null;
+  }
+}
+
+export function writeCachedTimeSync(serverEpochMs) {
+  try {
+    localStorage.setItem(TIME_SYNC_CACHE_KEY, JSON.stringify({ serverEpochMs, savedAtMs: Date.now() }));
+  } catch {
+    // best effort — the next start syncs again
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { CLOCK_SKEW_MAX_SECONDS, collectSamples, createTrustedClock, estimateOffset, timeProvenance } from "./timeSync";
+
+const SERVER = Date.parse("2026-10-19T04:00:00Z");
+// a sample taken at perf t0 with the given round trip; true offset perf → UTC is SERVER
+const sample = (source, t0, rtt, { error = 0, resolutionMs = 1 } = {}) => {
+  const serverMs = SERVER + t0 + rtt / 2 + error;
+  return { source, serverMs: serverMs - (serverMs % resolutionMs), t0, t1: t0 + rtt, resolutionMs };
+};
+
+describe("time sync", () => {
+  it("combines samples, drops slow and inconsistent ones and reports ± ms", () => {
+    const est = estimateOffset([
+      sample("espo", 0, 80, { resolutionMs: 1000 }),
+      sample("espo", 500, 90, { resolutionMs: 1000 }),
+      sample("timeapi", 1000, 60),
+      sample("timeapi", 2000, 2400, { error: 1100 }), // slow: its half-RTT guess is off by a second
+      sample("worldtimeapi", 3000, 70, { error: 90000 }), // wrong clock
+    ]);
+    expect(est.used).toBe(3);
+    expect(est.source).toBe("timeapi");
+    expect(Math.abs(est.offsetMs - SERVER)).toBeLessThanOrEqual(est.uncertaintyMs);
+    expect(est.uncertaintyMs).toBeLessThan(40);
+    expect(estimateOffset([])).toBeNull();
+  });
+
+  it("keeps the samples of providers that answer", async () => {
+    let n = 0;
+    const samples = await collectSamples([
+      { source: "espo", count: 3, sample: async () => sample("x", n++ * 100, 50) },
+      { source: "timeapi", count: 2, sample: async () => Promise.reject(new Error("offline")) },
+    ]);
+    expect(samples.map((s) => s.source)).toEqual(["espo", "espo", "espo"]);
+  });
+
+  it("estimates drift and never runs backwards", () => {
+    let perf = 0;
+    const clock = createTrustedClock({ perfNow: () => perf });
+    clock.apply({ offsetMs: SERVER, uncertaintyMs: 40, source: "espo" });
+    perf = 20 * 60 * 1000; // the phone timer runs 100 ppm fast
+    clock.apply({ offsetMs: SERVER - 120, uncertaintyMs: 40, source: "espo" });
+    expect(clock.state.driftPpm).toBeCloseTo(-100, 0);
+    perf += 10 * 60 * 1000;
+    expect(clock.nowMs()).toBeCloseTo(SERVER + perf - 180, 0);
+    expect(clock.uncertaintyMs()).toBe(100);
+
+    const before = clock.nowMs();
+    clock.apply({ offsetMs: SERVER - 2000, uncertaintyMs: 40, source: "timeapi" }); // 2 s back
+    expect(clock.nowMs()).toBe(before);
+    perf += 3000;
+    expect(clock.nowMs()).toBeGreaterThan(before);
+  });
+
+  it("stores the source, the phone's skew against it and the time's uncertainty", () => {
+    expect(timeProvenance({ source: "espo" }, SERVER, SERVER + 4400, 35)).toEqual({ source: "espo", skewSeconds: 4, uncertaintyMs: 35, review: false });
+  });
+
+  it("flags a phone clock set too far off, and times that only the phone vouches for", () => {
+    const ahead = SERVER + (CLOCK_SKEW_MAX_SECONDS + 60) * 1000;
+    expect(timeProvenance({ source: "timeapi" }, SERVER, ahead)).toMatchObject({ source: "timeapi", review: true });
+    expect(timeProvenance(null, null)).toEqual({ source: "device", skewSeconds: null, uncertaintyMs: null, review: true });
+    // a cached sync runs on the phone clock: no skew to measure, however small it looks
+    expect(timeProvenance({ source: "cache" }, SERVER, SERVER - 90 * 1000)).toEqual({ source: "cache", skewSeconds: null, uncertaintyMs: null, review: true });
+  });
+});
@@ -0,0 +1,97 @@
+/* -------------------- office time zones -------------------- */
+// Each office has an IANA zone (COffice.timeZone, or VITE_OFFICE_TIME_ZONES keyed by office code,
+// falling back to VITE_DEFAULT_TIME_ZONE). It drives the clock on the phone, attendanceDate and
+// the times shown in reports. Everything stored in ESPO stays UTC.
+
+export function normalizeTimeZone(raw) {
+  const tz = String(raw || "").trim();
+  if (!tz) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: tz }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+function parseZones(raw) {
+  if (!raw) return {};
+  try {
+    const obj = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(obj || {})
+        .map(([code, tz]) => [code.trim().toLowerCase(), normalizeTimeZone(tz)])
+        .filter(([, tz]) => tz)
+    );
+  } catch {
+    console.warn("[TZ] VITE_OFFICE_TIME_ZONES is not valid JSON");
+    return {};
+  }
+}
+
+export const DEFAULT_TIME_ZONE = normalizeTimeZone(import.meta.env.VITE_DEFAULT_TIME_ZONE) || "Asia/Kolkata";
+
+const ZONES = parseZones((import.meta.env.VITE_OFFICE_TIME_ZONES || "").trim());
+
+// the office master record wins, then VITE_OFFICE_TIME_ZONES, then VITE_DEFAULT_TIME_ZONE
+export function getOfficeTimeZone(officeCode, office) {
+  return office?.timeZone || ZONES[String(officeCode || "").trim().toLowerCase()] || DEFAULT_TIME_ZONE;
+}
+
+/* -------------------- formatting (display only) -------------------- */
+// Date → { date: "2026-10-19", time: "15:30:05" } on the wall clock of timeZone
+export function zonedDateTimeParts(now, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+
+  const get = (t) => parts.find((p) => p.type === t)?.value || "";
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    time: `${get("hour")}:${get("minute")}:${get("second")}`,
+  };
+}
+
+// "IST", "GST", or "GMT+4" where the locale has no short name
+export function timeZoneLabel(timeZone = DEFAULT_TIME_ZONE, at = new Date()) {
+  const part = new Intl.DateTimeFormat("en-IN", { timeZone, timeZoneName: "short" })
+    .formatToParts(at)
+    .find((p) => p.type === "timeZoneName");
+  return part?.value || timeZone;
+}
+
+/* -------------------- wall-clock time in a zone → Date -------------------- */
+function zoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// ("2026-10-19", "09:30", "Asia/Kolkata") → Date of 04:00 UTC
+export function zonedTime(dateStr, hhmm, timeZone, addDays = 0) {
+  const [y, mo, d] = String(dateStr).split("-").map(Number);
+  const [h, mi] = String(hhmm).split(":").map(Number);
+  const guess = Date.UTC(y, mo - 1, d + addDays, h, mi);
+  const first = guess - zoneOffsetMs(new Date(guess), timeZone);
+  // second pass settles DST edges; a no-op for IST
+  return new Date(guess - zoneOffsetMs(new Date(first), timeZone));
+}
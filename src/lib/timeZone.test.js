@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { getOfficeTimeZone, normalizeTimeZone, timeZoneLabel, zonedDateTimeParts, zonedTime } from "./timeZone";
+
+describe("office time zones", () => {
+  it("validates IANA names and prefers the office record", () => {
+    expect(normalizeTimeZone(" Asia/Dubai ")).toBe("Asia/Dubai");
+    expect(normalizeTimeZone("Mars/Olympus")).toBeNull();
+    expect(getOfficeTimeZone("DXB01", { timeZone: "Asia/Dubai" })).toBe("Asia/Dubai");
+    expect(getOfficeTimeZone("AMD01", null)).toBe("Asia/Kolkata");
+  });
+
+  it("reads the same instant on each office clock", () => {
+    const at = new Date("2026-10-19T20:15:00Z");
+    expect(zonedDateTimeParts(at, "Asia/Kolkata")).toEqual({ date: "2026-10-20", time: "01:45:00" });
+    expect(zonedDateTimeParts(at, "Asia/Dubai")).toEqual({ date: "2026-10-20", time: "00:15:00" });
+    expect(zonedDateTimeParts(at, "Europe/London")).toEqual({ date: "2026-10-19", time: "21:15:00" });
+    expect(timeZoneLabel("Asia/Kolkata", at)).toBe("IST");
+  });
+
+  it("turns office wall-clock times back into UTC across DST", () => {
+    expect(zonedTime("2026-03-29", "09:00", "Europe/London").toISOString()).toBe("2026-03-29T08:00:00.000Z");
+    expect(zonedTime("2026-03-28", "09:00", "Europe/London").toISOString()).toBe("2026-03-28T09:00:00.000Z");
+  });
+});
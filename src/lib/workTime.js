@@ -0,0 +1,53 @@
+import { fromUtcSqlDatetime, parseBreaks } from "./attendance";
+import { minutesBetween, shiftWindow } from "./shift";
+
+/* -------------------- worked time of one CAttendance record -------------------- */
+// Pure: (record, shift) → minutes. Used by history, dashboard, export and the
+// optional write-back on checkout, so every screen shows the same numbers.
+// Shift shape: see ./shift.js
+
+// "on" = checkout also stores the computed minutes on the record
+export const WORKTIME_WRITEBACK = String(import.meta.env.VITE_WORKTIME_WRITEBACK || "off").trim().toLowerCase() === "on";
+
+/* -------------------- the engine -------------------- */
+// All values are whole minutes; null when they cannot be known yet
+// (e.g. net while the day is still open, late without a shift).
+export function computeWorkTime(rec, shift = null) {
+  const inAt = fromUtcSqlDatetime(rec?.checkInAt);
+  const outAt = fromUtcSqlDatetime(rec?.checkOutAt);
+  const win = shiftWindow(shift, rec?.attendanceDate);
+
+  const closed = !!(inAt && outAt && outAt > inAt);
+  const grossMinutes = closed ? minutesBetween(inAt, outAt) : null;
+
+  // a break without a "break end" lasted until checkout (never came back)
+  let breakMinutes = 0;
+  for (const b of parseBreaks(rec)) {
+    const from = fromUtcSqlDatetime(b.startAt);
+    const to = fromUtcSqlDatetime(b.endAt);
+    const back = to && to > from ? to : closed && outAt > from ? outAt : null;
+    if (from && back) breakMinutes += minutesBetween(from, back);
+  }
+
+  const netMinutes = closed ? Math.max(0, grossMinutes - breakMinutes) : null;
+
+  // past the grace period the whole delay counts
+  const lateBy = win && inAt ? minutesBetween(win.start, inAt) : null;
+  const lateMinutes = lateBy == null ? null : lateBy > shift.graceMinutes ? lateBy : 0;
+  const earlyLeaveMinutes = win && outAt ? Math.max(0, minutesBetween(outAt, win.end)) : null;
+  const overtimeMinutes = win && netMinutes != null ? Math.max(0, netMinutes - win.scheduledNetMinutes) : null;
+
+  return { grossMinutes, breakMinutes, netMinutes, lateMinutes, earlyLeaveMinutes, overtimeMinutes };
+}
+
+// ESPO fields written on checkout when WORKTIME_WRITEBACK is on
+export function workTimeFields(result) {
+  return {
+    grossMinutes: result.grossMinutes,
+    breakMinutes: result.breakMinutes,
+    netMinutes: result.netMinutes,
+    lateMinutes: result.lateMinutes,
+    earlyLeaveMinutes: result.earlyLeaveMinutes,
+    overtimeMinutes: result.overtimeMinutes,
+  };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { computeWorkTime } from "./workTime";
+import { normalizeShift } from "./shift";
+import { zonedTime } from "./timeZone";
+
+const shift = normalizeShift({ start: "9:30", end: "18:30", graceMinutes: 10, lunchMinutes: 30 });
+
+// IST = UTC + 5:30
+const rec = (extra) => ({ attendanceDate: "2026-10-19", ...extra });
+
+describe("work time engine", () => {
+  it("places shift times in the office time zone", () => {
+    expect(shift.start).toBe("09:30");
+    expect(zonedTime("2026-10-19", "09:30", "Asia/Kolkata").toISOString()).toBe("2026-10-19T04:00:00.000Z");
+    expect(zonedTime("2026-07-01", "09:00", "Europe/London").toISOString()).toBe("2026-07-01T08:00:00.000Z");
+    expect(normalizeShift({ start: "25:00", end: "18:00" })).toBeNull();
+  });
+
+  it("computes gross, breaks, net, late, early leave and overtime", () => {
+    // in 09:55 (late 25m), lunch 13:00–13:45, tea 15:30–15:40, out 19:30
+    const r = computeWorkTime(
+      rec({
+        checkInAt: "2026-10-19 04:25:00",
+        breaks: JSON.stringify([
+          { type: "lunch", startAt: "2026-10-19 07:30:00", endAt: "2026-10-19 08:15:00" },
+          { type: "tea", startAt: "2026-10-19 10:00:00", endAt: "2026-10-19 10:10:00" },
+        ]),
+        checkOutAt: "2026-10-19 14:00:00",
+      }),
+      shift
+    );
+    expect(r).toEqual({
+      grossMinutes: 575,
+      breakMinutes: 55,
+      netMinutes: 520,
+      lateMinutes: 25,
+      earlyLeaveMinutes: 0,
+      overtimeMinutes: 10,
+    });
+  });
+
+  it("respects the grace period, early leave and overtime", () => {
+    const early = computeWorkTime(rec({ checkInAt: "2026-10-19 04:08:00", checkOutAt: "2026-10-19 12:00:00" }), shift);
+    expect(early).toMatchObject({ lateMinutes: 0, earlyLeaveMinutes: 60, netMinutes: 472 });
+
+    const long = computeWorkTime(rec({ checkInAt: "2026-10-19 03:30:00", checkOutAt: "2026-10-19 15:30:00" }), shift);
+    expect(long).toMatchObject({ netMinutes: 720, overtimeMinutes: 210 });
+  });
+
+  it("keeps open days and missing shifts as null, and ends an unfinished (legacy) lunch at checkout", () => {
+    expect(computeWorkTime(rec({ checkInAt: "2026-10-19 04:00:00" }))).toMatchObject({
+      netMinutes: null,
+      lateMinutes: null,
+      overtimeMinutes: null,
+    });
+
+    const noReturn = computeWorkTime(
+      rec({ checkInAt: "2026-10-19 04:00:00", lunchOutAt: "2026-10-19 08:00:00", checkOutAt: "2026-10-19 12:00:00" })
+    );
+    expect(noReturn).toMatchObject({ grossMinutes: 480, breakMinutes: 240, netMinutes: 240 });
+  });
+
+  it("handles a shift that ends after midnight", () => {
+    const night = normalizeShift({ start: "22:00", end: "06:00", lunchMinutes: 30 });
+    const r = computeWorkTime(rec({ checkInAt: "2026-10-19 16:30:00", checkOutAt: "2026-10-20 00:30:00" }), night);
+    expect(r).toMatchObject({ lateMinutes: 0, earlyLeaveMinutes: 0, netMinutes: 480, overtimeMinutes: 30 });
+  });
+});
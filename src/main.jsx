@@ -3,11 +3,16 @@ import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./styles.css";
 import "leaflet/dist/leaflet.css";
+import { takeDeviceTokenFromUrl } from "./lib/accessToken";
+import { getLanguage } from "./lib/i18n";
+import { applyTenantBranding, loadTenant } from "./lib/tenant";
 
 import { registerSW } from "virtual:pwa-register";
 
 registerSW({ immediate: true });
 
+document.documentElement.lang = getLanguage();
+
 
 // Fix leaflet marker icons in Vite
 import L from "leaflet";
@@ -22,8 +27,13 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// company name, logo, colours and ESPO endpoint are known before anything renders
+// (a #device-token=… link registers this phone with the ESPO proxy first)
+Promise.all([loadTenant(), takeDeviceTokenFromUrl()]).then(([tenant]) => {
+  applyTenantBranding(tenant);
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
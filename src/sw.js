@@ -0,0 +1,49 @@
+import { clientsClaim } from "workbox-core";
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { ExpirationPlugin } from "workbox-expiration";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+import { readAccessToken } from "./lib/accessToken";
+import { createEspoClient } from "./lib/espo";
+import { PUNCH_SYNC_TAG, replayPunchQueue } from "./lib/punchSync";
+import { readSavedEspoConfig } from "./lib/tenant";
+
+/* -------------------- app shell (same as the old generateSW setup) -------------------- */
+self.skipWaiting();
+clientsClaim();
+
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+registerRoute(new NavigationRoute(createHandlerBoundToURL("index.html")));
+
+/* -------------------- face models (cached on first use) -------------------- */
+// Too big to download on every app update, so the weights are fetched the first time a selfie
+// is matched and then served from this cache, offline too. Their file names carry a content
+// hash: a new model is a new entry and the old ones age out.
+registerRoute(
+  ({ url, request }) => request.method === "GET" && url.origin === self.location.origin && url.pathname.endsWith(".bin"),
+  new CacheFirst({ cacheName: "face-models", plugins: [new ExpirationPlugin({ maxEntries: 3 })] })
+);
+
+/* -------------------- offline punch replay -------------------- */
+async function notifyClients(result) {
+  const all = await self.clients.matchAll({ includeUncontrolled: true, type: "window" });
+  for (const c of all) c.postMessage({ type: "punch-queue-changed", result });
+}
+
+async function replayAndNotify() {
+  // the company's ESPO the page runs with — never the build defaults, which may be another company's
+  const espo = await readSavedEspoConfig();
+  if (!espo) throw new Error("No ESPO endpoint saved yet, the app replays the queue when it is opened");
+
+  const result = await replayPunchQueue(createEspoClient({ ...espo, authToken: readAccessToken }));
+  await notifyClients(result);
+
+  // rejecting makes the browser retry the sync later (with its own backoff)
+  if (result.remaining > 0) throw new Error(`${result.remaining} punch(es) still pending`);
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== PUNCH_SYNC_TAG) return;
+  event.waitUntil(replayAndNotify());
+});
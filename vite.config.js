@@ -7,6 +7,14 @@ export default defineConfig({
     react(),
     VitePWA({
       registerType: "autoUpdate",
+      // custom worker: precache + Background Sync replay of offline punches
+      strategies: "injectManifest",
+      srcDir: "src",
+      filename: "sw.js",
+      injectManifest: {
+        // face model weights (*.bin, ~6.7 MB) are not precached: src/sw.js caches them on first use
+        globPatterns: ["**/*.{js,css,html,ico,png,jpeg,svg}"],
+      },
       includeAssets: ["favicon.ico", "apple-touch-icon.png"],
       manifest: {
         name: "Amrita Attendance",